@@ -0,0 +1,152 @@
+const db = require('./database');
+const config = require('./config');
+const { eventTime } = require('./visits');
+
+// Traffic analytics. A background job folds new reads into rollup tables
+// (read counts per 15 minutes, plates seen per day) and visits add their
+// length as they close, so reports stay fast however many events are kept.
+// Rollups outlive the events they were built from.
+
+const INTERVALS = ['15min', 'hour', 'day', 'week'];
+const GROUP_BY = ['site', 'camera', 'lane', 'direction'];
+const INTERVAL_MS = { '15min': 15 * 60 * 1000, hour: 3600 * 1000, day: 86400 * 1000, week: 7 * 86400 * 1000 };
+const BUCKET_MS = INTERVAL_MS['15min'];
+// Keeps a series to a size the dashboard can draw
+const MAX_PERIODS = 5000;
+const BUSIEST_HOURS = 5;
+const BATCH_SIZE = 1000;
+const WATERMARK_SETTING = 'analytics_last_event_id';
+
+let timer = null;
+let running = false;
+
+function bucketStart(time) {
+  return new Date(Math.floor(time.getTime() / BUCKET_MS) * BUCKET_MS).toISOString();
+}
+
+// Read counts and plate sightings for a batch of events, keyed as stored.
+// A passage through a gate counts once, however many of its cameras read it.
+function rollUp(events) {
+  const traffic = new Map();
+  const vehicles = new Map();
+  for (const event of events) {
+    if (event.merged) continue;
+    const time = eventTime(event);
+    const row = {
+      bucket: bucketStart(time),
+      site_id: event.site_id || 0,
+      camera_id: event.camera_id || 0,
+      lane: event.lane || '',
+      direction: event.direction || ''
+    };
+    const key = JSON.stringify(row);
+    traffic.set(key, { ...row, reads: (traffic.get(key)?.reads || 0) + 1 });
+
+    const plate = event.plate_normalized;
+    if (plate) {
+      const sighting = { day: time.toISOString().slice(0, 10), site_id: row.site_id, licensePlate: plate };
+      const vehicleKey = JSON.stringify(sighting);
+      vehicles.set(vehicleKey, { ...sighting, reads: (vehicles.get(vehicleKey)?.reads || 0) + 1 });
+    }
+  }
+  return { traffic: [...traffic.values()], vehicles: [...vehicles.values()] };
+}
+
+// Rolls up every event stored since the last run. The first run also
+// builds the visit rollup from visits already held.
+async function processQueue() {
+  if (running) return;
+  running = true;
+  try {
+    const watermark = await db.getSetting(WATERMARK_SETTING);
+    if (watermark === null) {
+      await db.rebuildVisitRollups();
+      await db.setSetting(WATERMARK_SETTING, '0');
+    }
+    let afterId = Number(watermark) || 0;
+    let batch;
+    do {
+      batch = await db.getEventsAfter(afterId, BATCH_SIZE);
+      if (batch.length) {
+        const { traffic, vehicles } = rollUp(batch);
+        afterId = batch[batch.length - 1].id;
+        await db.addTrafficRollups(traffic, vehicles, afterId, WATERMARK_SETTING);
+      }
+    } while (batch.length === BATCH_SIZE);
+  } catch (error) {
+    console.error('Error updating traffic rollups:', error);
+  } finally {
+    running = false;
+  }
+}
+
+function periodCount(options) {
+  return Math.ceil((Date.parse(options.to) - Date.parse(options.from)) / INTERVAL_MS[options.interval]);
+}
+
+// Traffic report for [from, to). Read counts honour every filter; vehicle
+// and dwell figures are kept per site and whole UTC day, so they cover each
+// day the range touches and ignore the camera, lane and direction filters.
+async function report(options) {
+  const daily = {
+    siteId: options.siteId,
+    siteIds: options.siteIds,
+    fromDay: options.from.slice(0, 10),
+    toDay: new Date(Date.parse(options.to) - 1).toISOString().slice(0, 10)
+  };
+  const [series, directions, heatmap, busiest, vehicles, dwell] = await Promise.all([
+    db.getTrafficSeries(options),
+    db.getTrafficDirections(options),
+    db.getTrafficHeatmap(options),
+    db.getBusiestHours(options, BUSIEST_HOURS),
+    db.getVehicleCounts(daily),
+    db.getDwellTotals(daily)
+  ]);
+
+  const fromRollup = row => ({
+    ...row,
+    ...(row.site_id !== undefined && { site_id: row.site_id || null }),
+    ...(row.camera_id !== undefined && { camera_id: row.camera_id || null }),
+    ...(row.lane !== undefined && { lane: row.lane || null }),
+    ...(row.direction !== undefined && { direction: row.direction || null })
+  });
+  const reads = directions.reduce((total, row) => total + row.reads, 0);
+  return {
+    from: options.from,
+    to: options.to,
+    interval: options.interval,
+    utc_offset: options.utcOffset,
+    group_by: options.groupBy,
+    summary: {
+      reads,
+      unique_vehicles: vehicles.unique_vehicles,
+      repeat_vehicles: vehicles.repeat_vehicles,
+      visits: dwell.visits,
+      average_dwell_seconds: dwell.visits ? Math.round(dwell.dwell_seconds / dwell.visits) : null
+    },
+    directions: directions.map(row => ({ ...fromRollup(row), share: reads ? Math.round(row.reads / reads * 1000) / 10 : 0 })),
+    series: series.map(fromRollup),
+    busiest_hours: busiest,
+    heatmap
+  };
+}
+
+function start() {
+  processQueue();
+  timer = setInterval(processQueue, config.analytics.rollupIntervalMs);
+}
+
+function stop() {
+  clearInterval(timer);
+}
+
+module.exports = {
+  INTERVALS,
+  GROUP_BY,
+  MAX_PERIODS,
+  periodCount,
+  processQueue,
+  report,
+  start,
+  stop
+};
@@ -0,0 +1,83 @@
+const db = require('./database');
+const { createWriter } = require('./dataExport');
+
+// Append-only trail of administrative changes and access to personal data
+// (plate searches, event and image views). Entries name the actor, their IP
+// address and, for changes, the record before and after.
+
+const SYSTEM = { type: 'system', id: null, name: 'system' };
+
+function clientIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || null;
+}
+
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+// `entry` may give entityType (defaults to the part of the action before the
+// dot), entityId, siteId, details, before, after, and an actor for requests
+// that have no signed-in caller, such as camera uploads. A failure to write
+// is logged rather than failing the request being audited.
+async function record(req, action, entry = {}) {
+  const actor = (req && req.user) || entry.actor || SYSTEM;
+  try {
+    await db.insertAuditEntry({
+      created_at: new Date().toISOString(),
+      actor: actor.name,
+      actor_type: actor.type,
+      actor_id: actor.id,
+      ip: req ? clientIp(req) : null,
+      action,
+      entity_type: entry.entityType || action.split('.')[0],
+      entity_id: entry.entityId === undefined || entry.entityId === null ? null : String(entry.entityId),
+      site_id: entry.siteId || null,
+      details: toJson(entry.details),
+      before: toJson(entry.before),
+      after: toJson(entry.after)
+    });
+  } catch (error) {
+    console.error(`Error writing audit entry (${action}):`, error);
+  }
+}
+
+function format(row) {
+  return {
+    ...row,
+    details: row.details ? JSON.parse(row.details) : null,
+    before: row.before ? JSON.parse(row.before) : null,
+    after: row.after ? JSON.parse(row.after) : null
+  };
+}
+
+const COLUMNS = [
+  'id', 'created_at', 'actor', 'actor_type', 'actor_id', 'ip', 'action',
+  'entity_type', 'entity_id', 'site_id', 'details', 'before', 'after'
+];
+
+// Writes every entry matching `options`, oldest first, in one of the
+// dataExport formats. Entries are read in batches so large logs are not
+// held in memory.
+async function exportEntries(res, options, type = 'csv') {
+  const writer = createWriter(type, res, COLUMNS, 'Audit log');
+  await writer.start();
+  let afterId = 0;
+  let batch;
+  do {
+    batch = await db.getAuditEntries({ ...options, afterId, ascending: true, limit: 500, offset: 0 });
+    for (const row of batch) {
+      await writer.row(format(row));
+    }
+    if (batch.length) {
+      afterId = batch[batch.length - 1].id;
+    }
+  } while (batch.length === 500);
+  await writer.end();
+}
+
+module.exports = {
+  SYSTEM,
+  record,
+  format,
+  exportEntries
+};
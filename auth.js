@@ -0,0 +1,516 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const db = require('./database');
+const config = require('./config');
+
+// Who may do what. People sign in to the dashboard and get a session
+// cookie; integrations send an API key. Both carry a role and, optionally,
+// the sites they are limited to (null means every site).
+//   viewer    read-only
+//   operator  also handles alerts, violations, evidence, watchlists and permits
+//   admin     also manages sites, cameras, webhooks, rules, storage, users and keys
+// Cameras authenticate separately, see authenticateCamera.
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'hik_session';
+const API_KEY_PREFIX = 'hik_';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Stands in for a caller when AUTH_ENABLED=false
+const ANONYMOUS = { type: 'anonymous', id: null, name: 'anonymous', role: 'admin', siteIds: null };
+
+// Signs Digest nonces and image links; kept in the database so both survive
+// restarts
+let secret = null;
+// Compared against when a username does not exist, so failed sign-ins take
+// the same time either way
+let dummyHash = null;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function md5(value) {
+  return crypto.createHash('md5').update(value).digest('hex');
+}
+
+function hmac(value) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+function randomToken(bytes = 24) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Passwords
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, 64, (err, key) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(`scrypt$${salt.toString('base64url')}$${key.toString('base64url')}`);
+      }
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return Promise.resolve(false);
+  }
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), Buffer.from(salt, 'base64url'), 64, (err, key) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(safeEqual(key.toString('base64url'), hash));
+      }
+    });
+  });
+}
+
+// Callers
+
+function parseSiteIds(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+function userPrincipal(user) {
+  return { type: 'user', id: user.id, name: user.username, role: user.role, siteIds: parseSiteIds(user.site_ids) };
+}
+
+function keyPrincipal(key) {
+  return { type: 'api_key', id: key.id, name: `api-key:${key.name}`, role: key.role, siteIds: parseSiteIds(key.site_ids) };
+}
+
+function formatPrincipal(principal) {
+  return { type: principal.type, id: principal.id, name: principal.name, role: principal.role, site_ids: principal.siteIds };
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      return part.slice(index + 1).trim();
+    }
+  }
+  return null;
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+function readApiKey(req) {
+  if (req.headers['x-api-key']) {
+    return String(req.headers['x-api-key']);
+  }
+  const token = bearerToken(req);
+  return token && token.startsWith(API_KEY_PREFIX) ? token : null;
+}
+
+// Resolves the caller from an API key or the session cookie. Works on raw
+// upgrade requests as well as express requests. Returns null when neither
+// is present or valid.
+async function identify(req) {
+  if (!config.auth.enabled) {
+    return ANONYMOUS;
+  }
+
+  const now = new Date().toISOString();
+  const apiKey = readApiKey(req);
+  if (apiKey) {
+    const key = await db.getActiveApiKey(sha256(apiKey), now);
+    if (!key) {
+      return null;
+    }
+    // Recording every request would mean a write per call; a minute is
+    // precise enough to spot unused keys
+    if (!key.last_used_at || Date.now() - Date.parse(key.last_used_at) > 60000) {
+      db.touchApiKey(key.id, now).catch(error => console.error('Error recording API key use:', error));
+    }
+    return keyPrincipal(key);
+  }
+
+  const token = readCookie(req, SESSION_COOKIE);
+  if (token) {
+    const user = await db.getSessionUser(sha256(token), now);
+    if (user) {
+      return userPrincipal(user);
+    }
+  }
+  return null;
+}
+
+function hasRole(principal, role) {
+  return ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+// Events, cameras and alerts without a site are only visible to callers
+// who may see every site
+function canAccessSite(principal, siteId) {
+  if (!principal.siteIds) {
+    return true;
+  }
+  return siteId !== null && siteId !== undefined && principal.siteIds.includes(Number(siteId));
+}
+
+// Middleware
+
+async function authenticate(req, res, next) {
+  try {
+    req.user = await identify(req);
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Same as authenticate, for pages: anonymous visitors are sent to sign in
+async function authenticatePage(req, res, next) {
+  try {
+    req.user = await identify(req);
+    if (!req.user) {
+      return res.redirect('/login');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// `allSites` additionally refuses callers limited to some sites, for
+// settings that affect every site
+function requireRole(role, options = {}) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This requires the ${role} role` });
+    }
+    if (options.allSites && req.user.siteIds) {
+      return res.status(403).json({ error: 'This requires access to all sites' });
+    }
+    next();
+  };
+}
+
+// Sessions
+
+// Returns { token, expiresAt, principal }, or null when the username or
+// password is wrong or the account is disabled
+async function login(username, password) {
+  const user = username ? await db.getUserByUsername(String(username)) : null;
+  const valid = await verifyPassword(password || '', user ? user.password_hash : dummyHash);
+  if (!user || !valid || !user.active) {
+    return null;
+  }
+
+  const now = new Date();
+  const token = randomToken(32);
+  const expiresAt = new Date(now.getTime() + config.auth.sessionHours * 3600 * 1000).toISOString();
+  await db.deleteExpiredSessions(now.toISOString());
+  await db.createSession(sha256(token), user.id, expiresAt);
+  await db.recordLogin(user.id);
+  return { token, expiresAt, principal: userPrincipal(user) };
+}
+
+async function logout(req) {
+  const token = readCookie(req, SESSION_COOKIE);
+  if (token) {
+    await db.deleteSession(sha256(token));
+  }
+}
+
+// Set-Cookie value for a new session, or one clearing it when token is null
+function sessionCookie(req, token, expiresAt) {
+  const parts = [`${SESSION_COOKIE}=${token || ''}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+  parts.push(token ? `Expires=${new Date(expiresAt).toUTCString()}` : 'Max-Age=0');
+  if (req.secure || config.publicUrl.startsWith('https:')) {
+    parts.push('Secure');
+  }
+  return parts.join('; ');
+}
+
+// API keys are shown once, when created; only a hash and a short prefix
+// for recognising the key are kept
+async function createApiKey(key, createdBy) {
+  const value = API_KEY_PREFIX + randomToken(24);
+  const id = await db.createApiKey({
+    name: key.name,
+    key_prefix: value.slice(0, API_KEY_PREFIX.length + 6),
+    key_hash: sha256(value),
+    role: key.role,
+    site_ids: key.siteIds ? JSON.stringify(key.siteIds) : null,
+    created_by: createdBy,
+    expires_at: key.expires_at
+  });
+  return { id, key: value };
+}
+
+// Camera ingest
+
+function ingestAuthRequired() {
+  return config.auth.enabled && config.ingest.auth !== 'open';
+}
+
+function cameraHa1(username, password) {
+  return md5(`${username}:${config.ingest.realm}:${password}`);
+}
+
+// Returns the new token, which is only stored hashed
+async function issueCameraToken(cameraId) {
+  const token = randomToken(24);
+  await db.setCameraIngestToken(cameraId, sha256(token));
+  return token;
+}
+
+// Looks up who a Basic or Digest username belongs to: the shared ingest
+// account (camera null) or one camera
+async function ingestAccount(username) {
+  if (config.ingest.username && username === config.ingest.username) {
+    return { camera: null, ha1: cameraHa1(username, config.ingest.password || '') };
+  }
+  const camera = await db.getCameraByAuthUsername(username);
+  return camera && camera.auth_ha1 ? { camera, ha1: camera.auth_ha1 } : null;
+}
+
+async function checkBasic(credentials) {
+  const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+  const index = decoded.indexOf(':');
+  if (index < 0) {
+    return null;
+  }
+  const username = decoded.slice(0, index);
+  const account = await ingestAccount(username);
+  if (!account || !safeEqual(account.ha1, cameraHa1(username, decoded.slice(index + 1)))) {
+    return null;
+  }
+  return { camera: account.camera };
+}
+
+function parseDigest(header) {
+  const params = {};
+  const pattern = /(\w+)=(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g;
+  let match;
+  while ((match = pattern.exec(header))) {
+    params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+  }
+  return params;
+}
+
+// Nonces are the issue time signed with the server secret, so nothing has
+// to be remembered between the challenge and the camera's retry
+function createNonce() {
+  const issued = Date.now().toString(36);
+  return `${issued}.${hmac(`nonce:${issued}`)}`;
+}
+
+function nonceStatus(nonce) {
+  const [issued, signature] = String(nonce).split('.');
+  if (!issued || !signature || !safeEqual(signature, hmac(`nonce:${issued}`))) {
+    return 'invalid';
+  }
+  return Date.now() - parseInt(issued, 36) > config.ingest.nonceSeconds * 1000 ? 'stale' : 'valid';
+}
+
+// RFC 7616 with MD5, as implemented by Hikvision firmware
+async function checkDigest(req, header) {
+  const params = parseDigest(header);
+  if (!params.username || !params.nonce || !params.response || params.realm !== config.ingest.realm) {
+    return null;
+  }
+  if (params.uri !== req.originalUrl || (params.qop && params.qop !== 'auth')) {
+    return null;
+  }
+  const nonce = nonceStatus(params.nonce);
+  if (nonce === 'invalid') {
+    return null;
+  }
+
+  const account = await ingestAccount(params.username);
+  if (!account) {
+    return null;
+  }
+  const ha2 = md5(`${req.method}:${params.uri}`);
+  const expected = params.qop
+    ? md5(`${account.ha1}:${params.nonce}:${params.nc}:${params.cnonce}:${params.qop}:${ha2}`)
+    : md5(`${account.ha1}:${params.nonce}:${ha2}`);
+  if (!safeEqual(expected, params.response)) {
+    return null;
+  }
+  // Right password but an old nonce: the challenge tells the camera to
+  // retry with a fresh one
+  return nonce === 'stale' ? { stale: true } : { camera: account.camera };
+}
+
+// Returns { camera } (null for the shared account), { stale: true }, or
+// null when the request carries no valid credentials
+async function identifyCamera(req) {
+  const token = req.params.token || req.query.token || req.headers['x-camera-token'] ||
+    (bearerToken(req) && !bearerToken(req).startsWith(API_KEY_PREFIX) ? bearerToken(req) : null);
+  if (token) {
+    const camera = await db.getCameraByIngestToken(sha256(token));
+    return camera ? { camera } : null;
+  }
+
+  const match = /^(Basic|Digest)\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return null;
+  }
+  return match[1].toLowerCase() === 'basic' ? checkBasic(match[2]) : checkDigest(req, match[2]);
+}
+
+// Cameras post with a token (/hik/<token>, ?token=, X-Camera-Token or a
+// Bearer header) or with Basic/Digest credentials, either their own or the
+// shared INGEST_USERNAME account. req.camera is set when the credentials
+// belong to one camera. Unauthenticated requests get both challenges so the
+// camera can pick the scheme it is configured for.
+async function authenticateCamera(req, res, next) {
+  try {
+    if (!ingestAuthRequired()) {
+      return next();
+    }
+    const result = await identifyCamera(req);
+    if (result && !result.stale) {
+      req.camera = result.camera;
+      return next();
+    }
+
+    const realm = config.ingest.realm;
+    res.set('WWW-Authenticate', [
+      `Digest realm="${realm}", qop="auth", algorithm=MD5, nonce="${createNonce()}"` +
+        (result && result.stale ? ', stale=true' : ''),
+      `Basic realm="${realm}", charset="UTF-8"`
+    ]);
+    res.status(401).json({ error: 'Camera authentication required' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Credentials issued to one camera only vouch for that camera. Its MAC
+// address is compared when both sides have one (an NVR posts every channel
+// under one MAC), otherwise its channel.
+function cameraMatches(camera, channelID, macAddress) {
+  const normalize = (mac) => String(mac).toLowerCase().replace(/-/g, ':');
+  if (camera.macAddress && macAddress) {
+    return normalize(camera.macAddress) === normalize(macAddress);
+  }
+  return String(camera.channelID) === String(channelID);
+}
+
+// Images
+
+function imageSignature(filename, expires) {
+  return hmac(`image:${filename}:${expires}`);
+}
+
+// Links for receivers without an account, such as webhook subscribers
+function signedImageUrl(base, filename) {
+  const expires = Math.floor(Date.now() / 1000) + config.auth.imageLinkDays * 86400;
+  return `${base}/uploads/${encodeURIComponent(filename)}?expires=${expires}&signature=${imageSignature(filename, expires)}`;
+}
+
+// Pictures are served to holders of a signed link, or to callers allowed to
+// see the site of the event they belong to. A signed link opened by a
+// signed-in caller is still put down to them.
+async function authorizeImage(req, res, next) {
+  try {
+    const { filename } = req.params;
+    const { expires, signature } = req.query;
+    if (signature) {
+      if (Number(expires) * 1000 > Date.now() && safeEqual(signature, imageSignature(filename, expires))) {
+        req.user = await identify(req);
+        return next();
+      }
+      return res.status(403).json({ error: 'Invalid or expired image link' });
+    }
+
+    req.user = await identify(req);
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (req.user.siteIds) {
+      const owner = await db.getImageOwner(filename);
+      if (!owner || !canAccessSite(req.user, owner.site_id)) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Loads the signing secret and creates the first admin account
+async function init() {
+  secret = await db.getSetting('auth_secret') ||
+    await db.initSetting('auth_secret', crypto.randomBytes(32).toString('hex'));
+  dummyHash = await hashPassword(randomToken());
+
+  if (!config.auth.enabled) {
+    console.warn('Authentication is disabled (AUTH_ENABLED=false): anyone who can reach this server has full access');
+    return;
+  }
+  if (!(await db.countUsers())) {
+    const password = config.auth.adminPassword || randomToken(12);
+    // A generated password goes to a file only the server's user can read,
+    // never to the log. It is written first so the account is not created
+    // with a password nobody can find.
+    if (!config.auth.adminPassword) {
+      const file = config.auth.adminPasswordFile;
+      fs.writeFileSync(file, `${password}\n`, { mode: 0o600 });
+      fs.chmodSync(file, 0o600);
+    }
+    await db.createUser({
+      username: config.auth.adminUsername,
+      password_hash: await hashPassword(password),
+      role: 'admin',
+      site_ids: null
+    });
+    console.log(config.auth.adminPassword
+      ? `Created admin user "${config.auth.adminUsername}"`
+      : `Created admin user "${config.auth.adminUsername}" with the password in ${config.auth.adminPasswordFile} - change it after signing in and delete the file`);
+  }
+  if (config.ingest.auth === 'open') {
+    console.warn('Camera ingest authentication is disabled (INGEST_AUTH=open)');
+  }
+}
+
+module.exports = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  formatPrincipal,
+  identify,
+  hasRole,
+  canAccessSite,
+  authenticate,
+  authenticatePage,
+  requireRole,
+  login,
+  logout,
+  sessionCookie,
+  createApiKey,
+  cameraHa1,
+  issueCameraToken,
+  authenticateCamera,
+  cameraMatches,
+  signedImageUrl,
+  authorizeImage,
+  init
+};
@@ -0,0 +1,199 @@
+// Runtime settings, all overridable through environment variables
+
+const path = require('path');
+
+// Numeric setting where 0 means something. Blank or non-numeric values fall
+// back to the default rather than becoming 0 or NaN.
+function numberSetting(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+const port = Number(process.env.PORT) || 9001;
+
+module.exports = {
+  port,
+
+  // Base URL external systems use to reach this server (image links in
+  // webhook payloads and similar)
+  publicUrl: (process.env.PUBLIC_URL || `http://localhost:${port}`).replace(/\/+$/, ''),
+
+  // SQLite database file
+  databasePath: process.env.DATABASE_PATH || path.join(__dirname, 'events.db'),
+
+  auth: {
+    // AUTH_ENABLED=false opens the dashboard, API and ingest to anyone who
+    // can reach the server; only for isolated networks
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    sessionHours: Number(process.env.AUTH_SESSION_HOURS) || 12,
+    // Created on first start when there are no users. Without ADMIN_PASSWORD
+    // a random password is generated and written to ADMIN_PASSWORD_FILE,
+    // readable only by the server's user.
+    adminUsername: process.env.ADMIN_USERNAME || 'admin',
+    adminPassword: process.env.ADMIN_PASSWORD,
+    adminPasswordFile: process.env.ADMIN_PASSWORD_FILE || path.join(__dirname, 'admin-password.txt'),
+    // Lifetime of the signed image links sent in webhook payloads
+    imageLinkDays: Number(process.env.IMAGE_LINK_DAYS) || 7
+  },
+
+  // How cameras authenticate when posting events. Each camera can be given a
+  // token (appended to the URL) or a username and password for the Basic or
+  // Digest authentication offered in its "HTTP host" settings.
+  ingest: {
+    // "open" accepts events from anyone, as before authentication existed
+    auth: process.env.INGEST_AUTH || 'required',
+    // Part of every stored camera password hash, so changing it means
+    // setting camera passwords again
+    realm: process.env.INGEST_AUTH_REALM || 'hik-camera-server',
+    // Optional credentials shared by all cameras, e.g. an NVR posting for
+    // many channels or cameras that should register themselves
+    username: process.env.INGEST_USERNAME,
+    password: process.env.INGEST_PASSWORD,
+    nonceSeconds: Number(process.env.INGEST_NONCE_SECONDS) || 300
+  },
+
+  evidence: {
+    // PEM file holding the Ed25519 private key evidence manifests are signed
+    // with. Without one a key is generated on first use and kept in the
+    // database.
+    signingKeyFile: process.env.EVIDENCE_SIGNING_KEY_FILE || null
+  },
+
+  webhooks: {
+    pollIntervalMs: Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseSeconds: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+    retryMaxSeconds: Number(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 3600
+  },
+
+  visits: {
+    // Open visits with no exit after this long are closed as expired
+    timeoutHours: Number(process.env.VISIT_TIMEOUT_HOURS) || 24,
+    // Repeat entry reads of the same plate within this window are ignored;
+    // 0 counts every entry read
+    reentrySeconds: numberSetting('VISIT_REENTRY_SECONDS', 120),
+    sweepIntervalMs: Number(process.env.VISIT_SWEEP_INTERVAL_MS) || 60000
+  },
+
+  plates: {
+    // Country whose plate formats apply when a camera doesn't report one
+    // (ISO code, e.g. GB)
+    defaultCountry: process.env.PLATE_DEFAULT_COUNTRY || null,
+    // Hikvision country numbers as ISO codes, e.g. "3=GB,39=IE", for the
+    // table the cameras' firmware uses. Unmapped numbers are treated as no
+    // country at all.
+    hikCountryMap: process.env.HIK_COUNTRY_MAP || ''
+  },
+
+  review: {
+    // Reads less confident than this (0-100) wait in the review queue;
+    // 0 turns the check off. Cameras may set their own threshold.
+    confidenceThreshold: Number(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0
+  },
+
+  passages: {
+    // Reads of the same plate on one camera within this many seconds are
+    // merged into the first event; 0 turns merging off. Cameras may set
+    // their own window.
+    dedupSeconds: numberSetting('DEDUP_WINDOW_SECONDS', 10),
+    // Reads at the cameras of one gate this close together are one passage,
+    // unless the gate sets its own window; 0 only groups reads made at the
+    // same moment
+    gateWindowSeconds: numberSetting('PASSAGE_WINDOW_SECONDS', 10)
+  },
+
+  health: {
+    // Cameras are marked offline after this long without an event or
+    // heartbeat, unless the camera sets its own expected interval
+    offlineSeconds: Number(process.env.CAMERA_OFFLINE_SECONDS) || Number(process.env.MQTT_CAMERA_OFFLINE_SECONDS) || 300,
+    sweepIntervalMs: Number(process.env.CAMERA_HEALTH_INTERVAL_MS) || 30000
+  },
+
+  // Image storage: "local" (uploads/ on this machine) or "s3" (any
+  // S3-compatible object store, e.g. MinIO)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    local: {
+      dir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, 'uploads')
+    },
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      // Set for MinIO and other non-AWS stores; path-style addressing is
+      // then used unless S3_FORCE_PATH_STYLE=false
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE !== 'false'
+        : Boolean(process.env.S3_ENDPOINT),
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX || '',
+      urlExpirySeconds: Number(process.env.S3_URL_EXPIRY_SECONDS) || 3600
+    }
+  },
+
+  // Smaller copies of every picture, made in the background after upload
+  // and kept in the image store beside the original
+  thumbnails: {
+    // Widths in pixels; pictures are never enlarged
+    sizes: {
+      thumb: Number(process.env.THUMBNAIL_WIDTH) || 320,
+      medium: Number(process.env.THUMBNAIL_MEDIUM_WIDTH) || 1024
+    },
+    quality: Number(process.env.THUMBNAIL_QUALITY) || 80,
+    // Also make WebP copies for browsers that accept them
+    webp: process.env.THUMBNAIL_WEBP !== 'false',
+    pollIntervalMs: Number(process.env.THUMBNAIL_POLL_INTERVAL_MS) || 30000
+  },
+
+  retention: {
+    // Days to keep images and event rows at sites without a policy of their
+    // own; unset or 0 keeps them forever
+    imageDays: Number(process.env.RETENTION_IMAGE_DAYS) || null,
+    metadataDays: Number(process.env.RETENTION_METADATA_DAYS) || null,
+    // Oldest unprotected images are evicted once stored images grow past this
+    quotaMb: Number(process.env.STORAGE_QUOTA_MB) || null,
+    // Unreferenced files younger than this may belong to an upload in flight;
+    // 0 removes them on the next sweep
+    orphanGraceMinutes: numberSetting('RETENTION_ORPHAN_GRACE_MINUTES', 60),
+    sweepIntervalMs: Number(process.env.RETENTION_SWEEP_INTERVAL_MS) || 3600000
+  },
+
+  exports: {
+    // Exports with more rows than this run as background jobs; 0 runs every
+    // export in the background
+    syncMaxRows: numberSetting('EXPORT_SYNC_MAX_ROWS', 10000),
+    // Where finished background exports are kept until they expire
+    dir: process.env.EXPORT_DIR || path.join(__dirname, 'exports'),
+    retentionHours: Number(process.env.EXPORT_RETENTION_HOURS) || 24,
+    pollIntervalMs: Number(process.env.EXPORT_POLL_INTERVAL_MS) || 10000
+  },
+
+  analytics: {
+    // How often new reads are folded into the traffic rollups
+    rollupIntervalMs: Number(process.env.ANALYTICS_ROLLUP_INTERVAL_MS) || 60000
+  },
+
+  permits: {
+    // Time zone permit schedules are written in (IANA name, e.g. Europe/London)
+    timezone: process.env.PERMIT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    sweepIntervalMs: Number(process.env.PERMIT_SWEEP_INTERVAL_MS) || 60000
+  },
+
+  // MQTT publishing is off unless MQTT_URL is set (mqtt://, mqtts://, ws://)
+  mqtt: {
+    url: process.env.MQTT_URL || null,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    clientId: process.env.MQTT_CLIENT_ID || `hik-camera-server-${process.pid}`,
+    topicPrefix: (process.env.MQTT_TOPIC_PREFIX || 'hik').replace(/\/+$/, ''),
+    qos: Number(process.env.MQTT_QOS) || 0,
+    caFile: process.env.MQTT_CA_FILE,
+    certFile: process.env.MQTT_CERT_FILE,
+    keyFile: process.env.MQTT_KEY_FILE,
+    rejectUnauthorized: process.env.MQTT_REJECT_UNAUTHORIZED !== 'false'
+  }
+};
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const db = require('./database');
+const config = require('./config');
+const auth = require('./auth');
+
+// Spreadsheet exports of events and visits as CSV, NDJSON or XLSX. Rows are
+// read in batches and written as they go, so memory use does not grow with
+// the export. Small exports stream straight to the caller; larger ones run
+// as background jobs whose file is kept for download until it expires.
+
+const FORMATS = ['csv', 'ndjson', 'xlsx'];
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+const BATCH_SIZE = 500;
+
+const EVENT_COLUMNS = [
+  'id', 'dateTime', 'received_at', 'site_id', 'siteName', 'camera_id', 'cameraName', 'channelID',
+  'macAddress', 'eventType', 'licensePlate', 'plate_normalized', 'country', 'country_iso', 'plate_valid',
+  'review_status', 'region', 'plateColor', 'confidenceLevel', 'direction', 'lane', 'vehicleType',
+  'vehicleMake', 'vehicleColor', 'evidence'
+];
+const VISIT_COLUMNS = [
+  'id', 'site_id', 'siteName', 'licensePlate', 'status', 'entry_time', 'exit_time',
+  'duration_seconds', 'entry_event_id', 'exit_event_id'
+];
+const IMAGE_COLUMNS = ['licensePlateImage', 'vehicleImage', 'detectionImage'];
+
+let timer = null;
+let running = false;
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+}
+
+// Writes rows given as objects; CSV and XLSX keep `columns` in order and
+// serialise nested values as JSON, NDJSON writes each object as it is.
+// end() finishes the file and ends the stream.
+function createWriter(format, stream, columns, sheetName = 'Export') {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(sheetName);
+    return {
+      start: async () => {
+        sheet.columns = columns.map(column => ({ header: column, key: column }));
+      },
+      row: async (values) => {
+        sheet.addRow(columns.map((column) => {
+          const value = values[column];
+          return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+        })).commit();
+      },
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+  if (format === 'ndjson') {
+    return {
+      start: async () => {},
+      row: values => write(stream, JSON.stringify(values) + '\n'),
+      end: async () => stream.end()
+    };
+  }
+  return {
+    start: () => write(stream, columns.join(',') + '\n'),
+    row: values => write(stream, columns.map(column => csvValue(values[column])).join(',') + '\n'),
+    end: async () => stream.end()
+  };
+}
+
+// Site and camera names, looked up once per export
+function nameCache() {
+  const sites = new Map();
+  const cameras = new Map();
+  const lookup = async (cache, id, load) => {
+    if (!id) return null;
+    if (!cache.has(id)) {
+      const row = await load(id);
+      cache.set(id, row ? row.name : null);
+    }
+    return cache.get(id);
+  };
+  return {
+    site: id => lookup(sites, id, siteId => db.getSiteById(siteId)),
+    camera: id => lookup(cameras, id, cameraId => db.getCameraById(cameraId))
+  };
+}
+
+// Pages through with the same keyset cursor the events API uses. Image
+// links are signed like those sent to webhooks, so they open without a
+// session until they expire.
+async function* eventRows(options) {
+  const names = nameCache();
+  const column = options.sort || 'dateTime';
+  let after = null;
+  let batch;
+  do {
+    batch = await db.getAllEvents({ ...options, after, limit: BATCH_SIZE, offset: 0 });
+    for (const event of batch) {
+      const row = { ...event, siteName: await names.site(event.site_id), cameraName: await names.camera(event.camera_id) };
+      if (options.includeImages) {
+        IMAGE_COLUMNS.forEach((image) => {
+          row[`${image}Url`] = event[image] ? auth.signedImageUrl(config.publicUrl, event[image]) : null;
+        });
+      }
+      yield row;
+    }
+    if (batch.length) {
+      const last = batch[batch.length - 1];
+      after = { value: last[column], id: last.id };
+    }
+  } while (batch.length === BATCH_SIZE);
+}
+
+async function* visitRows(options) {
+  let afterId = 0;
+  let batch;
+  do {
+    batch = await db.getVisits({ ...options, afterId, limit: BATCH_SIZE, offset: 0 });
+    yield* batch;
+    if (batch.length) {
+      afterId = batch[batch.length - 1].id;
+    }
+  } while (batch.length === BATCH_SIZE);
+}
+
+const TYPES = {
+  events: { sheet: 'Events', columns: EVENT_COLUMNS, rows: eventRows, count: options => db.countEvents(options) },
+  visits: { sheet: 'Visits', columns: VISIT_COLUMNS, rows: visitRows, count: options => db.countVisits(options) }
+};
+
+function count(type, options) {
+  return TYPES[type].count(options);
+}
+
+// Writes the whole export to `stream` and ends it. Returns the row count.
+async function writeExport(stream, type, format, options) {
+  const { sheet, columns, rows } = TYPES[type];
+  const imageColumns = type === 'events' && options.includeImages ? IMAGE_COLUMNS.map(image => `${image}Url`) : [];
+  const writer = createWriter(format, stream, [...columns, ...imageColumns], sheet);
+  await writer.start();
+  let total = 0;
+  for await (const row of rows(options)) {
+    await writer.row(row);
+    total++;
+  }
+  await writer.end();
+  return total;
+}
+
+function downloadName(job) {
+  return `${job.type}-export-${job.id}.${job.format}`;
+}
+
+function jobPath(job) {
+  return path.join(config.exports.dir, downloadName(job));
+}
+
+// Job as returned by the API; the stored filters stay internal
+function formatJob(job) {
+  const { options, filename, ...rest } = job;
+  return { ...rest, download_url: job.status === 'completed' ? `/api/exports/${job.id}/download` : null };
+}
+
+async function createJob(type, format, options, requester) {
+  const id = await db.createExportJob({
+    type,
+    format,
+    options: JSON.stringify(options),
+    requested_by: requester.name,
+    requested_by_type: requester.type,
+    requested_by_id: requester.id
+  });
+  setImmediate(processQueue);
+  return db.getExportJob(id);
+}
+
+async function runJob(job) {
+  const file = jobPath(job);
+  try {
+    await fs.promises.mkdir(config.exports.dir, { recursive: true });
+    const stream = fs.createWriteStream(file);
+    const closed = once(stream, 'close');
+    const rows = await writeExport(stream, job.type, job.format, JSON.parse(job.options));
+    await closed;
+    const { size } = await fs.promises.stat(file);
+    await db.finishExportJob(job.id, {
+      status: 'completed',
+      rows,
+      size,
+      filename: path.basename(file),
+      expires_at: new Date(Date.now() + config.exports.retentionHours * 3600 * 1000).toISOString()
+    });
+  } catch (error) {
+    console.error(`Error running export job ${job.id}:`, error);
+    await removeFile(file);
+    await db.finishExportJob(job.id, {
+      status: 'failed',
+      error: error.message,
+      expires_at: new Date(Date.now() + config.exports.retentionHours * 3600 * 1000).toISOString()
+    });
+  }
+}
+
+async function removeFile(file) {
+  try {
+    await fs.promises.unlink(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+async function deleteJob(job) {
+  await removeFile(jobPath(job));
+  await db.deleteExportJob(job.id);
+}
+
+async function processQueue() {
+  if (running) return;
+  running = true;
+  try {
+    let job;
+    while ((job = await db.claimExportJob())) {
+      await runJob(job);
+    }
+    for (const expired of await db.getExpiredExportJobs(new Date().toISOString())) {
+      await deleteJob(expired);
+    }
+  } catch (error) {
+    console.error('Error processing export jobs:', error);
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  db.requeueExportJobs()
+    .then(processQueue)
+    .catch(error => console.error('Error resuming export jobs:', error));
+  timer = setInterval(processQueue, config.exports.pollIntervalMs);
+}
+
+function stop() {
+  clearInterval(timer);
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  createWriter,
+  count,
+  writeExport,
+  downloadName,
+  jobPath,
+  formatJob,
+  createJob,
+  deleteJob,
+  start,
+  stop
+};
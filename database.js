@@ -1,385 +1,3351 @@
 const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const config = require('./config');
+const { OCR_CONFUSIONS, normalizePlate, canonicalPlate, countryIso } = require('./plates');
 
-class Database {
-    constructor() {
-        this.dbPath = path.join(__dirname, 'events.db');
-        this.db = new sqlite3.Database(this.dbPath, (err) => {
-            if (err) {
-                console.error('Error connecting to database:', err);
-            } else {
-                console.log('Connected to SQLite database');
-                this.initializeDatabase();
-            }
-        });
+// Sortable event columns, mapped to the expression used for ordering and
+// keyset comparisons. confidenceLevel is stored as TEXT, so it is compared
+// numerically with missing values sorted lowest.
+const EVENT_SORT_KEYS = {
+    dateTime: (value) => value,
+    created_at: (value) => value,
+    id: (value) => value,
+    channelID: (value) => value,
+    licensePlate: (value) => value,
+    confidenceLevel: (value) => `COALESCE(CAST(${value} AS REAL), -1)`
+};
+
+// Builds the WHERE conditions shared by audit log listing, counting and export
+function buildAuditFilters(options) {
+    const conditions = [];
+    const params = [];
+    const filters = {
+        actor: 'actor = ?',
+        actorType: 'actor_type = ?',
+        entityType: 'entity_type = ?',
+        entityId: 'entity_id = ?',
+        siteId: 'site_id = ?',
+        from: 'created_at >= ?',
+        to: 'created_at <= ?',
+        afterId: 'id > ?'
+    };
+    Object.entries(filters).forEach(([option, condition]) => {
+        if (options[option]) {
+            conditions.push(condition);
+            params.push(options[option]);
+        }
+    });
+    // "camera" matches every camera action, "camera.update" just that one
+    if (options.action) {
+        conditions.push("(action = ? OR action LIKE ? ESCAPE '\\')");
+        params.push(options.action, `${escapeLike(options.action)}.%`);
     }
+    addSiteScope(conditions, params, 'site_id', options.siteIds);
+    return { conditions, params };
+}
 
-    initializeDatabase() {
-        const createSitesTableSQL = `
-            CREATE TABLE IF NOT EXISTS sites (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT,
-                description TEXT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `;
+// Limits a query to the sites a caller may see; null means every site
+function addSiteScope(conditions, params, column, siteIds) {
+    if (!siteIds) return;
+    if (!siteIds.length) {
+        conditions.push('0');
+        return;
+    }
+    conditions.push(`${column} IN (${siteIds.map(() => '?').join(', ')})`);
+    params.push(...siteIds);
+}
 
-        const createCamerasTableSQL = `
-            CREATE TABLE IF NOT EXISTS cameras (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                channelID TEXT NOT NULL,
-                macAddress TEXT,
-                name TEXT,
-                description TEXT,
-                site_id INTEGER,
-                status TEXT DEFAULT 'active',
-                last_seen TIMESTAMP,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (site_id) REFERENCES sites(id),
-                UNIQUE(channelID)
-            )
-        `;
+function escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, (char) => '\\' + char);
+}
 
-        const createEventsTableSQL = `
-            CREATE TABLE IF NOT EXISTS events (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                channelID TEXT NOT NULL,
-                dateTime TEXT NOT NULL,
-                eventType TEXT NOT NULL,
-                country TEXT,
-                licensePlate TEXT NOT NULL,
-                lane TEXT,
-                direction TEXT,
-                confidenceLevel TEXT,
-                macAddress TEXT,
-                licensePlateImage TEXT,
-                vehicleImage TEXT,
-                detectionImage TEXT,
-                site_id INTEGER,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (site_id) REFERENCES sites(id)
-            )
-        `;
+// Builds the WHERE conditions shared by event listing and counting
+function buildEventFilters(options) {
+    const conditions = [];
+    const params = [];
 
+    // Free-text search used by the dashboard. Plates are searched in their
+    // normalised form, so "ab12-cde" finds AB12 CDE.
+    const search = normalizePlate(options.licensePlate);
+    if (search) {
+        conditions.push('plate_normalized LIKE ?');
+        params.push(`%${search}%`);
+    }
 
-        this.db.serialize(() => {
-            this.db.run(createSitesTableSQL, (err) => {
-                if (err) {
-                    console.error('Error creating sites table:', err);
-                } else {
-                    console.log('Sites table initialized');
-                }
-            });
+    if (options.plate) {
+        switch (options.plateMatch) {
+            case 'prefix':
+                conditions.push('plate_normalized LIKE ?');
+                params.push(`${normalizePlate(options.plate)}%`);
+                break;
+            case 'wildcard':
+                // * matches any run of characters, ? a single character
+                conditions.push('plate_normalized LIKE ?');
+                params.push(String(options.plate).toUpperCase().replace(/[^A-Z0-9*?]/g, '').replace(/\*/g, '%').replace(/\?/g, '_'));
+                break;
+            default:
+                conditions.push('plate_normalized = ?');
+                params.push(normalizePlate(options.plate));
+        }
+    }
 
-            this.db.run(createCamerasTableSQL, (err) => {
-                if (err) {
-                    console.error('Error creating cameras table:', err);
-                } else {
-                    console.log('Cameras table initialized');
-                }
-            });
+    const exact = {
+        siteId: 'site_id',
+        cameraId: 'camera_id',
+        channelID: 'channelID',
+        direction: 'direction',
+        lane: 'lane',
+        eventType: 'eventType',
+        country: 'country_iso',
+        plateValid: 'plate_valid',
+        reviewStatus: 'review_status',
+        reviewReason: 'review_reason'
+    };
+    Object.entries(exact).forEach(([option, column]) => {
+        if (options[option] !== undefined && options[option] !== null && options[option] !== '') {
+            conditions.push(`${column} = ?`);
+            params.push(options[option]);
+        }
+    });
 
-            this.db.run(createEventsTableSQL, (err) => {
-                if (err) {
-                    console.error('Error creating events table:', err);
-                } else {
-                    console.log('Events table initialized');
-                }
-            });
-        });
+    if (options.minConfidence !== undefined) {
+        conditions.push('CAST(confidenceLevel AS REAL) >= ?');
+        params.push(options.minConfidence);
     }
 
-    insertEvent(event) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const siteId = await this.createOrGetSite(event.channelID);
-                
-                const sql = `
-                    INSERT INTO events (
-                        channelID, dateTime, eventType, country, licensePlate,
-                        lane, direction, confidenceLevel, macAddress,
-                        licensePlateImage, vehicleImage, detectionImage,
-                        site_id
-                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `;
+    if (options.maxConfidence !== undefined) {
+        conditions.push('CAST(confidenceLevel AS REAL) <= ?');
+        params.push(options.maxConfidence);
+    }
 
-                const params = [
-                    event.channelID,
-                    event.dateTime,
-                    event.eventType,
-                    event.country,
-                    event.licensePlate,
-                    event.lane,
-                    event.direction,
-                    event.confidenceLevel,
-                    event.macAddress,
-                    event.images?.licensePlate,
-                    event.images?.vehicle,
-                    event.images?.detection,
-                    siteId
-                ];
+    if (options.dateFrom) {
+        conditions.push('dateTime >= ?');
+        params.push(options.dateFrom);
+    }
 
-                this.db.run(sql, params, function(err) {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve(this.lastID);
-                    }
-                });
-            } catch (error) {
-                reject(error);
-            }
-        });
+    if (options.dateTo) {
+        conditions.push('dateTime <= ?');
+        params.push(options.dateTo);
     }
 
-    getAllEvents(options = {}) {
-        return new Promise((resolve, reject) => {
-            let sql = 'SELECT * FROM events';
-            const params = [];
-            const conditions = [];
+    if (options.excludeRejected) {
+        conditions.push("review_status IS NOT 'rejected'");
+    }
 
-            if (options.licensePlate) {
-                conditions.push('licensePlate LIKE ?');
-                params.push(`%${options.licensePlate}%`);
-            }
+    addSiteScope(conditions, params, 'site_id', options.siteIds);
 
-            if (options.dateFrom) {
-                conditions.push('dateTime >= ?');
-                params.push(options.dateFrom);
-            }
+    return { conditions, params };
+}
 
-            if (options.dateTo) {
-                conditions.push('dateTime <= ?');
-                params.push(options.dateTo);
-            }
+// Builds the WHERE conditions shared by visit listing and counting
+function buildVisitFilters(options) {
+    const conditions = [];
+    const params = [];
 
-            if (conditions.length > 0) {
-                sql += ' WHERE ' + conditions.join(' AND ');
-            }
+    if (options.siteId) {
+        conditions.push('v.site_id = ?');
+        params.push(options.siteId);
+    }
+    if (options.plate) {
+        conditions.push('v.licensePlate = ?');
+        params.push(options.plate);
+    }
+    if (options.status) {
+        conditions.push('v.status = ?');
+        params.push(options.status);
+    }
+    if (options.from) {
+        conditions.push('COALESCE(v.entry_time, v.exit_time) >= ?');
+        params.push(options.from);
+    }
+    if (options.to) {
+        conditions.push('COALESCE(v.entry_time, v.exit_time) <= ?');
+        params.push(options.to);
+    }
+    if (options.minDuration !== undefined) {
+        conditions.push('v.duration_seconds >= ?');
+        params.push(options.minDuration);
+    }
+    if (options.maxDuration !== undefined) {
+        conditions.push('v.duration_seconds <= ?');
+        params.push(options.maxDuration);
+    }
+    if (options.afterId !== undefined) {
+        conditions.push('v.id > ?');
+        params.push(options.afterId);
+    }
+    addSiteScope(conditions, params, 'v.site_id', options.siteIds);
 
-            sql += ' ORDER BY dateTime DESC';
+    return { conditions, params };
+}
 
-            if (options.limit) {
-                sql += ' LIMIT ?';
-                params.push(options.limit);
-            }
+// Builds the WHERE clause for one vehicle's history: reads of a normalised
+// plate, less those rejected in review, within the caller's sites
+function buildVehicleFilters(plate, siteIds) {
+    const conditions = ['e.plate_normalized = ?', "e.review_status IS NOT 'rejected'"];
+    const params = [plate];
+    addSiteScope(conditions, params, 'e.site_id', siteIds);
+    return { where: conditions.join(' AND '), params };
+}
 
-            this.db.all(sql, params, (err, rows) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(rows);
-                }
-            });
-        });
-    }
+// Builds the WHERE conditions shared by passage listing and counting
+function buildPassageFilters(options) {
+    const conditions = [];
+    const params = [];
+    const filters = {
+        siteId: 'p.site_id = ?',
+        gateId: 'p.gate_id = ?',
+        plate: 'p.plate_canonical = ?',
+        from: 'p.first_seen >= ?',
+        to: 'p.first_seen <= ?'
+    };
+    Object.entries(filters).forEach(([option, condition]) => {
+        if (options[option]) {
+            conditions.push(condition);
+            params.push(options[option]);
+        }
+    });
+    addSiteScope(conditions, params, 'p.site_id', options.siteIds);
+    return { conditions, params };
+}
 
-    async createOrGetSite(channelID) {
-        return new Promise((resolve, reject) => {
-            const sql = `
-                INSERT OR IGNORE INTO sites (name) 
-                VALUES (?)
-                RETURNING id;
-            `;
-            
-            this.db.get(sql, [channelID], (err, row) => {
-                if (err) {
-                    reject(err);
-                } else if (row) {
-                    resolve(row.id);
-                } else {
-                    // If no id returned, get the existing site id
-                    this.db.get('SELECT id FROM sites WHERE name = ?', [channelID], (err, row) => {
-                        if (err) {
-                            reject(err);
-                        } else {
-                            resolve(row.id);
-                        }
-                    });
-                }
-            });
+// Events kept regardless of retention: flagged as evidence, matched a
+// watchlist, or backing a parking violation
+const PROTECTED_EVENT_SQL = `(
+    e.evidence = 1
+    OR EXISTS (SELECT 1 FROM alerts a WHERE a.event_id = e.id)
+    OR EXISTS (
+        SELECT 1 FROM violations v
+        LEFT JOIN visits vi ON vi.id = v.visit_id
+        WHERE e.id IN (v.event_id, vi.entry_event_id, vi.exit_event_id)
+    )
+)`;
+
+const HAS_IMAGES_SQL = '(e.licensePlateImage IS NOT NULL OR e.vehicleImage IS NOT NULL OR e.detectionImage IS NOT NULL)';
+
+// Tables holding a licensePlate copied from a read or typed in by an
+// operator, i.e. everything a data subject request has to cover
+const SUBJECT_TABLES = [
+    'events', 'visits', 'violations', 'alerts', 'permits', 'watchlist_entries', 'vehicle_days', 'passages', 'vehicle_profiles'
+];
+const REDACTED_PLATE = '[redacted]';
+
+// SQL counterpart of normalizePlate(), or canonicalPlate() when `fuzzy`.
+// Only the separators plates are actually written with are stripped, so
+// callers re-check candidates with the JS helpers.
+function plateKeySql(column, fuzzy) {
+    let sql = `UPPER(${column})`;
+    [' ', '-', '.', '_', '/'].forEach((char) => {
+        sql = `REPLACE(${sql}, '${char}', '')`;
+    });
+    if (fuzzy) {
+        Object.entries(OCR_CONFUSIONS).forEach(([from, to]) => {
+            sql = `REPLACE(${sql}, '${from}', '${to}')`;
         });
     }
+    return sql;
+}
 
-    getSiteStats() {
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    s.id,
-                    s.name,
-                    COUNT(e.id) as eventCount,
-                    MAX(e.dateTime) as lastDetection
-                FROM sites s
-                LEFT JOIN events e ON s.id = e.site_id
-                GROUP BY s.id, s.name
-                ORDER BY s.name
-            `;
+// Start of the reporting period a 15-minute traffic bucket falls in. Periods
+// follow the caller's clock: each takes a '+N minutes' shift into local time
+// and the matching '-N minutes' back to UTC as parameters.
+const TRAFFIC_PERIODS = {
+    '15min': { sql: "strftime('%Y-%m-%dT%H:%M:%fZ', bucket)", shifts: 0 },
+    hour: { sql: "strftime('%Y-%m-%dT%H:%M:%fZ', strftime('%Y-%m-%d %H:00:00', bucket, ?), ?)", shifts: 2 },
+    day: { sql: "strftime('%Y-%m-%dT%H:%M:%fZ', bucket, ?, 'start of day', ?)", shifts: 2 },
+    // Weeks start on Monday
+    week: { sql: "strftime('%Y-%m-%dT%H:%M:%fZ', bucket, ?, 'start of day', '-6 days', 'weekday 1', ?)", shifts: 2 }
+};
+const TRAFFIC_DIMENSIONS = { site: 'site_id', camera: 'camera_id', lane: 'lane', direction: 'direction' };
 
-            this.db.all(sql, [], (err, rows) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(rows);
-                }
-            });
-        });
+// Builds the WHERE conditions for traffic rollups. Rows without a site,
+// camera, lane or direction store 0 or '' in place of NULL.
+function buildTrafficFilters(options) {
+    const conditions = ['bucket >= ?', 'bucket < ?'];
+    const params = [options.from, options.to];
+    const exact = { siteId: 'site_id', cameraId: 'camera_id', lane: 'lane', direction: 'direction' };
+    Object.entries(exact).forEach(([option, column]) => {
+        if (options[option] !== undefined) {
+            conditions.push(`${column} = ?`);
+            params.push(options[option]);
+        }
+    });
+    addSiteScope(conditions, params, 'site_id', options.siteIds);
+    return { conditions, params };
+}
+
+// Same for the per-day plate and visit rollups, which are kept per site only
+function buildDailyFilters(options) {
+    const conditions = ['day >= ?', 'day <= ?'];
+    const params = [options.fromDay, options.toDay];
+    if (options.siteId !== undefined) {
+        conditions.push('site_id = ?');
+        params.push(options.siteId);
     }
+    addSiteScope(conditions, params, 'site_id', options.siteIds);
+    return { conditions, params };
+}
 
-    getEventStats() {
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    COUNT(*) as totalEvents,
-                    COUNT(DISTINCT licensePlate) as uniqueVehicles,
-                    COUNT(DISTINCT channelID) as activeChannels,
-                    COUNT(DISTINCT site_id) as totalSites,
-                    MAX(dateTime) as lastDetection
-                FROM events
-            `;
+function shiftModifiers(utcOffset) {
+    return [`${utcOffset >= 0 ? '+' : ''}${utcOffset} minutes`, `${-utcOffset} minutes`];
+}
+
+// How long a statement waits for another connection's transaction to finish
+const BUSY_TIMEOUT_MS = 30000;
 
-            this.db.get(sql, [], (err, row) => {
+// Cameras report MACs in either aa:bb:.. or AA-BB-.. form
+function normalizeMac(mac) {
+    const value = String(mac || '').trim().toLowerCase().replace(/-/g, ':');
+    return value || null;
+}
+
+class Database {
+    constructor() {
+        this.dbPath = config.databasePath;
+        this.transactionDb = null;
+        this.transactionQueue = Promise.resolve();
+        // Resolves once tables exist and migrations have run
+        this.ready = new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
                 if (err) {
+                    console.error('Error connecting to database:', err);
                     reject(err);
                 } else {
-                    resolve(row);
+                    console.log('Connected to SQLite database');
+                    this.initializeDatabase().then(resolve, reject);
                 }
             });
+            // Writes wait for a transaction on the other connection to finish
+            this.db.configure('busyTimeout', BUSY_TIMEOUT_MS);
         });
     }
 
-    async addCamera(camera) {
+    run(sql, params = []) {
         return new Promise((resolve, reject) => {
-            const sql = `
-                INSERT INTO cameras (channelID, macAddress, name, description, site_id)
-                VALUES (?, ?, ?, ?, ?)
-            `;
-            
-            this.db.run(sql, [
-                camera.channelID,
-                camera.macAddress,
-                camera.name,
-                camera.description,
-                camera.site_id
-            ], function(err) {
+            this.db.run(sql, params, function(err) {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(this.lastID);
+                    resolve({ lastID: this.lastID, changes: this.changes });
                 }
             });
         });
     }
 
-    async updateCamera(id, camera) {
+    get(sql, params = []) {
         return new Promise((resolve, reject) => {
-            const sql = `
-                UPDATE cameras
-                SET name = ?, description = ?, site_id = ?
-                WHERE id = ?
-            `;
-            
-            this.db.run(sql, [
-                camera.name,
-                camera.description,
-                camera.site_id,
-                id
-            ], function(err) {
+            this.db.get(sql, params, (err, row) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(this.changes);
+                    resolve(row || null);
                 }
             });
         });
     }
 
-    async deleteCamera(id) {
+    all(sql, params = []) {
         return new Promise((resolve, reject) => {
-            const sql = 'DELETE FROM cameras WHERE id = ?';
-            
-            this.db.run(sql, [id], function(err) {
+            this.db.all(sql, params, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(this.changes);
+                    resolve(rows);
                 }
             });
         });
     }
 
-    async getCameras(siteId = null) {
-        return new Promise((resolve, reject) => {
-            let sql = 'SELECT * FROM cameras';
-            const params = [];
-            
-            if (siteId) {
-                sql += ' WHERE site_id = ?';
-                params.push(siteId);
+    // Runs `work(tx)` inside a transaction and returns its result. `tx` is this
+    // database bound to a connection used only for transactions, so ingest and
+    // other statements on the shared connection never join one that may roll
+    // back. Transactions run one at a time; one started from inside `work`
+    // simply joins it.
+    transaction(work) {
+        if (this.inTransaction) {
+            return work(this);
+        }
+        const result = this.transactionQueue.then(async () => {
+            if (!this.transactionDb) {
+                this.transactionDb = new sqlite3.Database(this.dbPath);
+                this.transactionDb.configure('busyTimeout', BUSY_TIMEOUT_MS);
             }
-            
-            sql += ' ORDER BY name';
-            
-            this.db.all(sql, params, (err, rows) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(rows);
-                }
+            const tx = Object.create(this, {
+                db: { value: this.transactionDb },
+                inTransaction: { value: true }
             });
+            // IMMEDIATE takes the write lock up front, so two connections can
+            // never each hold a read lock while waiting to write
+            await tx.run('BEGIN IMMEDIATE');
+            try {
+                const value = await work(tx);
+                await tx.run('COMMIT');
+                return value;
+            } catch (err) {
+                await tx.run('ROLLBACK');
+                throw err;
+            }
         });
+        this.transactionQueue = result.catch(() => {});
+        return result;
     }
 
-    async deleteSite(id) {
-        return new Promise((resolve, reject) => {
-            const deleteEvents = () => {
-                return new Promise((resolveEvents, rejectEvents) => {
-                    this.db.run('DELETE FROM events WHERE site_id = ?', [id], (err) => {
-                        if (err) rejectEvents(err);
-                        else resolveEvents();
-                    });
-                });
-            };
-
-            const deleteCameras = () => {
-                return new Promise((resolveCameras, rejectCameras) => {
-                    this.db.run('DELETE FROM cameras WHERE site_id = ?', [id], (err) => {
-                        if (err) rejectCameras(err);
-                        else resolveCameras();
-                    });
-                });
-            };
-
-            const deleteSiteRecord = () => {
-                return new Promise((resolveSite, rejectSite) => {
-                    this.db.run('DELETE FROM sites WHERE id = ?', [id], function(err) {
-                        if (err) rejectSite(err);
-                        else resolveSite(this.changes);
-                    });
-                });
-            };
-
-            this.db.run('BEGIN TRANSACTION', async (err) => {
-                if (err) {
-                    return reject(err);
-                }
+    async initializeDatabase() {
+        const createSitesTableSQL = `
+            CREATE TABLE IF NOT EXISTS sites (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT,
+                description TEXT,
+                address TEXT,
+                latitude REAL,
+                longitude REAL,
+                -- IANA time zone of the site, e.g. Europe/London
+                timezone TEXT,
+                -- Parking spaces, compared against open visits for occupancy
+                capacity INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
 
-                try {
-                    await deleteEvents();
-                    await deleteCameras();
-                    const changes = await deleteSiteRecord();
-                    
-                    this.db.run('COMMIT', (commitErr) => {
-                        if (commitErr) {
-                            this.db.run('ROLLBACK', () => reject(commitErr));
-                        } else {
-                            resolve(changes);
-                        }
-                    });
-                } catch (error) {
-                    this.db.run('ROLLBACK', () => reject(error));
-                }
-            });
+        const createCamerasTableSQL = `
+            CREATE TABLE IF NOT EXISTS cameras (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                channelID TEXT NOT NULL,
+                macAddress TEXT,
+                name TEXT,
+                description TEXT,
+                site_id INTEGER,
+                status TEXT DEFAULT 'active',
+                last_seen TIMESTAMP,
+                direction_mode TEXT DEFAULT 'auto',
+                entry_direction TEXT DEFAULT 'forward',
+                exit_direction TEXT DEFAULT 'reverse',
+                expected_interval_seconds INTEGER,
+                health_status TEXT,
+                health_reason TEXT,
+                health_changed_at TEXT,
+                -- Ingest credentials: a hashed token, and the HA1 digest
+                -- (MD5 of username:realm:password) checked for Basic and Digest auth
+                ingest_token_hash TEXT,
+                auth_username TEXT,
+                auth_ha1 TEXT,
+                gate_id INTEGER,
+                dedup_seconds INTEGER,
+                review_threshold REAL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (site_id) REFERENCES sites(id),
+                FOREIGN KEY (gate_id) REFERENCES gates(id)
+            )
+        `;
+
+        const createEventsTableSQL = `
+            CREATE TABLE IF NOT EXISTS events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                channelID TEXT NOT NULL,
+                dateTime TEXT NOT NULL,
+                eventType TEXT NOT NULL,
+                country TEXT,
+                licensePlate TEXT NOT NULL,
+                plate_normalized TEXT,
+                country_iso TEXT,
+                plate_valid INTEGER,
+                review_status TEXT,
+                review_reason TEXT,
+                original_plate TEXT,
+                reviewed_by TEXT,
+                reviewed_at TIMESTAMP,
+                lane TEXT,
+                direction TEXT,
+                confidenceLevel TEXT,
+                macAddress TEXT,
+                licensePlateImage TEXT,
+                vehicleImage TEXT,
+                detectionImage TEXT,
+                plateColor TEXT,
+                region TEXT,
+                vehicleColor TEXT,
+                vehicleMake TEXT,
+                vehicleType TEXT,
+                site_id INTEGER,
+                camera_id INTEGER,
+                evidence INTEGER DEFAULT 0,
+                images_purged_at TIMESTAMP,
+                received_at TEXT,
+                source_ip TEXT,
+                duplicate_count INTEGER DEFAULT 0,
+                passage_id INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (site_id) REFERENCES sites(id),
+                FOREIGN KEY (camera_id) REFERENCES cameras(id),
+                FOREIGN KEY (passage_id) REFERENCES passages(id)
+            )
+        `;
+
+        const createWatchlistsTableSQL = `
+            CREATE TABLE IF NOT EXISTS watchlists (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                description TEXT,
+                fuzzy_match INTEGER DEFAULT 0,
+                active INTEGER DEFAULT 1,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        const createWatchlistEntriesTableSQL = `
+            CREATE TABLE IF NOT EXISTS watchlist_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                watchlist_id INTEGER NOT NULL,
+                licensePlate TEXT NOT NULL,
+                plate_normalized TEXT NOT NULL,
+                plate_canonical TEXT NOT NULL,
+                reason TEXT,
+                priority TEXT DEFAULT 'medium',
+                valid_from TEXT,
+                valid_to TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (watchlist_id) REFERENCES watchlists(id)
+            )
+        `;
+
+        const createAlertsTableSQL = `
+            CREATE TABLE IF NOT EXISTS alerts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type TEXT NOT NULL DEFAULT 'watchlist',
+                event_id INTEGER,
+                site_id INTEGER,
+                camera_id INTEGER,
+                watchlist_id INTEGER,
+                entry_id INTEGER,
+                licensePlate TEXT,
+                matched_plate TEXT,
+                match_type TEXT,
+                priority TEXT DEFAULT 'medium',
+                message TEXT,
+                status TEXT NOT NULL DEFAULT 'open',
+                acknowledged_by TEXT,
+                acknowledged_at TIMESTAMP,
+                resolved_by TEXT,
+                resolved_at TIMESTAMP,
+                notes TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (event_id) REFERENCES events(id),
+                FOREIGN KEY (site_id) REFERENCES sites(id),
+                FOREIGN KEY (watchlist_id) REFERENCES watchlists(id),
+                FOREIGN KEY (camera_id) REFERENCES cameras(id)
+            )
+        `;
+
+        const createWebhooksTableSQL = `
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT,
+                url TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                site_id INTEGER,
+                channelID TEXT,
+                eventType TEXT,
+                watchlist_only INTEGER DEFAULT 0,
+                include_images TEXT DEFAULT 'link',
+                active INTEGER DEFAULT 1,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (site_id) REFERENCES sites(id)
+            )
+        `;
+
+        const createWebhookDeliveriesTableSQL = `
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                webhook_id INTEGER NOT NULL,
+                event_id INTEGER,
+                type TEXT NOT NULL DEFAULT 'detection',
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                next_attempt_at TEXT,
+                last_status_code INTEGER,
+                last_error TEXT,
+                delivered_at TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (webhook_id) REFERENCES webhooks(id),
+                FOREIGN KEY (event_id) REFERENCES events(id)
+            )
+        `;
+
+        const createVisitsTableSQL = `
+            CREATE TABLE IF NOT EXISTS visits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                site_id INTEGER,
+                licensePlate TEXT NOT NULL,
+                entry_event_id INTEGER,
+                exit_event_id INTEGER,
+                entry_time TEXT,
+                exit_time TEXT,
+                duration_seconds INTEGER,
+                status TEXT NOT NULL DEFAULT 'open',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (site_id) REFERENCES sites(id),
+                FOREIGN KEY (entry_event_id) REFERENCES events(id),
+                FOREIGN KEY (exit_event_id) REFERENCES events(id)
+            )
+        `;
+
+        const createPermitsTableSQL = `
+            CREATE TABLE IF NOT EXISTS permits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                site_id INTEGER NOT NULL,
+                licensePlate TEXT NOT NULL,
+                plate_normalized TEXT NOT NULL,
+                holder TEXT,
+                valid_from TEXT,
+                valid_to TEXT,
+                schedule TEXT,
+                max_stay_minutes INTEGER,
+                notes TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (site_id) REFERENCES sites(id)
+            )
+        `;
+
+        const createParkingRulesTableSQL = `
+            CREATE TABLE IF NOT EXISTS site_parking_rules (
+                site_id INTEGER PRIMARY KEY,
+                enabled INTEGER DEFAULT 0,
+                grace_minutes INTEGER DEFAULT 15,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (site_id) REFERENCES sites(id)
+            )
+        `;
+
+        const createViolationsTableSQL = `
+            CREATE TABLE IF NOT EXISTS violations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                site_id INTEGER,
+                visit_id INTEGER,
+                event_id INTEGER,
+                permit_id INTEGER,
+                licensePlate TEXT NOT NULL,
+                type TEXT NOT NULL,
+                details TEXT,
+                status TEXT NOT NULL DEFAULT 'pending',
+                reviewed_by TEXT,
+                reviewed_at TIMESTAMP,
+                review_notes TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (site_id) REFERENCES sites(id),
+                FOREIGN KEY (visit_id) REFERENCES visits(id),
+                FOREIGN KEY (event_id) REFERENCES events(id),
+                FOREIGN KEY (permit_id) REFERENCES permits(id),
+                UNIQUE(visit_id, type)
+            )
+        `;
+
+        // Per-site overrides of the retention defaults. NULL inherits the
+        // default, 0 keeps forever.
+        const createRetentionTableSQL = `
+            CREATE TABLE IF NOT EXISTS site_retention (
+                site_id INTEGER PRIMARY KEY,
+                image_days INTEGER,
+                metadata_days INTEGER,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (site_id) REFERENCES sites(id)
+            )
+        `;
+
+        // One row per online/offline transition, used for uptime history
+        const createCameraHealthTableSQL = `
+            CREATE TABLE IF NOT EXISTS camera_health_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                camera_id INTEGER NOT NULL,
+                status TEXT NOT NULL,
+                reason TEXT,
+                changed_at TEXT NOT NULL,
+                FOREIGN KEY (camera_id) REFERENCES cameras(id)
+            )
+        `;
+
+        // Dashboard accounts. site_ids is a JSON array of the sites the user
+        // is limited to, NULL for every site.
+        const createUsersTableSQL = `
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL DEFAULT 'viewer',
+                site_ids TEXT,
+                active INTEGER DEFAULT 1,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_login_at TIMESTAMP
+            )
+        `;
+
+        // Only hashes of session tokens and API keys are stored
+        const createSessionsTableSQL = `
+            CREATE TABLE IF NOT EXISTS sessions (
+                token_hash TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                expires_at TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `;
+
+        const createApiKeysTableSQL = `
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                key_prefix TEXT NOT NULL,
+                key_hash TEXT NOT NULL UNIQUE,
+                role TEXT NOT NULL DEFAULT 'viewer',
+                site_ids TEXT,
+                created_by INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at TEXT,
+                last_used_at TEXT,
+                revoked_at TEXT,
+                FOREIGN KEY (created_by) REFERENCES users(id)
+            )
+        `;
+
+        // Server-wide values generated on first start, such as the signing secret
+        const createSettingsTableSQL = `
+            CREATE TABLE IF NOT EXISTS settings (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            )
+        `;
+
+        // SHA-256 of every picture as received, so evidence can be shown to
+        // be unaltered. thumbnail_status is NULL until its smaller copies
+        // have been made, then 'ready' or 'failed'.
+        const createEventImagesTableSQL = `
+            CREATE TABLE IF NOT EXISTS event_images (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                kind TEXT NOT NULL,
+                filename TEXT NOT NULL,
+                sha256 TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                content_type TEXT,
+                created_at TEXT NOT NULL,
+                thumbnail_status TEXT,
+                FOREIGN KEY (event_id) REFERENCES events(id),
+                UNIQUE(event_id, kind)
+            )
+        `;
+
+        // Exports too large to stream while the caller waits. `options` holds
+        // the filters and site scope the export was requested with.
+        const createExportJobsTableSQL = `
+            CREATE TABLE IF NOT EXISTS export_jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type TEXT NOT NULL,
+                format TEXT NOT NULL,
+                options TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                rows INTEGER,
+                size INTEGER,
+                filename TEXT,
+                error TEXT,
+                requested_by TEXT,
+                requested_by_type TEXT NOT NULL,
+                requested_by_id INTEGER,
+                created_at TEXT NOT NULL,
+                started_at TEXT,
+                finished_at TEXT,
+                expires_at TEXT
+            )
+        `;
+
+        // Read counts per 15 minutes, kept up to date by the analytics job so
+        // traffic reports never scan events. Missing ids and values are stored
+        // as 0 and '' so that the key stays unique.
+        const createTrafficRollupsTableSQL = `
+            CREATE TABLE IF NOT EXISTS traffic_rollups (
+                bucket TEXT NOT NULL,
+                site_id INTEGER NOT NULL DEFAULT 0,
+                camera_id INTEGER NOT NULL DEFAULT 0,
+                lane TEXT NOT NULL DEFAULT '',
+                direction TEXT NOT NULL DEFAULT '',
+                reads INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (bucket, site_id, camera_id, lane, direction)
+            )
+        `;
+
+        // Normalised plates seen per site and UTC day, for unique and repeat
+        // vehicle counts. Pruned with event metadata retention.
+        const createVehicleDaysTableSQL = `
+            CREATE TABLE IF NOT EXISTS vehicle_days (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                day TEXT NOT NULL,
+                site_id INTEGER NOT NULL DEFAULT 0,
+                licensePlate TEXT NOT NULL,
+                reads INTEGER NOT NULL DEFAULT 0,
+                UNIQUE(day, site_id, licensePlate)
+            )
+        `;
+
+        // Closed visits and their combined length per site and UTC day of exit
+        const createVisitRollupsTableSQL = `
+            CREATE TABLE IF NOT EXISTS visit_rollups (
+                day TEXT NOT NULL,
+                site_id INTEGER NOT NULL DEFAULT 0,
+                visits INTEGER NOT NULL DEFAULT 0,
+                dwell_seconds INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (day, site_id)
+            )
+        `;
+
+        // Cameras covering the same stretch of road, such as the front and
+        // rear cameras of a barrier
+        const createGatesTableSQL = `
+            CREATE TABLE IF NOT EXISTS gates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                site_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                window_seconds INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (site_id) REFERENCES sites(id)
+            )
+        `;
+
+        // One vehicle going through a gate; every read of it points here
+        // through events.passage_id. licensePlate and confidence are those of
+        // the most confident read, first_seen/last_seen are read times.
+        const createPassagesTableSQL = `
+            CREATE TABLE IF NOT EXISTS passages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                gate_id INTEGER NOT NULL,
+                site_id INTEGER,
+                licensePlate TEXT NOT NULL,
+                plate_canonical TEXT NOT NULL,
+                confidence REAL,
+                first_event_id INTEGER NOT NULL,
+                best_event_id INTEGER NOT NULL,
+                event_count INTEGER NOT NULL DEFAULT 1,
+                first_seen TEXT NOT NULL,
+                last_seen TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (gate_id) REFERENCES gates(id),
+                FOREIGN KEY (site_id) REFERENCES sites(id)
+            )
+        `;
+
+        // Operator notes and tags on a vehicle, keyed by normalised plate
+        const createVehicleProfilesTableSQL = `
+            CREATE TABLE IF NOT EXISTS vehicle_profiles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                licensePlate TEXT NOT NULL UNIQUE,
+                notes TEXT,
+                tags TEXT,
+                updated_by TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Edit history of reads settled in the review queue; the plate as
+        // first read stays in events.original_plate
+        const createEventReviewsTableSQL = `
+            CREATE TABLE IF NOT EXISTS event_reviews (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                action TEXT NOT NULL,
+                reason TEXT,
+                plate_before TEXT,
+                plate_after TEXT,
+                notes TEXT,
+                reviewed_by TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (event_id) REFERENCES events(id)
+            )
+        `;
+
+        // Append-only: triggers added below reject updates and deletes.
+        // before/after/details hold JSON.
+        const createAuditLogTableSQL = `
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                created_at TEXT NOT NULL,
+                actor TEXT,
+                actor_type TEXT NOT NULL,
+                actor_id INTEGER,
+                ip TEXT,
+                action TEXT NOT NULL,
+                entity_type TEXT,
+                entity_id TEXT,
+                site_id INTEGER,
+                details TEXT,
+                before TEXT,
+                after TEXT
+            )
+        `;
+
+        await new Promise((resolve) => this.db.serialize(() => {
+            this.createTable('Sites', createSitesTableSQL);
+            this.createTable('Cameras', createCamerasTableSQL);
+            this.createTable('Events', createEventsTableSQL);
+            this.createTable('Watchlists', createWatchlistsTableSQL);
+            this.createTable('Watchlist entries', createWatchlistEntriesTableSQL);
+            this.createTable('Alerts', createAlertsTableSQL);
+            this.createTable('Webhooks', createWebhooksTableSQL);
+            this.createTable('Webhook deliveries', createWebhookDeliveriesTableSQL);
+            this.createTable('Visits', createVisitsTableSQL);
+            this.createTable('Permits', createPermitsTableSQL);
+            this.createTable('Site parking rules', createParkingRulesTableSQL);
+            this.createTable('Violations', createViolationsTableSQL);
+            this.createTable('Camera health', createCameraHealthTableSQL);
+            this.createTable('Site retention', createRetentionTableSQL);
+            this.createTable('Users', createUsersTableSQL);
+            this.createTable('Sessions', createSessionsTableSQL);
+            this.createTable('API keys', createApiKeysTableSQL);
+            this.createTable('Settings', createSettingsTableSQL);
+            this.createTable('Audit log', createAuditLogTableSQL);
+            this.createTable('Event images', createEventImagesTableSQL);
+            this.createTable('Export jobs', createExportJobsTableSQL);
+            this.createTable('Traffic rollups', createTrafficRollupsTableSQL);
+            this.createTable('Vehicle days', createVehicleDaysTableSQL);
+            this.createTable('Visit rollups', createVisitRollupsTableSQL);
+            this.createTable('Gates', createGatesTableSQL);
+            this.createTable('Passages', createPassagesTableSQL);
+            this.createTable('Event reviews', createEventReviewsTableSQL);
+            this.createTable('Vehicle profiles', createVehicleProfilesTableSQL);
+
+            this.createIndexes([
+                'CREATE INDEX IF NOT EXISTS idx_watchlist_entries_normalized ON watchlist_entries(plate_normalized)',
+                'CREATE INDEX IF NOT EXISTS idx_watchlist_entries_canonical ON watchlist_entries(plate_canonical)',
+                'CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status, created_at)',
+                'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)',
+                'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id)',
+                'CREATE INDEX IF NOT EXISTS idx_visits_open ON visits(site_id, licensePlate, status)',
+                'CREATE INDEX IF NOT EXISTS idx_visits_entry_time ON visits(entry_time)',
+                'CREATE INDEX IF NOT EXISTS idx_permits_plate ON permits(site_id, plate_normalized)',
+                'CREATE INDEX IF NOT EXISTS idx_violations_status ON violations(status, created_at)',
+                'CREATE INDEX IF NOT EXISTS idx_camera_health_camera ON camera_health_events(camera_id, changed_at)',
+                'CREATE INDEX IF NOT EXISTS idx_alerts_event ON alerts(event_id)',
+                'CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)',
+                'CREATE INDEX IF NOT EXISTS idx_events_plate_image ON events(licensePlateImage)',
+                'CREATE INDEX IF NOT EXISTS idx_events_vehicle_image ON events(vehicleImage)',
+                'CREATE INDEX IF NOT EXISTS idx_events_detection_image ON events(detectionImage)',
+                'CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at)',
+                'CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log(entity_type, entity_id)',
+                'CREATE INDEX IF NOT EXISTS idx_event_images_filename ON event_images(filename)',
+                'CREATE INDEX IF NOT EXISTS idx_export_jobs_status ON export_jobs(status, id)',
+                'CREATE INDEX IF NOT EXISTS idx_traffic_rollups_site ON traffic_rollups(site_id, bucket)',
+                'CREATE INDEX IF NOT EXISTS idx_vehicle_days_plate ON vehicle_days(licensePlate)',
+                'CREATE INDEX IF NOT EXISTS idx_passages_gate ON passages(gate_id, plate_canonical, last_seen)',
+                'CREATE INDEX IF NOT EXISTS idx_passages_site ON passages(site_id, first_seen)',
+                'CREATE INDEX IF NOT EXISTS idx_event_reviews_event ON event_reviews(event_id)'
+            ]);
+
+            // Runs after everything queued above
+            this.db.get('SELECT 1', () => resolve());
+        }));
+
+        // Columns added after the first release; older databases pick them up here
+        await this.ensureColumns('events', {
+            plateColor: 'TEXT',
+            region: 'TEXT',
+            vehicleColor: 'TEXT',
+            vehicleMake: 'TEXT',
+            vehicleType: 'TEXT',
+            camera_id: 'INTEGER REFERENCES cameras(id)',
+            evidence: 'INTEGER DEFAULT 0',
+            images_purged_at: 'TIMESTAMP',
+            received_at: 'TEXT',
+            source_ip: 'TEXT',
+            duplicate_count: 'INTEGER DEFAULT 0',
+            passage_id: 'INTEGER REFERENCES passages(id)',
+            plate_normalized: 'TEXT',
+            country_iso: 'TEXT',
+            plate_valid: 'INTEGER',
+            review_status: 'TEXT',
+            review_reason: 'TEXT',
+            original_plate: 'TEXT',
+            reviewed_by: 'TEXT',
+            reviewed_at: 'TIMESTAMP'
+        });
+
+        await this.ensureColumns('sites', {
+            address: 'TEXT',
+            latitude: 'REAL',
+            longitude: 'REAL',
+            timezone: 'TEXT',
+            capacity: 'INTEGER'
+        });
+
+        await this.ensureColumns('cameras', {
+            direction_mode: "TEXT DEFAULT 'auto'",
+            entry_direction: "TEXT DEFAULT 'forward'",
+            exit_direction: "TEXT DEFAULT 'reverse'",
+            expected_interval_seconds: 'INTEGER',
+            health_status: 'TEXT',
+            health_reason: 'TEXT',
+            health_changed_at: 'TEXT',
+            ingest_token_hash: 'TEXT',
+            auth_username: 'TEXT',
+            auth_ha1: 'TEXT',
+            gate_id: 'INTEGER REFERENCES gates(id)',
+            dedup_seconds: 'INTEGER',
+            review_threshold: 'REAL'
+        });
+
+        await this.ensureColumns('event_images', {
+            thumbnail_status: 'TEXT'
+        });
+
+        await this.ensureColumns('alerts', {
+            camera_id: 'INTEGER REFERENCES cameras(id)'
+        });
+
+        await this.migrateCameraIdentity(createCamerasTableSQL);
+        await this.renameDuplicateSites();
+        await this.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_sites_name ON sites(name COLLATE NOCASE)');
+        await this.run("CREATE UNIQUE INDEX IF NOT EXISTS idx_cameras_identity ON cameras(channelID, IFNULL(macAddress, ''))");
+        await this.run('CREATE INDEX IF NOT EXISTS idx_events_camera ON events(camera_id)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_events_created ON events(created_at)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_events_camera_received ON events(camera_id, received_at)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_events_passage ON events(passage_id)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_events_plate_normalized ON events(plate_normalized)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_events_review ON events(review_status, id)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_event_images_thumbnails ON event_images(thumbnail_status, id)');
+        await this.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_cameras_ingest_token ON cameras(ingest_token_hash)');
+        await this.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_cameras_auth_username ON cameras(auth_username)');
+        for (const operation of ['UPDATE', 'DELETE']) {
+            await this.run(`
+                CREATE TRIGGER IF NOT EXISTS audit_log_no_${operation.toLowerCase()}
+                BEFORE ${operation} ON audit_log
+                BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+            `);
+        }
+        await this.linkEventCameras();
+        await this.normalizeEventPlates();
+        await this.remapEventCountries();
+    }
+
+    createTable(label, sql) {
+        this.db.run(sql, (err) => {
+            if (err) {
+                console.error(`Error creating ${label.toLowerCase()} table:`, err);
+            } else {
+                console.log(`${label} table initialized`);
+            }
+        });
+    }
+
+    createIndexes(statements) {
+        statements.forEach((sql) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    console.error('Error creating index:', err);
+                }
+            });
+        });
+    }
+
+    async ensureColumns(table, columns) {
+        let rows;
+        try {
+            rows = await this.all(`PRAGMA table_info(${table})`);
+        } catch (err) {
+            console.error(`Error reading ${table} schema:`, err);
+            return;
+        }
+
+        const existing = new Set(rows.map(row => row.name));
+        for (const [name, definition] of Object.entries(columns)) {
+            if (existing.has(name)) continue;
+            try {
+                await this.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+                console.log(`Added ${table}.${name} column`);
+            } catch (err) {
+                console.error(`Error adding ${table}.${name} column:`, err);
+            }
+        }
+    }
+
+    // Cameras used to be unique by channelID alone, but every single-channel
+    // camera reports channel 1. Older databases get the table rebuilt so the
+    // identity becomes channelID + MAC address.
+    async migrateCameraIdentity(createCamerasTableSQL) {
+        const table = await this.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'cameras'");
+        if (!table || !/UNIQUE\s*\(\s*channelID\s*\)/i.test(table.sql)) return;
+
+        const columns = (await this.all('PRAGMA table_info(cameras)')).map(column => column.name).join(', ');
+        await this.run('BEGIN TRANSACTION');
+        try {
+            // Build the replacement under a new name so foreign keys pointing
+            // at cameras are left alone
+            await this.run(createCamerasTableSQL.replace('cameras (', 'cameras_new ('));
+            await this.run(`INSERT INTO cameras_new (${columns}) SELECT ${columns} FROM cameras`);
+            await this.run('DROP TABLE cameras');
+            await this.run('ALTER TABLE cameras_new RENAME TO cameras');
+            await this.run('COMMIT');
+            console.log('Migrated cameras table to channelID + MAC identity');
+        } catch (err) {
+            await this.run('ROLLBACK');
+            throw err;
+        }
+    }
+
+    // Site names are unique regardless of case. Older databases could hold the
+    // same name twice, so every copy after the first gets its ID appended.
+    async renameDuplicateSites() {
+        const duplicates = await this.all(`
+            SELECT s.id, s.name FROM sites s
+            WHERE EXISTS (SELECT 1 FROM sites o WHERE o.name = s.name COLLATE NOCASE AND o.id < s.id)
+        `);
+        for (const site of duplicates) {
+            await this.run('UPDATE sites SET name = ? WHERE id = ?', [`${site.name} (${site.id})`, site.id]);
+            console.log(`Renamed duplicate site ${site.id} to "${site.name} (${site.id})"`);
+        }
+    }
+
+    // Links events stored before camera_id existed to their camera, registering
+    // cameras that were never configured. Events move to the camera's site when
+    // it has one; otherwise they keep the per-channel site they were filed under.
+    async linkEventCameras() {
+        const groups = await this.all(`
+            SELECT channelID, macAddress, MIN(site_id) as site_id, MAX(created_at) as last_seen
+            FROM events
+            WHERE camera_id IS NULL
+            GROUP BY channelID, macAddress
+        `);
+
+        for (const group of groups) {
+            let camera = await this.findCamera(group.channelID, group.macAddress);
+            if (!camera) {
+                camera = await this.registerCamera({
+                    channelID: group.channelID,
+                    macAddress: group.macAddress,
+                    site_id: group.site_id,
+                    status: group.site_id ? 'active' : 'pending'
+                });
+            }
+            await this.run(`
+                UPDATE events SET camera_id = ?, site_id = COALESCE(?, site_id)
+                WHERE camera_id IS NULL AND channelID = ? AND macAddress IS ?
+            `, [camera.id, camera.site_id, group.channelID, group.macAddress]);
+            await this.run(`
+                UPDATE cameras SET last_seen = ?
+                WHERE id = ? AND (last_seen IS NULL OR last_seen < ?)
+            `, [group.last_seen, camera.id, group.last_seen]);
+        }
+
+        if (groups.length) {
+            console.log(`Linked events from ${groups.length} camera(s)`);
+        }
+    }
+
+    // Fills in the normalised plate and country of events stored before they
+    // were recorded. Their format is left unchecked rather than sending every
+    // old read for review.
+    async normalizeEventPlates() {
+        let total = 0;
+        let batch;
+        do {
+            batch = await this.all('SELECT id, licensePlate, country FROM events WHERE plate_normalized IS NULL LIMIT 1000');
+            await this.run('BEGIN TRANSACTION');
+            try {
+                for (const event of batch) {
+                    await this.run('UPDATE events SET plate_normalized = ?, country_iso = ? WHERE id = ?', [
+                        normalizePlate(event.licensePlate),
+                        countryIso(event.country),
+                        event.id
+                    ]);
+                }
+                await this.run('COMMIT');
+            } catch (err) {
+                await this.run('ROLLBACK');
+                throw err;
+            }
+            total += batch.length;
+        } while (batch.length);
+
+        if (total) {
+            console.log(`Normalised plates of ${total} event(s)`);
+        }
+    }
+
+    // Keeps the ISO country of reads with a numeric country in step with
+    // HIK_COUNTRY_MAP, which may have changed since they were stored
+    async remapEventCountries() {
+        const codes = await this.all(`
+            SELECT DISTINCT country, country_iso FROM events
+            WHERE country GLOB '[0-9]*'
+        `);
+        for (const code of codes) {
+            const iso = countryIso(code.country);
+            if (iso !== code.country_iso) {
+                await this.run('UPDATE events SET country_iso = ? WHERE country = ?', [iso, code.country]);
+            }
+        }
+    }
+
+    insertEvent(event) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                // Events belong to the site of the camera that read them;
+                // unadopted cameras have no site yet. Ingest passes the
+                // camera it has already looked up.
+                const camera = event.camera || await this.recordCameraRead(event.channelID, event.macAddress);
+
+                const sql = `
+                    INSERT INTO events (
+                        channelID, dateTime, eventType, country, licensePlate,
+                        plate_normalized, country_iso, plate_valid, review_status, review_reason,
+                        lane, direction, confidenceLevel, macAddress,
+                        licensePlateImage, vehicleImage, detectionImage,
+                        plateColor, region, vehicleColor, vehicleMake, vehicleType,
+                        site_id, camera_id, received_at, source_ip, passage_id
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `;
+
+                const params = [
+                    event.channelID,
+                    event.dateTime,
+                    event.eventType,
+                    event.country,
+                    event.licensePlate,
+                    event.plateNormalized ?? normalizePlate(event.licensePlate),
+                    event.countryIso ?? null,
+                    event.plateValid === undefined ? null : Number(event.plateValid),
+                    event.reviewReason ? 'pending' : null,
+                    event.reviewReason || null,
+                    event.lane,
+                    event.direction,
+                    event.confidenceLevel,
+                    event.macAddress,
+                    event.images?.licensePlate,
+                    event.images?.vehicle,
+                    event.images?.detection,
+                    event.plateColor,
+                    event.region,
+                    event.vehicleColor,
+                    event.vehicleMake,
+                    event.vehicleType,
+                    camera.site_id,
+                    camera.id,
+                    event.receivedAt,
+                    event.sourceIp,
+                    event.passageId || null
+                ];
+
+                this.db.run(sql, params, function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                });
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    getAllEvents(options = {}) {
+        return new Promise((resolve, reject) => {
+            const { conditions, params } = buildEventFilters(options);
+            const sortKey = EVENT_SORT_KEYS[options.sort] || EVENT_SORT_KEYS.dateTime;
+            const column = EVENT_SORT_KEYS[options.sort] ? options.sort : 'dateTime';
+            const descending = options.order !== 'asc';
+
+            // Keyset paging: continue after the last row of the previous page
+            if (options.after) {
+                const op = descending ? '<' : '>';
+                conditions.push(`(${sortKey(column)} ${op} ${sortKey('?')} OR (${sortKey(column)} = ${sortKey('?')} AND id ${op} ?))`);
+                params.push(options.after.value, options.after.value, options.after.id);
+            }
+
+            let sql = 'SELECT * FROM events';
+
+            if (conditions.length > 0) {
+                sql += ' WHERE ' + conditions.join(' AND ');
+            }
+
+            const direction = descending ? 'DESC' : 'ASC';
+            sql += ` ORDER BY ${sortKey(column)} ${direction}, id ${direction}`;
+
+            if (options.limit) {
+                sql += ' LIMIT ?';
+                params.push(options.limit);
+
+                if (options.offset) {
+                    sql += ' OFFSET ?';
+                    params.push(options.offset);
+                }
+            }
+
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    eventSortFields() {
+        return Object.keys(EVENT_SORT_KEYS);
+    }
+
+    countEvents(options = {}) {
+        return new Promise((resolve, reject) => {
+            const { conditions, params } = buildEventFilters(options);
+            let sql = 'SELECT COUNT(*) as total FROM events';
+
+            if (conditions.length > 0) {
+                sql += ' WHERE ' + conditions.join(' AND ');
+            }
+
+            this.db.get(sql, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row.total);
+                }
+            });
+        });
+    }
+
+    getEventById(id) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT e.*, s.name as siteName, c.name as cameraName
+                FROM events e
+                LEFT JOIN sites s ON s.id = e.site_id
+                LEFT JOIN cameras c ON c.id = e.camera_id
+                WHERE e.id = ?
+            `;
+
+            this.db.get(sql, [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    getSiteById(id) {
+        return this.get('SELECT * FROM sites WHERE id = ?', [id]);
+    }
+
+    async createOrGetSite(name) {
+        await this.run('INSERT OR IGNORE INTO sites (name) VALUES (?)', [name]);
+        const site = await this.get('SELECT id FROM sites WHERE name = ? COLLATE NOCASE', [name]);
+        return site.id;
+    }
+
+    async createSite(site) {
+        const result = await this.run(`
+            INSERT INTO sites (name, description, address, latitude, longitude, timezone, capacity)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            site.name,
+            site.description,
+            site.address,
+            site.latitude,
+            site.longitude,
+            site.timezone,
+            site.capacity
+        ]);
+        return result.lastID;
+    }
+
+    async updateSite(id, site) {
+        const result = await this.run(`
+            UPDATE sites
+            SET name = ?, description = ?, address = ?, latitude = ?, longitude = ?,
+                timezone = ?, capacity = ?
+            WHERE id = ?
+        `, [
+            site.name,
+            site.description,
+            site.address,
+            site.latitude,
+            site.longitude,
+            site.timezone,
+            site.capacity,
+            id
+        ]);
+        return result.changes;
+    }
+
+    // Every site, or only `siteId`, with its event count, last detection and
+    // the number of vehicles on site
+    getSiteStats(siteId = null) {
+        return this.all(`
+            SELECT
+                s.*,
+                COUNT(e.id) as eventCount,
+                MAX(e.dateTime) as lastDetection,
+                (SELECT COUNT(*) FROM visits v WHERE v.site_id = s.id AND v.status = 'open') as occupancy
+            FROM sites s
+            LEFT JOIN events e ON s.id = e.site_id
+            ${siteId === null ? '' : 'WHERE s.id = ?'}
+            GROUP BY s.id
+            ORDER BY s.name
+        `, siteId === null ? [] : [siteId]);
+    }
+
+    getEventStats(siteIds = null) {
+        return new Promise((resolve, reject) => {
+            const conditions = [];
+            const params = [];
+            addSiteScope(conditions, params, 'site_id', siteIds);
+            const sql = `
+                SELECT 
+                    COUNT(*) as totalEvents,
+                    COUNT(DISTINCT licensePlate) as uniqueVehicles,
+                    COUNT(DISTINCT channelID) as activeChannels,
+                    COUNT(DISTINCT site_id) as totalSites,
+                    MAX(dateTime) as lastDetection
+                FROM events
+                ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+            `;
+
+            this.db.get(sql, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    async addCamera(camera) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO cameras (
+                    channelID, macAddress, name, description, site_id,
+                    direction_mode, entry_direction, exit_direction, expected_interval_seconds,
+                    gate_id, dedup_seconds, review_threshold
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+            
+            this.db.run(sql, [
+                camera.channelID,
+                normalizeMac(camera.macAddress),
+                camera.name,
+                camera.description,
+                camera.site_id,
+                camera.direction_mode || 'auto',
+                camera.entry_direction || 'forward',
+                camera.exit_direction || 'reverse',
+                camera.expected_interval_seconds || null,
+                camera.gate_id || null,
+                camera.dedup_seconds ?? null,
+                camera.review_threshold ?? null
+            ], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    // `camera` holds every editable column; callers merge partial updates
+    // with the stored camera first
+    async updateCamera(id, camera) {
+        const result = await this.run(`
+            UPDATE cameras
+            SET name = ?, description = ?, site_id = ?,
+                direction_mode = ?, entry_direction = ?, exit_direction = ?,
+                expected_interval_seconds = ?, gate_id = ?, dedup_seconds = ?, review_threshold = ?
+            WHERE id = ?
+        `, [
+            camera.name,
+            camera.description,
+            camera.site_id,
+            camera.direction_mode,
+            camera.entry_direction,
+            camera.exit_direction,
+            camera.expected_interval_seconds,
+            camera.gate_id,
+            camera.dedup_seconds,
+            camera.review_threshold,
+            id
+        ]);
+        return result.changes;
+    }
+
+    async deleteCamera(id) {
+        return new Promise((resolve, reject) => {
+            const sql = 'DELETE FROM cameras WHERE id = ?';
+            
+            this.db.run(sql, [id], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    async getCameras(siteId = null, status = null) {
+        return new Promise((resolve, reject) => {
+            let sql = 'SELECT * FROM cameras';
+            const conditions = [];
+            const params = [];
+            
+            if (siteId) {
+                conditions.push('site_id = ?');
+                params.push(siteId);
+            }
+
+            if (status) {
+                conditions.push('status = ?');
+                params.push(status);
+            }
+
+            if (conditions.length > 0) {
+                sql += ' WHERE ' + conditions.join(' AND ');
+            }
+            
+            sql += ' ORDER BY name';
+            
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Removes a site with everything recorded there. Rows that point at the
+    // site's events, visits, permits or cameras go first so nothing is left
+    // referring to a deleted row.
+    async deleteSite(id) {
+        return this.transaction(async (tx) => {
+            const siteEvents = 'SELECT id FROM events WHERE site_id = ?';
+            await tx.run(`
+                DELETE FROM alerts
+                WHERE site_id = ? OR event_id IN (${siteEvents})
+                   OR camera_id IN (SELECT id FROM cameras WHERE site_id = ?)
+            `, [id, id, id]);
+            await tx.run(`
+                DELETE FROM violations
+                WHERE site_id = ? OR event_id IN (${siteEvents})
+                   OR visit_id IN (SELECT id FROM visits WHERE site_id = ?)
+                   OR permit_id IN (SELECT id FROM permits WHERE site_id = ?)
+            `, [id, id, id, id]);
+            for (const table of ['webhook_deliveries', 'event_images', 'event_reviews']) {
+                await tx.run(`DELETE FROM ${table} WHERE event_id IN (${siteEvents})`, [id]);
+            }
+            // Subscriptions to the site go with it; clearing their site would
+            // send them every other site's reads
+            await tx.run('DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT id FROM webhooks WHERE site_id = ?)', [id]);
+            await tx.run('DELETE FROM webhooks WHERE site_id = ?', [id]);
+            // Accounts keep their other sites. One left with none sees no
+            // site rather than every site, which NULL would mean.
+            for (const table of ['users', 'api_keys']) {
+                await tx.run(`
+                    UPDATE ${table}
+                    SET site_ids = (
+                        SELECT json_group_array(value) FROM json_each(${table}.site_ids)
+                        WHERE CAST(value AS INTEGER) != ?
+                    )
+                    WHERE EXISTS (SELECT 1 FROM json_each(${table}.site_ids) WHERE CAST(value AS INTEGER) = ?)
+                `, [id, id]);
+            }
+            await tx.run(`
+                DELETE FROM visits
+                WHERE site_id = ? OR entry_event_id IN (${siteEvents}) OR exit_event_id IN (${siteEvents})
+            `, [id, id, id]);
+            await tx.run('DELETE FROM camera_health_events WHERE camera_id IN (SELECT id FROM cameras WHERE site_id = ?)', [id]);
+            for (const table of [
+                'events', 'permits', 'site_parking_rules', 'site_retention', 'traffic_rollups',
+                'vehicle_days', 'visit_rollups', 'passages', 'gates', 'cameras'
+            ]) {
+                await tx.run(`DELETE FROM ${table} WHERE site_id = ?`, [id]);
+            }
+            const result = await tx.run('DELETE FROM sites WHERE id = ?', [id]);
+            return result.changes;
+        });
+    }
+
+    // Watchlists
+
+    getWatchlists() {
+        return this.all(`
+            SELECT w.*, COUNT(we.id) as entryCount
+            FROM watchlists w
+            LEFT JOIN watchlist_entries we ON we.watchlist_id = w.id
+            GROUP BY w.id
+            ORDER BY w.name
+        `);
+    }
+
+    getWatchlistById(id) {
+        return this.get('SELECT * FROM watchlists WHERE id = ?', [id]);
+    }
+
+    async createWatchlist(watchlist) {
+        const result = await this.run(
+            'INSERT INTO watchlists (name, description, fuzzy_match, active) VALUES (?, ?, ?, ?)',
+            [watchlist.name, watchlist.description, watchlist.fuzzy_match ? 1 : 0, watchlist.active === false ? 0 : 1]
+        );
+        return result.lastID;
+    }
+
+    async updateWatchlist(id, watchlist) {
+        const result = await this.run(
+            'UPDATE watchlists SET name = ?, description = ?, fuzzy_match = ?, active = ? WHERE id = ?',
+            [watchlist.name, watchlist.description, watchlist.fuzzy_match ? 1 : 0, watchlist.active === false ? 0 : 1, id]
+        );
+        return result.changes;
+    }
+
+    async deleteWatchlist(id) {
+        await this.run('DELETE FROM watchlist_entries WHERE watchlist_id = ?', [id]);
+        const result = await this.run('DELETE FROM watchlists WHERE id = ?', [id]);
+        return result.changes;
+    }
+
+    getWatchlistEntries(watchlistId) {
+        return this.all(
+            'SELECT * FROM watchlist_entries WHERE watchlist_id = ? ORDER BY licensePlate',
+            [watchlistId]
+        );
+    }
+
+    getWatchlistEntry(watchlistId, entryId) {
+        return this.get(
+            'SELECT * FROM watchlist_entries WHERE watchlist_id = ? AND id = ?',
+            [watchlistId, entryId]
+        );
+    }
+
+    async addWatchlistEntry(watchlistId, entry) {
+        const result = await this.run(`
+            INSERT INTO watchlist_entries (
+                watchlist_id, licensePlate, plate_normalized, plate_canonical,
+                reason, priority, valid_from, valid_to
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            watchlistId,
+            entry.licensePlate,
+            normalizePlate(entry.licensePlate),
+            canonicalPlate(entry.licensePlate),
+            entry.reason,
+            entry.priority || 'medium',
+            entry.valid_from || null,
+            entry.valid_to || null
+        ]);
+        return result.lastID;
+    }
+
+    async updateWatchlistEntry(watchlistId, entryId, entry) {
+        const result = await this.run(`
+            UPDATE watchlist_entries
+            SET licensePlate = ?, plate_normalized = ?, plate_canonical = ?,
+                reason = ?, priority = ?, valid_from = ?, valid_to = ?
+            WHERE watchlist_id = ? AND id = ?
+        `, [
+            entry.licensePlate,
+            normalizePlate(entry.licensePlate),
+            canonicalPlate(entry.licensePlate),
+            entry.reason,
+            entry.priority || 'medium',
+            entry.valid_from || null,
+            entry.valid_to || null,
+            watchlistId,
+            entryId
+        ]);
+        return result.changes;
+    }
+
+    async deleteWatchlistEntry(watchlistId, entryId) {
+        const result = await this.run(
+            'DELETE FROM watchlist_entries WHERE watchlist_id = ? AND id = ?',
+            [watchlistId, entryId]
+        );
+        return result.changes;
+    }
+
+    // Active entries valid at the given time whose plate equals the read, or
+    // matches it modulo OCR confusions on watchlists with fuzzy matching on
+    findWatchlistMatches(licensePlate, at) {
+        return this.all(`
+            SELECT we.*, w.name as watchlistName, w.fuzzy_match
+            FROM watchlist_entries we
+            JOIN watchlists w ON w.id = we.watchlist_id
+            WHERE w.active = 1
+              AND (we.valid_from IS NULL OR we.valid_from <= ?)
+              AND (we.valid_to IS NULL OR we.valid_to >= ?)
+              AND (we.plate_normalized = ? OR (w.fuzzy_match = 1 AND we.plate_canonical = ?))
+        `, [at, at, normalizePlate(licensePlate), canonicalPlate(licensePlate)]);
+    }
+
+    // Alerts
+
+    async createAlert(alert) {
+        const result = await this.run(`
+            INSERT INTO alerts (
+                type, event_id, site_id, camera_id, watchlist_id, entry_id, licensePlate,
+                matched_plate, match_type, priority, message
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            alert.type || 'watchlist',
+            alert.event_id,
+            alert.site_id,
+            alert.camera_id,
+            alert.watchlist_id,
+            alert.entry_id,
+            alert.licensePlate,
+            alert.matched_plate,
+            alert.match_type,
+            alert.priority || 'medium',
+            alert.message
+        ]);
+        return result.lastID;
+    }
+
+    // Watchlist entries an event has already raised an alert for
+    async getAlertedEntryIds(eventId) {
+        const rows = await this.all("SELECT entry_id FROM alerts WHERE event_id = ? AND type = 'watchlist'", [eventId]);
+        return rows.map(row => row.entry_id);
+    }
+
+    getAlertById(id) {
+        return this.get(`
+            SELECT a.*, w.name as watchlistName, we.reason,
+                   e.dateTime, COALESCE(e.channelID, c.channelID) as channelID, c.name as cameraName,
+                   e.licensePlateImage, e.vehicleImage, e.detectionImage, s.name as siteName
+            FROM alerts a
+            LEFT JOIN sites s ON s.id = a.site_id
+            LEFT JOIN watchlists w ON w.id = a.watchlist_id
+            LEFT JOIN watchlist_entries we ON we.id = a.entry_id
+            LEFT JOIN events e ON e.id = a.event_id
+            LEFT JOIN cameras c ON c.id = COALESCE(a.camera_id, e.camera_id)
+            WHERE a.id = ?
+        `, [id]);
+    }
+
+    getAlerts(options = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (options.status) {
+            conditions.push('a.status = ?');
+            params.push(options.status);
+        }
+        if (options.type) {
+            conditions.push('a.type = ?');
+            params.push(options.type);
+        }
+        if (options.siteId) {
+            conditions.push('a.site_id = ?');
+            params.push(options.siteId);
+        }
+        if (options.cameraId) {
+            conditions.push('a.camera_id = ?');
+            params.push(options.cameraId);
+        }
+        if (options.priority) {
+            conditions.push('a.priority = ?');
+            params.push(options.priority);
+        }
+        addSiteScope(conditions, params, 'a.site_id', options.siteIds);
+
+        let sql = `
+            SELECT a.*, w.name as watchlistName, we.reason,
+                   e.dateTime, COALESCE(e.channelID, c.channelID) as channelID, c.name as cameraName,
+                   e.licensePlateImage, e.vehicleImage, e.detectionImage, s.name as siteName
+            FROM alerts a
+            LEFT JOIN sites s ON s.id = a.site_id
+            LEFT JOIN watchlists w ON w.id = a.watchlist_id
+            LEFT JOIN watchlist_entries we ON we.id = a.entry_id
+            LEFT JOIN events e ON e.id = a.event_id
+            LEFT JOIN cameras c ON c.id = COALESCE(a.camera_id, e.camera_id)
+        `;
+        if (conditions.length > 0) {
+            sql += ' WHERE ' + conditions.join(' AND ');
+        }
+        sql += ' ORDER BY a.created_at DESC, a.id DESC LIMIT ? OFFSET ?';
+        params.push(options.limit || 50, options.offset || 0);
+
+        return this.all(sql, params);
+    }
+
+    async acknowledgeAlert(id, actor, notes) {
+        const result = await this.run(`
+            UPDATE alerts
+            SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = CURRENT_TIMESTAMP,
+                notes = COALESCE(?, notes)
+            WHERE id = ? AND status = 'open'
+        `, [actor, notes, id]);
+        return result.changes;
+    }
+
+    async resolveAlert(id, actor, notes) {
+        const result = await this.run(`
+            UPDATE alerts
+            SET status = 'resolved', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP,
+                notes = COALESCE(?, notes)
+            WHERE id = ? AND status != 'resolved'
+        `, [actor, notes, id]);
+        return result.changes;
+    }
+
+    // Closes every open or acknowledged alert of one type for a camera and
+    // returns them as resolved
+    async resolveCameraAlerts(cameraId, type, actor) {
+        const alerts = await this.all(
+            "SELECT id FROM alerts WHERE camera_id = ? AND type = ? AND status != 'resolved'",
+            [cameraId, type]
+        );
+        const resolved = [];
+        for (const alert of alerts) {
+            if (await this.resolveAlert(alert.id, actor, null)) {
+                resolved.push(await this.getAlertById(alert.id));
+            }
+        }
+        return resolved;
+    }
+
+    // Webhooks
+
+    getWebhooks(options = {}) {
+        return options.activeOnly
+            ? this.all('SELECT * FROM webhooks WHERE active = 1 ORDER BY id')
+            : this.all('SELECT * FROM webhooks ORDER BY id');
+    }
+
+    getWebhookById(id) {
+        return this.get('SELECT * FROM webhooks WHERE id = ?', [id]);
+    }
+
+    async createWebhook(webhook) {
+        const result = await this.run(`
+            INSERT INTO webhooks (
+                name, url, secret, site_id, channelID, eventType,
+                watchlist_only, include_images, active
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            webhook.name,
+            webhook.url,
+            webhook.secret,
+            webhook.site_id || null,
+            webhook.channelID || null,
+            webhook.eventType || null,
+            webhook.watchlist_only ? 1 : 0,
+            webhook.include_images,
+            webhook.active === false ? 0 : 1
+        ]);
+        return result.lastID;
+    }
+
+    async updateWebhook(id, webhook) {
+        const result = await this.run(`
+            UPDATE webhooks
+            SET name = ?, url = ?, secret = ?, site_id = ?, channelID = ?, eventType = ?,
+                watchlist_only = ?, include_images = ?, active = ?
+            WHERE id = ?
+        `, [
+            webhook.name,
+            webhook.url,
+            webhook.secret,
+            webhook.site_id || null,
+            webhook.channelID || null,
+            webhook.eventType || null,
+            webhook.watchlist_only ? 1 : 0,
+            webhook.include_images,
+            webhook.active === false ? 0 : 1,
+            id
+        ]);
+        return result.changes;
+    }
+
+    async deleteWebhook(id) {
+        await this.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+        const result = await this.run('DELETE FROM webhooks WHERE id = ?', [id]);
+        return result.changes;
+    }
+
+    async enqueueWebhookDelivery(delivery) {
+        const result = await this.run(`
+            INSERT INTO webhook_deliveries (webhook_id, event_id, type, payload, next_attempt_at)
+            VALUES (?, ?, ?, ?, ?)
+        `, [delivery.webhook_id, delivery.event_id, delivery.type, delivery.payload, new Date().toISOString()]);
+        return result.lastID;
+    }
+
+    getDueWebhookDeliveries(limit) {
+        return this.all(`
+            SELECT d.*, w.url, w.secret, w.include_images
+            FROM webhook_deliveries d
+            JOIN webhooks w ON w.id = d.webhook_id
+            WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+            ORDER BY d.next_attempt_at, d.id
+            LIMIT ?
+        `, [new Date().toISOString(), limit]);
+    }
+
+    // Records the outcome of one delivery attempt. status stays 'pending'
+    // while retries remain.
+    async recordWebhookAttempt(id, result) {
+        await this.run(`
+            UPDATE webhook_deliveries
+            SET status = ?, attempts = attempts + 1, next_attempt_at = ?,
+                last_status_code = ?, last_error = ?, delivered_at = ?
+            WHERE id = ?
+        `, [
+            result.status,
+            result.next_attempt_at || null,
+            result.status_code || null,
+            result.error || null,
+            result.status === 'delivered' ? new Date().toISOString() : null,
+            id
+        ]);
+    }
+
+    getWebhookDeliveries(webhookId, options = {}) {
+        const params = [webhookId];
+        let sql = `
+            SELECT id, webhook_id, event_id, type, status, attempts, next_attempt_at,
+                   last_status_code, last_error, delivered_at, created_at
+            FROM webhook_deliveries
+            WHERE webhook_id = ?
+        `;
+        if (options.status) {
+            sql += ' AND status = ?';
+            params.push(options.status);
+        }
+        sql += ' ORDER BY id DESC LIMIT ? OFFSET ?';
+        params.push(options.limit || 50, options.offset || 0);
+        return this.all(sql, params);
+    }
+
+    async retryWebhookDelivery(webhookId, deliveryId) {
+        const result = await this.run(`
+            UPDATE webhook_deliveries
+            SET status = 'pending', attempts = 0, next_attempt_at = ?
+            WHERE webhook_id = ? AND id = ? AND status = 'failed'
+        `, [new Date().toISOString(), webhookId, deliveryId]);
+        return result.changes;
+    }
+
+    getCameraById(id) {
+        return this.get(`
+            SELECT c.*, s.name as siteName
+            FROM cameras c
+            LEFT JOIN sites s ON s.id = c.site_id
+            WHERE c.id = ?
+        `, [id]);
+    }
+
+    // Matches on channelID + MAC first. A camera configured without a MAC
+    // matches any MAC on its channel, and a read without a MAC matches the
+    // oldest camera on the channel.
+    async findCamera(channelID, macAddress) {
+        const mac = normalizeMac(macAddress);
+        if (mac) {
+            const exact = await this.get(
+                'SELECT * FROM cameras WHERE channelID = ? AND lower(replace(macAddress, \'-\', \':\')) = ?',
+                [channelID, mac]
+            );
+            if (exact) return exact;
+            return this.get(
+                'SELECT * FROM cameras WHERE channelID = ? AND macAddress IS NULL ORDER BY id LIMIT 1',
+                [channelID]
+            );
+        }
+        return this.get('SELECT * FROM cameras WHERE channelID = ? ORDER BY id LIMIT 1', [channelID]);
+    }
+
+    // INSERT OR IGNORE so two reads from a new camera arriving together
+    // register it once
+    async registerCamera(camera) {
+        const mac = normalizeMac(camera.macAddress);
+        await this.run(`
+            INSERT OR IGNORE INTO cameras (channelID, macAddress, name, site_id, status)
+            VALUES (?, ?, ?, ?, ?)
+        `, [
+            camera.channelID,
+            mac,
+            `Channel ${camera.channelID}` + (mac ? ` (${mac})` : ''),
+            camera.site_id || null,
+            camera.status || 'pending'
+        ]);
+        const registered = await this.get(
+            "SELECT * FROM cameras WHERE channelID = ? AND IFNULL(macAddress, '') = ?",
+            [camera.channelID, mac || '']
+        );
+        if (registered && registered.status === 'pending') {
+            console.log(`Registered new camera ${registered.name} awaiting adoption`);
+        }
+        return registered;
+    }
+
+    // Camera health
+
+    // Returns 0 when the camera already has this status
+    setCameraHealth(cameraId, status, reason) {
+        const changedAt = new Date().toISOString();
+        return this.transaction(async (tx) => {
+            const result = await tx.run(`
+                UPDATE cameras SET health_status = ?, health_reason = ?, health_changed_at = ?
+                WHERE id = ? AND health_status IS NOT ?
+            `, [status, reason, changedAt, cameraId, status]);
+            if (result.changes) {
+                await tx.run(
+                    'INSERT INTO camera_health_events (camera_id, status, reason, changed_at) VALUES (?, ?, ?, ?)',
+                    [cameraId, status, reason, changedAt]
+                );
+            }
+            return result.changes;
+        });
+    }
+
+    // Cameras that have reported at least once but not within their expected
+    // interval (or the default when they have none)
+    getOverdueCameras(defaultIntervalSeconds) {
+        return this.all(`
+            SELECT * FROM cameras
+            WHERE last_seen IS NOT NULL
+              AND health_status IS NOT 'offline'
+              AND (julianday('now') - julianday(last_seen)) * 86400 > COALESCE(expected_interval_seconds, ?)
+        `, [defaultIntervalSeconds]);
+    }
+
+    // Transitions since a point in time, plus the last one before it so
+    // callers know the status the window started in
+    async getCameraHealthHistory(cameraId, since) {
+        const previous = await this.get(`
+            SELECT * FROM camera_health_events
+            WHERE camera_id = ? AND changed_at < ?
+            ORDER BY changed_at DESC, id DESC
+            LIMIT 1
+        `, [cameraId, since]);
+        const history = await this.all(`
+            SELECT * FROM camera_health_events
+            WHERE camera_id = ? AND changed_at >= ?
+            ORDER BY changed_at, id
+        `, [cameraId, since]);
+        return { previous, history };
+    }
+
+    // Finds or registers the camera behind a read and marks it as seen
+    async recordCameraRead(channelID, macAddress) {
+        const mac = normalizeMac(macAddress);
+        let camera = await this.findCamera(channelID, mac);
+        if (!camera) {
+            camera = await this.registerCamera({ channelID, macAddress: mac });
+        } else if (!camera.macAddress && mac) {
+            // A camera added by channel alone takes the MAC of its first read
+            await this.run('UPDATE cameras SET macAddress = ? WHERE id = ?', [mac, camera.id]);
+        }
+        await this.run('UPDATE cameras SET last_seen = CURRENT_TIMESTAMP WHERE id = ?', [camera.id]);
+        return camera;
+    }
+
+    // Assigns a pending camera to a site. Reads it made while unassigned
+    // move to the site as well.
+    async adoptCamera(id, camera) {
+        const result = await this.run(`
+            UPDATE cameras
+            SET site_id = ?, name = COALESCE(?, name), description = COALESCE(?, description), status = 'active'
+            WHERE id = ?
+        `, [camera.site_id, camera.name, camera.description, id]);
+        if (result.changes) {
+            await this.run('UPDATE events SET site_id = ? WHERE camera_id = ? AND site_id IS NULL', [camera.site_id, id]);
+        }
+        return result.changes;
+    }
+
+    // Camera ingest credentials; passing null clears them
+
+    async setCameraIngestToken(id, tokenHash) {
+        const result = await this.run('UPDATE cameras SET ingest_token_hash = ? WHERE id = ?', [tokenHash, id]);
+        return result.changes;
+    }
+
+    async setCameraCredentials(id, username, ha1) {
+        const result = await this.run('UPDATE cameras SET auth_username = ?, auth_ha1 = ? WHERE id = ?', [username, ha1, id]);
+        return result.changes;
+    }
+
+    getCameraByIngestToken(tokenHash) {
+        return this.get('SELECT * FROM cameras WHERE ingest_token_hash = ?', [tokenHash]);
+    }
+
+    getCameraByAuthUsername(username) {
+        return this.get('SELECT * FROM cameras WHERE auth_username = ?', [username]);
+    }
+
+    // Visits
+
+    getOpenVisit(siteId, licensePlate) {
+        return this.get(`
+            SELECT * FROM visits
+            WHERE site_id IS ? AND licensePlate = ? AND status = 'open'
+            ORDER BY entry_time DESC
+            LIMIT 1
+        `, [siteId, licensePlate]);
+    }
+
+    async openVisit(visit) {
+        const result = await this.run(`
+            INSERT INTO visits (site_id, licensePlate, entry_event_id, entry_time, status)
+            VALUES (?, ?, ?, ?, 'open')
+        `, [visit.site_id, visit.licensePlate, visit.entry_event_id, visit.entry_time]);
+        return result.lastID;
+    }
+
+    async closeVisit(id, exit) {
+        const result = await this.run(`
+            UPDATE visits
+            SET exit_event_id = ?, exit_time = ?, duration_seconds = ?, status = 'closed'
+            WHERE id = ? AND status = 'open'
+        `, [exit.exit_event_id, exit.exit_time, exit.duration_seconds, id]);
+        if (result.changes) {
+            await this.run(`
+                INSERT INTO visit_rollups (day, site_id, visits, dwell_seconds)
+                SELECT substr(exit_time, 1, 10), IFNULL(site_id, 0), 1, duration_seconds
+                FROM visits WHERE id = ?
+                ON CONFLICT(day, site_id) DO UPDATE SET
+                    visits = visits + excluded.visits,
+                    dwell_seconds = dwell_seconds + excluded.dwell_seconds
+            `, [id]);
+        }
+        return result.changes;
+    }
+
+    async recordOrphanExit(visit) {
+        const result = await this.run(`
+            INSERT INTO visits (site_id, licensePlate, exit_event_id, exit_time, status)
+            VALUES (?, ?, ?, ?, 'orphan_exit')
+        `, [visit.site_id, visit.licensePlate, visit.exit_event_id, visit.exit_time]);
+        return result.lastID;
+    }
+
+    async expireVisit(id) {
+        const result = await this.run(
+            "UPDATE visits SET status = 'expired' WHERE id = ? AND status = 'open'",
+            [id]
+        );
+        return result.changes;
+    }
+
+    // The visit a read opened or closed, or null
+    getVisitByEvent(eventId) {
+        return this.get(
+            'SELECT * FROM visits WHERE entry_event_id = ? OR exit_event_id = ? ORDER BY id LIMIT 1',
+            [eventId, eventId]
+        );
+    }
+
+    async setVisitPlate(id, licensePlate) {
+        const result = await this.run('UPDATE visits SET licensePlate = ? WHERE id = ?', [licensePlate, id]);
+        return result.changes;
+    }
+
+    getStaleVisits(entryBefore) {
+        return this.all(
+            "SELECT * FROM visits WHERE status = 'open' AND entry_time < ? ORDER BY entry_time",
+            [entryBefore]
+        );
+    }
+
+    getVisitById(id) {
+        return this.get(`
+            SELECT v.*, s.name as siteName
+            FROM visits v
+            LEFT JOIN sites s ON s.id = v.site_id
+            WHERE v.id = ?
+        `, [id]);
+    }
+
+    getVisits(options = {}) {
+        const { conditions, params } = buildVisitFilters(options);
+        let sql = `
+            SELECT v.*, s.name as siteName
+            FROM visits v
+            LEFT JOIN sites s ON s.id = v.site_id
+        `;
+        if (conditions.length > 0) {
+            sql += ' WHERE ' + conditions.join(' AND ');
+        }
+        // Exports page through with afterId, in id order
+        sql += options.afterId !== undefined
+            ? ' ORDER BY v.id LIMIT ? OFFSET ?'
+            : ' ORDER BY COALESCE(v.entry_time, v.exit_time) DESC, v.id DESC LIMIT ? OFFSET ?';
+        return this.all(sql, [...params, options.limit || 50, options.offset || 0]);
+    }
+
+    async countVisits(options = {}) {
+        const { conditions, params } = buildVisitFilters(options);
+        let sql = 'SELECT COUNT(*) as total FROM visits v';
+        if (conditions.length > 0) {
+            sql += ' WHERE ' + conditions.join(' AND ');
+        }
+        const row = await this.get(sql, params);
+        return row.total;
+    }
+
+    // Permits and parking rules
+
+    getPermits(options = {}) {
+        const conditions = [];
+        const params = [];
+        if (options.siteId) {
+            conditions.push('p.site_id = ?');
+            params.push(options.siteId);
+        }
+        if (options.plate) {
+            conditions.push('p.plate_normalized = ?');
+            params.push(normalizePlate(options.plate));
+        }
+        if (options.activeAt) {
+            conditions.push('(p.valid_from IS NULL OR p.valid_from <= ?) AND (p.valid_to IS NULL OR p.valid_to >= ?)');
+            params.push(options.activeAt, options.activeAt);
+        }
+        addSiteScope(conditions, params, 'p.site_id', options.siteIds);
+
+        let sql = 'SELECT p.*, s.name as siteName FROM permits p LEFT JOIN sites s ON s.id = p.site_id';
+        if (conditions.length > 0) {
+            sql += ' WHERE ' + conditions.join(' AND ');
+        }
+        sql += ' ORDER BY p.licensePlate, p.id LIMIT ? OFFSET ?';
+        params.push(options.limit || 50, options.offset || 0);
+        return this.all(sql, params);
+    }
+
+    getPermitById(id) {
+        return this.get('SELECT p.*, s.name as siteName FROM permits p LEFT JOIN sites s ON s.id = p.site_id WHERE p.id = ?', [id]);
+    }
+
+    // Permits for a plate at a site that are valid at the given time
+    findPermits(siteId, licensePlate, at) {
+        return this.all(`
+            SELECT * FROM permits
+            WHERE site_id = ? AND plate_normalized = ?
+              AND (valid_from IS NULL OR valid_from <= ?)
+              AND (valid_to IS NULL OR valid_to >= ?)
+            ORDER BY id
+        `, [siteId, normalizePlate(licensePlate), at, at]);
+    }
+
+    async createPermit(permit) {
+        const result = await this.run(`
+            INSERT INTO permits (
+                site_id, licensePlate, plate_normalized, holder, valid_from, valid_to,
+                schedule, max_stay_minutes, notes
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            permit.site_id,
+            permit.licensePlate,
+            normalizePlate(permit.licensePlate),
+            permit.holder,
+            permit.valid_from,
+            permit.valid_to,
+            permit.schedule ? JSON.stringify(permit.schedule) : null,
+            permit.max_stay_minutes,
+            permit.notes
+        ]);
+        return result.lastID;
+    }
+
+    async updatePermit(id, permit) {
+        const result = await this.run(`
+            UPDATE permits
+            SET site_id = ?, licensePlate = ?, plate_normalized = ?, holder = ?, valid_from = ?,
+                valid_to = ?, schedule = ?, max_stay_minutes = ?, notes = ?
+            WHERE id = ?
+        `, [
+            permit.site_id,
+            permit.licensePlate,
+            normalizePlate(permit.licensePlate),
+            permit.holder,
+            permit.valid_from,
+            permit.valid_to,
+            permit.schedule ? JSON.stringify(permit.schedule) : null,
+            permit.max_stay_minutes,
+            permit.notes,
+            id
+        ]);
+        return result.changes;
+    }
+
+    async deletePermit(id) {
+        const result = await this.run('DELETE FROM permits WHERE id = ?', [id]);
+        return result.changes;
+    }
+
+    async getParkingRules(siteId) {
+        const rules = await this.get('SELECT * FROM site_parking_rules WHERE site_id = ?', [siteId]);
+        return rules || { site_id: Number(siteId), enabled: 0, grace_minutes: 15, updated_at: null };
+    }
+
+    async setParkingRules(siteId, rules) {
+        await this.run(`
+            INSERT INTO site_parking_rules (site_id, enabled, grace_minutes, updated_at)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(site_id) DO UPDATE SET
+                enabled = excluded.enabled,
+                grace_minutes = excluded.grace_minutes,
+                updated_at = CURRENT_TIMESTAMP
+        `, [siteId, rules.enabled ? 1 : 0, rules.grace_minutes]);
+        return this.getParkingRules(siteId);
+    }
+
+    // Open visits at enforced sites that have been on site past the grace period
+    getEnforceableOpenVisits(now) {
+        return this.all(`
+            SELECT v.*, r.grace_minutes
+            FROM visits v
+            JOIN site_parking_rules r ON r.site_id = v.site_id AND r.enabled = 1
+            WHERE v.status = 'open'
+              AND (julianday(?) - julianday(v.entry_time)) * 1440 > r.grace_minutes
+        `, [now]);
+    }
+
+    // Retention
+
+    async getRetentionPolicy(siteId) {
+        const policy = await this.get('SELECT * FROM site_retention WHERE site_id = ?', [siteId]);
+        return policy || { site_id: Number(siteId), image_days: null, metadata_days: null, updated_at: null };
+    }
+
+    async setRetentionPolicy(siteId, policy) {
+        await this.run(`
+            INSERT INTO site_retention (site_id, image_days, metadata_days, updated_at)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(site_id) DO UPDATE SET
+                image_days = excluded.image_days,
+                metadata_days = excluded.metadata_days,
+                updated_at = CURRENT_TIMESTAMP
+        `, [siteId, policy.image_days, policy.metadata_days]);
+        return this.getRetentionPolicy(siteId);
+    }
+
+    async setEventEvidence(id, evidence) {
+        const result = await this.run('UPDATE events SET evidence = ? WHERE id = ?', [evidence ? 1 : 0, id]);
+        return result.changes;
+    }
+
+    // Unprotected events whose images are older than their site's image
+    // retention (or the default)
+    getExpiredImageEvents(defaultDays, limit) {
+        return this.all(`
+            SELECT e.* FROM events e
+            LEFT JOIN site_retention r ON r.site_id = e.site_id
+            WHERE ${HAS_IMAGES_SQL}
+              AND NOT ${PROTECTED_EVENT_SQL}
+              AND NULLIF(COALESCE(r.image_days, ?), 0) IS NOT NULL
+              AND julianday(e.created_at) < julianday('now') - COALESCE(r.image_days, ?)
+            LIMIT ?
+        `, [defaultDays, defaultDays, limit]);
+    }
+
+    // Unprotected events older than their site's metadata retention
+    getExpiredEvents(defaultDays, limit) {
+        return this.all(`
+            SELECT e.* FROM events e
+            LEFT JOIN site_retention r ON r.site_id = e.site_id
+            WHERE NOT ${PROTECTED_EVENT_SQL}
+              AND NULLIF(COALESCE(r.metadata_days, ?), 0) IS NOT NULL
+              AND julianday(e.created_at) < julianday('now') - COALESCE(r.metadata_days, ?)
+            LIMIT ?
+        `, [defaultDays, defaultDays, limit]);
+    }
+
+    // Candidates for quota eviction, oldest first
+    getOldestImageEvents(limit) {
+        return this.all(`
+            SELECT e.* FROM events e
+            WHERE ${HAS_IMAGES_SQL} AND NOT ${PROTECTED_EVENT_SQL}
+            ORDER BY e.created_at, e.id
+            LIMIT ?
+        `, [limit]);
+    }
+
+    async clearEventImages(id) {
+        await this.run('DELETE FROM event_images WHERE event_id = ?', [id]);
+        await this.run(`
+            UPDATE events
+            SET licensePlateImage = NULL, vehicleImage = NULL, detectionImage = NULL,
+                images_purged_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [id]);
+    }
+
+    async deleteEvents(ids) {
+        if (!ids.length) return 0;
+        const list = ids.map(() => '?').join(', ');
+        await this.run(`DELETE FROM event_images WHERE event_id IN (${list})`, ids);
+        await this.run(`DELETE FROM event_reviews WHERE event_id IN (${list})`, ids);
+        // Passages go with the last of their reads
+        await this.run(`
+            DELETE FROM passages
+            WHERE id IN (SELECT passage_id FROM events WHERE id IN (${list}))
+              AND NOT EXISTS (SELECT 1 FROM events e WHERE e.passage_id = passages.id AND e.id NOT IN (${list}))
+        `, [...ids, ...ids]);
+        const result = await this.run(`DELETE FROM events WHERE id IN (${list})`, ids);
+        return result.changes;
+    }
+
+    // The event a stored picture belongs to
+    getImageOwner(filename) {
+        return this.get(
+            ['licensePlateImage', 'vehicleImage', 'detectionImage']
+                .map(column => `SELECT id, site_id FROM events WHERE ${column} = ?`)
+                .join(' UNION ALL ') + ' LIMIT 1',
+            [filename, filename, filename]
+        );
+    }
+
+    // Every image filename still referenced, with the site it belongs to
+    getImageFiles(siteId = null) {
+        const siteFilter = siteId ? ' AND site_id = ?' : '';
+        return this.all(
+            ['licensePlateImage', 'vehicleImage', 'detectionImage']
+                .map(column => `SELECT site_id, ${column} as filename FROM events WHERE ${column} IS NOT NULL${siteFilter}`)
+                .join(' UNION ALL '),
+            siteId ? [siteId, siteId, siteId] : []
+        );
+    }
+
+    getSiteStorageStats() {
+        return this.all(`
+            SELECT s.id as site_id, s.name,
+                   COUNT(e.id) as events,
+                   COALESCE(SUM(e.evidence), 0) as evidence_events,
+                   r.image_days, r.metadata_days
+            FROM sites s
+            LEFT JOIN events e ON e.site_id = s.id
+            LEFT JOIN site_retention r ON r.site_id = s.id
+            GROUP BY s.id
+            ORDER BY s.name
+        `);
+    }
+
+    // Violations
+
+    // Returns the new violation ID, or null when the visit already has a
+    // violation of that type
+    async createViolation(violation) {
+        const result = await this.run(`
+            INSERT OR IGNORE INTO violations (
+                site_id, visit_id, event_id, permit_id, licensePlate, type, details
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            violation.site_id,
+            violation.visit_id,
+            violation.event_id,
+            violation.permit_id,
+            violation.licensePlate,
+            violation.type,
+            violation.details
+        ]);
+        return result.changes ? result.lastID : null;
+    }
+
+    getViolationById(id) {
+        return this.get(`
+            SELECT vi.*, s.name as siteName,
+                   v.entry_event_id, v.exit_event_id, v.entry_time, v.exit_time, v.duration_seconds
+            FROM violations vi
+            LEFT JOIN sites s ON s.id = vi.site_id
+            LEFT JOIN visits v ON v.id = vi.visit_id
+            WHERE vi.id = ?
+        `, [id]);
+    }
+
+    getViolations(options = {}) {
+        const conditions = [];
+        const params = [];
+        const filters = {
+            siteId: 'vi.site_id = ?',
+            status: 'vi.status = ?',
+            type: 'vi.type = ?',
+            plate: 'vi.licensePlate = ?',
+            from: 'vi.created_at >= ?',
+            to: 'vi.created_at <= ?'
+        };
+        Object.entries(filters).forEach(([option, condition]) => {
+            if (options[option]) {
+                conditions.push(condition);
+                params.push(options[option]);
+            }
+        });
+        addSiteScope(conditions, params, 'vi.site_id', options.siteIds);
+
+        let sql = `
+            SELECT vi.*, s.name as siteName,
+                   v.entry_event_id, v.exit_event_id, v.entry_time, v.exit_time, v.duration_seconds,
+                   e.licensePlateImage, e.vehicleImage, e.detectionImage
+            FROM violations vi
+            LEFT JOIN sites s ON s.id = vi.site_id
+            LEFT JOIN visits v ON v.id = vi.visit_id
+            LEFT JOIN events e ON e.id = vi.event_id
+        `;
+        if (conditions.length > 0) {
+            sql += ' WHERE ' + conditions.join(' AND ');
+        }
+        sql += ' ORDER BY vi.created_at DESC, vi.id DESC LIMIT ? OFFSET ?';
+        params.push(options.limit || 50, options.offset || 0);
+        return this.all(sql, params);
+    }
+
+    async reviewViolation(id, review) {
+        const result = await this.run(`
+            UPDATE violations
+            SET status = ?, reviewed_by = ?, review_notes = ?, reviewed_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'pending'
+        `, [review.status, review.reviewed_by, review.review_notes, id]);
+        return result.changes;
+    }
+
+    // Users, sessions and API keys
+
+    getUsers() {
+        return this.all(`
+            SELECT id, username, role, site_ids, active, created_at, last_login_at
+            FROM users ORDER BY username
+        `);
+    }
+
+    getUserById(id) {
+        return this.get(`
+            SELECT id, username, role, site_ids, active, created_at, last_login_at
+            FROM users WHERE id = ?
+        `, [id]);
+    }
+
+    // Includes the password hash, for signing in
+    getUserByUsername(username) {
+        return this.get('SELECT * FROM users WHERE username = ?', [username]);
+    }
+
+    async countUsers() {
+        const row = await this.get('SELECT COUNT(*) as total FROM users');
+        return row.total;
+    }
+
+    async createUser(user) {
+        const result = await this.run(
+            'INSERT INTO users (username, password_hash, role, site_ids) VALUES (?, ?, ?, ?)',
+            [user.username, user.password_hash, user.role, user.site_ids]
+        );
+        return result.lastID;
+    }
+
+    // The password is only changed when a new hash is given
+    async updateUser(id, user) {
+        const result = await this.run(`
+            UPDATE users
+            SET role = ?, site_ids = ?, active = ?, password_hash = COALESCE(?, password_hash)
+            WHERE id = ?
+        `, [user.role, user.site_ids, user.active ? 1 : 0, user.password_hash || null, id]);
+        return result.changes;
+    }
+
+    async deleteUser(id) {
+        await this.deleteUserSessions(id);
+        const result = await this.run('DELETE FROM users WHERE id = ?', [id]);
+        return result.changes;
+    }
+
+    async recordLogin(userId) {
+        await this.run('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [userId]);
+    }
+
+    async createSession(tokenHash, userId, expiresAt) {
+        await this.run('INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)', [tokenHash, userId, expiresAt]);
+    }
+
+    // The signed-in user behind a session that has not expired
+    getSessionUser(tokenHash, now) {
+        return this.get(`
+            SELECT u.id, u.username, u.role, u.site_ids
+            FROM sessions s
+            JOIN users u ON u.id = s.user_id
+            WHERE s.token_hash = ? AND s.expires_at > ? AND u.active = 1
+        `, [tokenHash, now]);
+    }
+
+    async deleteSession(tokenHash) {
+        await this.run('DELETE FROM sessions WHERE token_hash = ?', [tokenHash]);
+    }
+
+    async deleteUserSessions(userId) {
+        await this.run('DELETE FROM sessions WHERE user_id = ?', [userId]);
+    }
+
+    async deleteExpiredSessions(now) {
+        await this.run('DELETE FROM sessions WHERE expires_at <= ?', [now]);
+    }
+
+    getApiKeys() {
+        return this.all(`
+            SELECT k.id, k.name, k.key_prefix, k.role, k.site_ids, k.created_by, u.username as createdBy,
+                   k.created_at, k.expires_at, k.last_used_at, k.revoked_at
+            FROM api_keys k
+            LEFT JOIN users u ON u.id = k.created_by
+            ORDER BY k.id
+        `);
+    }
+
+    async createApiKey(key) {
+        const result = await this.run(`
+            INSERT INTO api_keys (name, key_prefix, key_hash, role, site_ids, created_by, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [key.name, key.key_prefix, key.key_hash, key.role, key.site_ids, key.created_by, key.expires_at]);
+        return result.lastID;
+    }
+
+    // A key that has been neither revoked nor allowed to expire
+    getActiveApiKey(keyHash, now) {
+        return this.get(`
+            SELECT * FROM api_keys
+            WHERE key_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+        `, [keyHash, now]);
+    }
+
+    async touchApiKey(id, usedAt) {
+        await this.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [usedAt, id]);
+    }
+
+    async revokeApiKey(id) {
+        const result = await this.run(
+            'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+            [new Date().toISOString(), id]
+        );
+        return result.changes;
+    }
+
+    async getSetting(key) {
+        const row = await this.get('SELECT value FROM settings WHERE key = ?', [key]);
+        return row ? row.value : null;
+    }
+
+    // Keeps an existing value, so concurrent first starts agree on one
+    async initSetting(key, value) {
+        await this.run('INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)', [key, value]);
+        return this.getSetting(key);
+    }
+
+    async setSetting(key, value) {
+        await this.run(
+            'INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+            [key, value]
+        );
+    }
+
+    // Audit log
+
+    async insertAuditEntry(entry) {
+        const result = await this.run(`
+            INSERT INTO audit_log (
+                created_at, actor, actor_type, actor_id, ip, action,
+                entity_type, entity_id, site_id, details, before, after
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            entry.created_at,
+            entry.actor,
+            entry.actor_type,
+            entry.actor_id,
+            entry.ip,
+            entry.action,
+            entry.entity_type,
+            entry.entity_id,
+            entry.site_id,
+            entry.details,
+            entry.before,
+            entry.after
+        ]);
+        return result.lastID;
+    }
+
+    // Newest first, or oldest first with `ascending` (used for export)
+    getAuditEntries(options = {}) {
+        const { conditions, params } = buildAuditFilters(options);
+        let sql = 'SELECT * FROM audit_log';
+        if (conditions.length > 0) {
+            sql += ' WHERE ' + conditions.join(' AND ');
+        }
+        sql += options.ascending ? ' ORDER BY id ASC' : ' ORDER BY id DESC';
+        sql += ' LIMIT ? OFFSET ?';
+        return this.all(sql, [...params, options.limit || 50, options.offset || 0]);
+    }
+
+    async countAuditEntries(options = {}) {
+        const { conditions, params } = buildAuditFilters(options);
+        let sql = 'SELECT COUNT(*) as total FROM audit_log';
+        if (conditions.length > 0) {
+            sql += ' WHERE ' + conditions.join(' AND ');
+        }
+        const row = await this.get(sql, params);
+        return row.total;
+    }
+
+    async addEventImages(eventId, images) {
+        for (const image of images) {
+            await this.run(`
+                INSERT INTO event_images (event_id, kind, filename, sha256, size, content_type, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [eventId, image.kind, image.filename, image.sha256, image.size, image.content_type, image.created_at]);
+        }
+    }
+
+    getEventImages(eventId) {
+        return this.all('SELECT * FROM event_images WHERE event_id = ? ORDER BY id', [eventId]);
+    }
+
+    getEventImage(filename) {
+        return this.get('SELECT * FROM event_images WHERE filename = ? ORDER BY id DESC LIMIT 1', [filename]);
+    }
+
+    // Pictures whose thumbnails have not been made yet, oldest first
+    getPendingThumbnails(limit = 20) {
+        return this.all(`
+            SELECT id, event_id, kind, filename, content_type
+            FROM event_images
+            WHERE thumbnail_status IS NULL
+            ORDER BY id
+            LIMIT ?
+        `, [limit]);
+    }
+
+    async setThumbnailStatus(id, status) {
+        await this.run('UPDATE event_images SET thumbnail_status = ? WHERE id = ?', [status, id]);
+    }
+
+    // Recorded hashes in id order for verification, optionally limited to
+    // one event or to events flagged as evidence
+    getImageHashes({ afterId = 0, eventId, evidenceOnly = false, limit = 500 } = {}) {
+        const conditions = ['i.id > ?'];
+        const params = [afterId];
+        if (eventId) {
+            conditions.push('i.event_id = ?');
+            params.push(eventId);
+        }
+        if (evidenceOnly) {
+            conditions.push('e.evidence = 1');
+        }
+        return this.all(`
+            SELECT i.*, e.evidence
+            FROM event_images i
+            JOIN events e ON e.id = i.event_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY i.id
+            LIMIT ?
+        `, [...params, limit]);
+    }
+
+    // Export jobs
+    async createExportJob(job) {
+        const result = await this.run(`
+            INSERT INTO export_jobs (type, format, options, requested_by, requested_by_type, requested_by_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [job.type, job.format, job.options, job.requested_by, job.requested_by_type, job.requested_by_id, new Date().toISOString()]);
+        return result.lastID;
+    }
+
+    getExportJob(id) {
+        return this.get('SELECT * FROM export_jobs WHERE id = ?', [id]);
+    }
+
+    // Everyone's jobs when `requester` is null
+    getExportJobs(requester = null) {
+        if (!requester) {
+            return this.all('SELECT * FROM export_jobs ORDER BY id DESC');
+        }
+        return this.all(
+            'SELECT * FROM export_jobs WHERE requested_by_type = ? AND requested_by_id IS ? ORDER BY id DESC',
+            [requester.type, requester.id]
+        );
+    }
+
+    // Marks the oldest pending job as running and returns it
+    async claimExportJob() {
+        const job = await this.get("SELECT * FROM export_jobs WHERE status = 'pending' ORDER BY id LIMIT 1");
+        if (!job) return null;
+        const result = await this.run(
+            "UPDATE export_jobs SET status = 'running', started_at = ? WHERE id = ? AND status = 'pending'",
+            [new Date().toISOString(), job.id]
+        );
+        return result.changes ? { ...job, status: 'running' } : null;
+    }
+
+    async finishExportJob(id, result) {
+        await this.run(`
+            UPDATE export_jobs
+            SET status = ?, rows = ?, size = ?, filename = ?, error = ?, finished_at = ?, expires_at = ?
+            WHERE id = ?
+        `, [result.status, result.rows, result.size, result.filename, result.error, new Date().toISOString(), result.expires_at, id]);
+    }
+
+    // Jobs interrupted by a restart start again from the beginning
+    async requeueExportJobs() {
+        const result = await this.run("UPDATE export_jobs SET status = 'pending', started_at = NULL WHERE status = 'running'");
+        return result.changes;
+    }
+
+    getExpiredExportJobs(now) {
+        return this.all('SELECT * FROM export_jobs WHERE expires_at IS NOT NULL AND expires_at <= ?', [now]);
+    }
+
+    async deleteExportJob(id) {
+        const result = await this.run('DELETE FROM export_jobs WHERE id = ?', [id]);
+        return result.changes;
+    }
+
+    // Duplicate reads and passages
+
+    getRecentCameraEvents(cameraId, receivedSince) {
+        return this.all(
+            'SELECT * FROM events WHERE camera_id = ? AND received_at >= ? ORDER BY id DESC',
+            [cameraId, receivedSince]
+        );
+    }
+
+    // Counts a repeat read against an event. With `better`, the repeat's
+    // plate text (and its format check), confidence and pictures (and their
+    // hashes) replace the event's own for each picture it brought.
+    async recordDuplicateRead(id, better = null) {
+        if (!better) {
+            await this.run('UPDATE events SET duplicate_count = duplicate_count + 1 WHERE id = ?', [id]);
+            return;
+        }
+        const byKind = Object.fromEntries(better.images.map(image => [image.kind, image.filename]));
+        await this.run(`
+            UPDATE events
+            SET duplicate_count = duplicate_count + 1, licensePlate = ?, confidenceLevel = ?,
+                plate_normalized = ?, plate_valid = ?,
+                review_status = CASE WHEN ? IS NOT NULL THEN 'pending' WHEN review_reason = 'invalid_plate' THEN NULL ELSE review_status END,
+                review_reason = CASE WHEN ? IS NOT NULL THEN ? WHEN review_reason = 'invalid_plate' THEN NULL ELSE review_reason END,
+                licensePlateImage = COALESCE(?, licensePlateImage),
+                vehicleImage = COALESCE(?, vehicleImage),
+                detectionImage = COALESCE(?, detectionImage)
+            WHERE id = ?
+        `, [
+            better.licensePlate,
+            better.confidenceLevel,
+            normalizePlate(better.licensePlate),
+            better.plateValid === undefined ? null : Number(better.plateValid),
+            better.reviewReason || null,
+            better.reviewReason || null,
+            better.reviewReason || null,
+            byKind.licensePlate || null,
+            byKind.vehicle || null,
+            byKind.detection || null,
+            id
+        ]);
+        for (const image of better.images) {
+            await this.run('DELETE FROM event_images WHERE event_id = ? AND kind = ?', [id, image.kind]);
+        }
+        await this.addEventImages(id, better.images);
+    }
+
+    // Settles a read held for review and records the action in its history.
+    // A correction replaces the plate, keeping the first OCR value in
+    // original_plate. Returns false when the read was no longer pending.
+    async reviewEvent(id, review) {
+        return this.transaction(async (tx) => {
+            const event = await tx.get("SELECT licensePlate, review_reason FROM events WHERE id = ? AND review_status = 'pending'", [id]);
+            if (!event) {
+                return false;
+            }
+            const corrected = review.licensePlate !== undefined;
+            await tx.run(`
+                UPDATE events
+                SET review_status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP,
+                    original_plate = CASE WHEN ? THEN COALESCE(original_plate, licensePlate) ELSE original_plate END,
+                    licensePlate = COALESCE(?, licensePlate),
+                    plate_normalized = COALESCE(?, plate_normalized),
+                    plate_valid = COALESCE(?, plate_valid)
+                WHERE id = ?
+            `, [
+                review.status,
+                review.reviewed_by,
+                corrected ? 1 : 0,
+                corrected ? review.licensePlate : null,
+                corrected ? review.plateNormalized : null,
+                corrected ? Number(review.plateValid) : null,
+                id
+            ]);
+            await tx.run(`
+                INSERT INTO event_reviews (event_id, action, reason, plate_before, plate_after, notes, reviewed_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                id,
+                review.action,
+                event.review_reason,
+                event.licensePlate,
+                corrected ? review.licensePlate : event.licensePlate,
+                review.notes || null,
+                review.reviewed_by
+            ]);
+            return true;
+        });
+    }
+
+    getEventReviews(eventId) {
+        return this.all('SELECT * FROM event_reviews WHERE event_id = ? ORDER BY id', [eventId]);
+    }
+
+    getGates(siteId = null) {
+        return this.all(`
+            SELECT g.*, s.name as siteName,
+                (SELECT COUNT(*) FROM cameras c WHERE c.gate_id = g.id) as cameraCount
+            FROM gates g
+            LEFT JOIN sites s ON s.id = g.site_id
+            ${siteId ? 'WHERE g.site_id = ?' : ''}
+            ORDER BY s.name, g.name
+        `, siteId ? [siteId] : []);
+    }
+
+    getGateById(id) {
+        return this.get(`
+            SELECT g.*, s.name as siteName
+            FROM gates g
+            LEFT JOIN sites s ON s.id = g.site_id
+            WHERE g.id = ?
+        `, [id]);
+    }
+
+    async createGate(gate) {
+        const result = await this.run(
+            'INSERT INTO gates (site_id, name, window_seconds) VALUES (?, ?, ?)',
+            [gate.site_id, gate.name, gate.window_seconds ?? null]
+        );
+        return result.lastID;
+    }
+
+    async updateGate(id, gate) {
+        const result = await this.run(
+            'UPDATE gates SET name = ?, window_seconds = ? WHERE id = ?',
+            [gate.name, gate.window_seconds ?? null, id]
+        );
+        return result.changes;
+    }
+
+    // Cameras in the gate are released; its passages are kept
+    async deleteGate(id) {
+        await this.run('UPDATE cameras SET gate_id = NULL WHERE gate_id = ?', [id]);
+        const result = await this.run('DELETE FROM gates WHERE id = ?', [id]);
+        return result.changes;
+    }
+
+    // The passage at a gate a read at `time` belongs to: same plate (allowing
+    // for OCR confusions), seen within the window either side
+    findPassage(gateId, plateCanonical, time, windowSeconds) {
+        const window = windowSeconds * 1000;
+        return this.get(`
+            SELECT * FROM passages
+            WHERE gate_id = ? AND plate_canonical = ? AND last_seen >= ? AND first_seen <= ?
+            ORDER BY last_seen DESC
+            LIMIT 1
+        `, [
+            gateId,
+            plateCanonical,
+            new Date(time.getTime() - window).toISOString(),
+            new Date(time.getTime() + window).toISOString()
+        ]);
+    }
+
+    async createPassage(passage) {
+        const result = await this.run(`
+            INSERT INTO passages (
+                gate_id, site_id, licensePlate, plate_canonical, confidence,
+                first_event_id, best_event_id, first_seen, last_seen
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            passage.gate_id,
+            passage.site_id,
+            passage.licensePlate,
+            passage.plate_canonical,
+            passage.confidence,
+            passage.event_id,
+            passage.event_id,
+            passage.seen,
+            passage.seen
+        ]);
+        await this.run('UPDATE events SET passage_id = ? WHERE id = ?', [result.lastID, passage.event_id]);
+        return result.lastID;
+    }
+
+    // Adds a read to a passage; the most confident read gives the passage
+    // its plate
+    async addPassageRead(id, read) {
+        await this.run(`
+            UPDATE passages
+            SET event_count = event_count + 1,
+                first_seen = MIN(first_seen, ?),
+                last_seen = MAX(last_seen, ?),
+                best_event_id = CASE WHEN ? > IFNULL(confidence, -1) THEN ? ELSE best_event_id END,
+                licensePlate = CASE WHEN ? > IFNULL(confidence, -1) THEN ? ELSE licensePlate END,
+                confidence = MAX(IFNULL(confidence, -1), ?)
+            WHERE id = ?
+        `, [
+            read.seen, read.seen,
+            read.confidence, read.event_id,
+            read.confidence, read.licensePlate,
+            read.confidence,
+            id
+        ]);
+    }
+
+    getPassageById(id) {
+        return this.get(`
+            SELECT p.*, g.name as gateName, s.name as siteName
+            FROM passages p
+            LEFT JOIN gates g ON g.id = p.gate_id
+            LEFT JOIN sites s ON s.id = p.site_id
+            WHERE p.id = ?
+        `, [id]);
+    }
+
+    getPassageEvents(id) {
+        return this.all(`
+            SELECT e.*, c.name as cameraName
+            FROM events e
+            LEFT JOIN cameras c ON c.id = e.camera_id
+            WHERE e.passage_id = ?
+            ORDER BY e.id
+        `, [id]);
+    }
+
+    getPassages(options = {}) {
+        const { conditions, params } = buildPassageFilters(options);
+        return this.all(`
+            SELECT p.*, g.name as gateName, s.name as siteName
+            FROM passages p
+            LEFT JOIN gates g ON g.id = p.gate_id
+            LEFT JOIN sites s ON s.id = p.site_id
+            ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+            ORDER BY p.first_seen DESC, p.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, options.limit || 50, options.offset || 0]);
+    }
+
+    async countPassages(options = {}) {
+        const { conditions, params } = buildPassageFilters(options);
+        const row = await this.get(
+            `SELECT COUNT(*) as total FROM passages p ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}`,
+            params
+        );
+        return row.total;
+    }
+
+    // Vehicle history
+
+    getVehicleSummary(plate, siteIds) {
+        const { where, params } = buildVehicleFilters(plate, siteIds);
+        return this.get(`
+            SELECT COUNT(*) as reads, MIN(e.dateTime) as first_seen, MAX(e.dateTime) as last_seen
+            FROM events e WHERE ${where}
+        `, params);
+    }
+
+    // Reads per site, joined with visit counts and total dwell per site
+    getVehicleSites(plate, siteIds) {
+        const { where, params } = buildVehicleFilters(plate, siteIds);
+        return this.all(`
+            SELECT e.site_id, s.name as siteName, COUNT(*) as reads,
+                MIN(e.dateTime) as first_seen, MAX(e.dateTime) as last_seen,
+                (SELECT COUNT(*) FROM visits v WHERE v.site_id IS e.site_id AND v.licensePlate = ? AND v.entry_time IS NOT NULL) as visits,
+                (SELECT COALESCE(SUM(v.duration_seconds), 0) FROM visits v WHERE v.site_id IS e.site_id AND v.licensePlate = ?) as dwell_seconds
+            FROM events e
+            LEFT JOIN sites s ON s.id = e.site_id
+            WHERE ${where}
+            GROUP BY e.site_id
+            ORDER BY last_seen DESC
+        `, [plate, plate, ...params]);
+    }
+
+    getVehicleCameras(plate, siteIds) {
+        const { where, params } = buildVehicleFilters(plate, siteIds);
+        return this.all(`
+            SELECT e.camera_id, c.name as cameraName, e.site_id, e.direction, COUNT(*) as reads,
+                MAX(e.dateTime) as last_seen
+            FROM events e
+            LEFT JOIN cameras c ON c.id = e.camera_id
+            WHERE ${where}
+            GROUP BY e.camera_id, e.direction
+            ORDER BY reads DESC
+        `, params);
+    }
+
+    // Arrivals by hour of day on the caller's clock. The first read of the
+    // plate at a site on a day counts as arriving there.
+    getVehicleArrivals(plate, siteIds, utcOffset = 0) {
+        const { where, params } = buildVehicleFilters(plate, siteIds);
+        const [shift] = shiftModifiers(utcOffset);
+        return this.all(`
+            SELECT hour, COUNT(*) as arrivals
+            FROM (
+                SELECT CAST(strftime('%H', MIN(datetime(e.dateTime, ?))) AS INTEGER) as hour
+                FROM events e
+                WHERE ${where}
+                GROUP BY e.site_id, date(e.dateTime, ?)
+            )
+            WHERE hour IS NOT NULL
+            GROUP BY hour
+            ORDER BY hour
+        `, [shift, ...params, shift]);
+    }
+
+    getVehicleProfile(plate) {
+        return this.get('SELECT * FROM vehicle_profiles WHERE licensePlate = ?', [plate]);
+    }
+
+    saveVehicleProfile(plate, profile) {
+        return this.run(`
+            INSERT INTO vehicle_profiles (licensePlate, notes, tags, updated_by)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(licensePlate) DO UPDATE SET
+                notes = excluded.notes, tags = excluded.tags,
+                updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP
+        `, [plate, profile.notes, JSON.stringify(profile.tags), profile.updated_by]);
+    }
+
+    // Traffic analytics
+
+    // `merged` marks reads of a passage after its first, which are not
+    // counted again
+    getEventsAfter(afterId, limit) {
+        return this.all(`
+            SELECT e.id, e.site_id, e.camera_id, e.lane, e.direction, e.plate_normalized, e.dateTime, e.created_at,
+                (p.id IS NOT NULL AND p.first_event_id != e.id) as merged
+            FROM events e
+            LEFT JOIN passages p ON p.id = e.passage_id
+            WHERE e.id > ? ORDER BY e.id LIMIT ?
+        `, [afterId, limit]);
+    }
+
+    // Adds a batch of read counts and plate sightings, and moves the
+    // watermark past the last event they came from, in one transaction
+    async addTrafficRollups(traffic, vehicles, lastEventId, watermarkKey) {
+        await this.transaction(async (tx) => {
+            for (const row of traffic) {
+                await tx.run(`
+                    INSERT INTO traffic_rollups (bucket, site_id, camera_id, lane, direction, reads)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                    ON CONFLICT(bucket, site_id, camera_id, lane, direction) DO UPDATE SET reads = reads + excluded.reads
+                `, [row.bucket, row.site_id, row.camera_id, row.lane, row.direction, row.reads]);
+            }
+            for (const row of vehicles) {
+                await tx.run(`
+                    INSERT INTO vehicle_days (day, site_id, licensePlate, reads)
+                    VALUES (?, ?, ?, ?)
+                    ON CONFLICT(day, site_id, licensePlate) DO UPDATE SET reads = reads + excluded.reads
+                `, [row.day, row.site_id, row.licensePlate, row.reads]);
+            }
+            await tx.setSetting(watermarkKey, String(lastEventId));
+        });
+    }
+
+    // Recomputes visit_rollups from the visits table, for databases that
+    // held visits before the rollup existed
+    async rebuildVisitRollups() {
+        await this.transaction(async (tx) => {
+            await tx.run('DELETE FROM visit_rollups');
+            await tx.run(`
+                INSERT INTO visit_rollups (day, site_id, visits, dwell_seconds)
+                SELECT substr(exit_time, 1, 10), IFNULL(site_id, 0), COUNT(*), SUM(duration_seconds)
+                FROM visits
+                WHERE status = 'closed' AND duration_seconds IS NOT NULL
+                GROUP BY 1, 2
+            `);
+        });
+    }
+
+    // Plate sightings older than their site's metadata retention
+    async deleteExpiredVehicleDays(defaultDays) {
+        const result = await this.run(`
+            DELETE FROM vehicle_days WHERE id IN (
+                SELECT d.id FROM vehicle_days d
+                LEFT JOIN site_retention r ON r.site_id = d.site_id
+                WHERE NULLIF(COALESCE(r.metadata_days, ?), 0) IS NOT NULL
+                  AND julianday(d.day) < julianday('now') - COALESCE(r.metadata_days, ?)
+            )
+        `, [defaultDays, defaultDays]);
+        return result.changes;
+    }
+
+    // Read counts per period, optionally split by `groupBy` dimensions
+    getTrafficSeries(options) {
+        const period = TRAFFIC_PERIODS[options.interval];
+        const { conditions, params } = buildTrafficFilters(options);
+        const columns = options.groupBy.map(dimension => TRAFFIC_DIMENSIONS[dimension]);
+        return this.all(`
+            SELECT ${period.sql} as period, ${columns.map(column => column + ', ').join('')}SUM(reads) as reads
+            FROM traffic_rollups
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY period${columns.map(column => ', ' + column).join('')}
+            ORDER BY period${columns.map(column => ', ' + column).join('')}
+        `, [...(period.shifts ? shiftModifiers(options.utcOffset) : []), ...params]);
+    }
+
+    getTrafficDirections(options) {
+        const { conditions, params } = buildTrafficFilters(options);
+        return this.all(`
+            SELECT direction, SUM(reads) as reads
+            FROM traffic_rollups
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY direction
+            ORDER BY reads DESC
+        `, params);
+    }
+
+    // Reads per weekday (0 = Sunday) and hour of the caller's local time
+    getTrafficHeatmap(options) {
+        const [shift] = shiftModifiers(options.utcOffset);
+        const { conditions, params } = buildTrafficFilters(options);
+        return this.all(`
+            SELECT CAST(strftime('%w', bucket, ?) AS INTEGER) as weekday,
+                CAST(strftime('%H', bucket, ?) AS INTEGER) as hour,
+                SUM(reads) as reads
+            FROM traffic_rollups
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY weekday, hour
+            ORDER BY weekday, hour
+        `, [shift, shift, ...params]);
+    }
+
+    // Hours with the most reads
+    getBusiestHours(options, limit) {
+        const period = TRAFFIC_PERIODS.hour;
+        const { conditions, params } = buildTrafficFilters(options);
+        return this.all(`
+            SELECT ${period.sql} as period, SUM(reads) as reads
+            FROM traffic_rollups
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY period
+            ORDER BY reads DESC, period
+            LIMIT ?
+        `, [...shiftModifiers(options.utcOffset), ...params, limit]);
+    }
+
+    // Distinct vehicles over the days, and how many came on more than one
+    // of them
+    getVehicleCounts(options) {
+        const { conditions, params } = buildDailyFilters(options);
+        return this.get(`
+            SELECT COUNT(*) as unique_vehicles, IFNULL(SUM(days > 1), 0) as repeat_vehicles
+            FROM (
+                SELECT licensePlate, COUNT(DISTINCT day) as days
+                FROM vehicle_days
+                WHERE ${conditions.join(' AND ')}
+                GROUP BY licensePlate
+            )
+        `, params);
+    }
+
+    getDwellTotals(options) {
+        const { conditions, params } = buildDailyFilters(options);
+        return this.get(`
+            SELECT IFNULL(SUM(visits), 0) as visits, IFNULL(SUM(dwell_seconds), 0) as dwell_seconds
+            FROM visit_rollups
+            WHERE ${conditions.join(' AND ')}
+        `, params);
+    }
+
+    // Distinct spellings of a plate held anywhere. `fuzzy` also matches
+    // OCR misreads (AB12CDE finds A812CDE), as watchlists do.
+    async findPlateVariants(plate, fuzzy) {
+        const key = fuzzy ? canonicalPlate(plate) : normalizePlate(plate);
+        if (!key) return [];
+        const sql = SUBJECT_TABLES
+            .map(table => `SELECT licensePlate FROM ${table} WHERE ${plateKeySql('licensePlate', fuzzy)} = ?`)
+            .join(' UNION ');
+        const rows = await this.all(sql, SUBJECT_TABLES.map(() => key));
+        const toKey = fuzzy ? canonicalPlate : normalizePlate;
+        return rows.map(row => row.licensePlate).filter(value => toKey(value) === key).sort();
+    }
+
+    // Every row holding one of `plates` (exact spellings from
+    // findPlateVariants), keyed by table
+    async getSubjectRecords(plates) {
+        const records = {};
+        for (const table of SUBJECT_TABLES) {
+            records[table] = plates.length
+                ? await this.all(
+                    `SELECT * FROM ${table} WHERE licensePlate IN (${plates.map(() => '?').join(', ')}) ORDER BY id`,
+                    plates
+                )
+                : [];
+        }
+        return records;
+    }
+
+    // Deletes every row holding one of `plates`, or with mode "redact" keeps
+    // reads, visits, violations and alerts for statistics but strips the
+    // plate, vehicle description and image references. Permits, watchlist
+    // entries and webhook deliveries (whose payload copies the read) are
+    // always deleted. Returns the affected ids per table; image files are
+    // left for the caller to remove.
+    async eraseSubjectRecords(plates, mode) {
+        const affected = {};
+        if (!plates.length) return affected;
+        const list = plates.map(() => '?').join(', ');
+        await this.transaction(async (tx) => {
+            const idsOf = async (table) => (await tx.all(
+                `SELECT id FROM ${table} WHERE licensePlate IN (${list})`, plates
+            )).map(row => row.id);
+
+            affected.webhook_deliveries = (await tx.all(`
+                SELECT id FROM webhook_deliveries
+                WHERE event_id IN (SELECT id FROM events WHERE licensePlate IN (${list}))
+            `, plates)).map(row => row.id);
+            await tx.run(`
+                DELETE FROM webhook_deliveries
+                WHERE event_id IN (SELECT id FROM events WHERE licensePlate IN (${list}))
+            `, plates);
+            await tx.run(`
+                DELETE FROM event_images
+                WHERE event_id IN (SELECT id FROM events WHERE licensePlate IN (${list}))
+            `, plates);
+            // Review history holds the plate as read and as corrected
+            await tx.run(`
+                DELETE FROM event_reviews
+                WHERE event_id IN (SELECT id FROM events WHERE licensePlate IN (${list}))
+            `, plates);
+
+            for (const table of SUBJECT_TABLES) {
+                affected[table] = await idsOf(table);
+                if (mode !== 'redact' || ['permits', 'watchlist_entries', 'vehicle_days', 'passages', 'vehicle_profiles'].includes(table)) {
+                    await tx.run(`DELETE FROM ${table} WHERE licensePlate IN (${list})`, plates);
+                } else if (table === 'events') {
+                    await tx.run(`
+                        UPDATE events
+                        SET licensePlate = ?, plate_normalized = NULL, original_plate = NULL,
+                            country = NULL, country_iso = NULL, region = NULL, plateColor = NULL,
+                            vehicleColor = NULL, vehicleMake = NULL, vehicleType = NULL,
+                            licensePlateImage = NULL, vehicleImage = NULL, detectionImage = NULL,
+                            images_purged_at = COALESCE(images_purged_at, CURRENT_TIMESTAMP)
+                        WHERE licensePlate IN (${list})
+                    `, [REDACTED_PLATE, ...plates]);
+                } else if (table === 'alerts') {
+                    await tx.run(`
+                        UPDATE alerts SET licensePlate = ?, matched_plate = ?, message = NULL, notes = NULL
+                        WHERE licensePlate IN (${list})
+                    `, [REDACTED_PLATE, REDACTED_PLATE, ...plates]);
+                } else if (table === 'violations') {
+                    await tx.run(`
+                        UPDATE violations SET licensePlate = ?, permit_id = NULL, review_notes = NULL
+                        WHERE licensePlate IN (${list})
+                    `, [REDACTED_PLATE, ...plates]);
+                } else {
+                    await tx.run(`UPDATE ${table} SET licensePlate = ? WHERE licensePlate IN (${list})`, [REDACTED_PLATE, ...plates]);
+                }
+            }
         });
+        return affected;
     }
 
     close() {
@@ -0,0 +1,73 @@
+const { EventEmitter } = require('events');
+
+// In-process bus that fans stored events out to live subscribers (SSE and
+// WebSocket clients today). Publishers never wait on subscribers.
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    // Every open stream adds a listener, so the default cap of 10 is too low
+    this.setMaxListeners(0);
+  }
+
+  publishEvent(event) {
+    this.emit('detection', event);
+  }
+
+  publishAlert(alert) {
+    this.emit('alert', alert);
+  }
+
+  publishVisit(visit) {
+    this.emit('visit', visit);
+  }
+
+  publishViolation(violation) {
+    this.emit('violation', violation);
+  }
+
+  publishCameraStatus(camera) {
+    this.emit('camera', camera);
+  }
+
+  // Subscribes to one message type, optionally filtered, and returns a
+  // function that removes the subscription again
+  subscribe(type, filter, listener) {
+    const handler = (payload) => {
+      if (this.matches(payload, filter)) {
+        listener(payload);
+      }
+    };
+    this.on(type, handler);
+    return () => this.off(type, handler);
+  }
+
+  // Builds a filter from query-string style parameters: siteId, cameraId,
+  // channelID (or camera) and plate, where plate accepts * and ? wildcards.
+  // siteIds limits the filter to the sites a subscriber may see.
+  createFilter(params = {}, siteIds = null) {
+    const filter = {};
+    if (siteIds) filter.siteIds = siteIds;
+    if (params.siteId) filter.siteId = String(params.siteId);
+    if (params.cameraId) filter.cameraId = String(params.cameraId);
+    if (params.channelID || params.camera) filter.channelID = String(params.channelID || params.camera);
+    if (params.plate) filter.plate = platePattern(params.plate);
+    return filter;
+  }
+
+  matches(event, filter) {
+    if (!filter) return true;
+    if (filter.siteIds && !filter.siteIds.includes(Number(event.site_id))) return false;
+    if (filter.siteId && String(event.site_id) !== filter.siteId) return false;
+    if (filter.cameraId && String(event.camera_id) !== filter.cameraId) return false;
+    if (filter.channelID && String(event.channelID) !== filter.channelID) return false;
+    if (filter.plate && !filter.plate.test(String(event.licensePlate || '').toUpperCase())) return false;
+    return true;
+  }
+}
+
+function platePattern(plate) {
+  const escaped = String(plate).toUpperCase().replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+}
+
+module.exports = new EventBus();
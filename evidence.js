@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { once } = require('events');
+const archiver = require('archiver');
+const db = require('./database');
+const config = require('./config');
+const { store } = require('./storage');
+
+// Integrity of pictures used for enforcement: SHA-256 hashes recorded as
+// pictures arrive, export packages with a manifest signed by the server's
+// Ed25519 key, and re-verification of stored pictures against their hashes.
+
+const IMAGE_COLUMNS = ['licensePlateImage', 'vehicleImage', 'detectionImage'];
+const BATCH_SIZE = 500;
+
+let keys = null;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// The key comes from EVIDENCE_SIGNING_KEY_FILE, or is generated once and
+// kept in the settings table
+async function signingKeys() {
+  if (keys) return keys;
+  const pem = config.evidence.signingKeyFile
+    ? await fs.promises.readFile(config.evidence.signingKeyFile, 'utf8')
+    : await db.getSetting('evidence_signing_key') || await db.initSetting(
+      'evidence_signing_key',
+      crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' })
+    );
+  const privateKey = crypto.createPrivateKey(pem);
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('The evidence signing key must be an Ed25519 private key');
+  }
+  const publicKey = crypto.createPublicKey(privateKey);
+  keys = {
+    privateKey,
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+    fingerprint: sha256(publicKey.export({ type: 'spki', format: 'der' }))
+  };
+  return keys;
+}
+
+async function publicKey() {
+  const { publicKeyPem, fingerprint } = await signingKeys();
+  return { algorithm: 'Ed25519', fingerprint, public_key: publicKeyPem };
+}
+
+// Row recorded for a picture as it is stored; `kind` is the slot it filled
+// (licensePlate, vehicle or detection)
+function describeUpload(kind, file, receivedAt) {
+  return {
+    kind,
+    filename: file.filename,
+    sha256: sha256(file.buffer),
+    size: file.buffer.length,
+    content_type: file.mimetype,
+    created_at: receivedAt
+  };
+}
+
+// When and from where a read arrived, and how far the camera's clock was
+// from ours
+function receipt(event) {
+  const received = event.received_at ? new Date(event.received_at) : null;
+  const cameraTime = new Date(event.dateTime);
+  return {
+    camera_mac: event.macAddress,
+    camera_time: event.dateTime,
+    received_at: event.received_at,
+    clock_offset_seconds: received && !isNaN(cameraTime.getTime())
+      ? Math.round((received - cameraTime) / 1000)
+      : null,
+    source_ip: event.source_ip
+  };
+}
+
+// Streams the package for one event: the original pictures under images/,
+// event.json, manifest.json listing the SHA-256 of every file (pictures also
+// carry the hash recorded at ingest and whether it still matches),
+// manifest.sig with the base64 Ed25519 signature of manifest.json, and the
+// public key to check it with.
+async function writePackage(res, event, generatedBy) {
+  const { privateKey, publicKeyPem, fingerprint } = await signingKeys();
+  const archive = archiver('zip');
+  archive.pipe(res);
+
+  const files = [];
+  const addFile = async (name, data, details = {}) => {
+    archive.append(data, { name });
+    await once(archive, 'entry');
+    files.push({ name, sha256: sha256(data), size: data.length, ...details });
+  };
+
+  const recorded = new Map((await db.getEventImages(event.id)).map(image => [image.filename, image]));
+  const missing = [];
+  for (const column of IMAGE_COLUMNS) {
+    const filename = event[column];
+    if (!filename) continue;
+    const data = await store.get(filename);
+    if (!data) {
+      missing.push(filename);
+      continue;
+    }
+    const image = recorded.get(filename);
+    await addFile(`images/${filename}`, data, {
+      recorded_sha256: image ? image.sha256 : null,
+      intact: image ? image.sha256 === sha256(data) : null
+    });
+  }
+  await addFile('event.json', Buffer.from(JSON.stringify({ event, receipt: receipt(event) }, null, 2)));
+
+  const manifest = Buffer.from(JSON.stringify({
+    event_id: event.id,
+    generated_at: new Date().toISOString(),
+    generated_by: generatedBy,
+    hash_algorithm: 'SHA-256',
+    signature_algorithm: 'Ed25519',
+    key_fingerprint: fingerprint,
+    files,
+    missing_images: missing
+  }, null, 2));
+  archive.append(manifest, { name: 'manifest.json' });
+  archive.append(crypto.sign(null, manifest, privateKey).toString('base64'), { name: 'manifest.sig' });
+  archive.append(publicKeyPem, { name: 'public-key.pem' });
+  await archive.finalize();
+}
+
+// Re-hashes stored pictures and compares them with the hashes recorded at
+// ingest. `onProblem(status, image)` is called for every missing or altered
+// picture.
+async function verify({ eventId, evidenceOnly = false } = {}, onProblem = () => {}) {
+  const result = { checked: 0, intact: 0, mismatched: 0, missing: 0 };
+  let afterId = 0;
+  let batch;
+  do {
+    batch = await db.getImageHashes({ afterId, eventId, evidenceOnly, limit: BATCH_SIZE });
+    for (const image of batch) {
+      const data = await store.get(image.filename);
+      result.checked++;
+      if (!data) {
+        result.missing++;
+        onProblem('missing', image);
+      } else if (sha256(data) !== image.sha256) {
+        result.mismatched++;
+        onProblem('mismatched', image);
+      } else {
+        result.intact++;
+      }
+    }
+    if (batch.length) {
+      afterId = batch[batch.length - 1].id;
+    }
+  } while (batch.length === BATCH_SIZE);
+  return result;
+}
+
+module.exports = {
+  publicKey,
+  describeUpload,
+  receipt,
+  writePackage,
+  verify
+};
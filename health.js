@@ -0,0 +1,153 @@
+const db = require('./database');
+const bus = require('./eventBus');
+const config = require('./config');
+
+let timer = null;
+
+function expectedInterval(camera) {
+  return camera.expected_interval_seconds || config.health.offlineSeconds;
+}
+
+async function raiseAlert(camera, type, priority, message) {
+  const alertId = await db.createAlert({
+    type,
+    site_id: camera.site_id,
+    camera_id: camera.id,
+    priority,
+    message
+  });
+  bus.publishAlert(await db.getAlertById(alertId));
+}
+
+// Moves a camera to online or offline, keeping its history and raising an
+// alert when it drops out or comes back. The first status a camera ever
+// reports is recorded without an alert.
+async function transition(camera, status, reason) {
+  const previous = camera.health_status;
+  if (!(await db.setCameraHealth(camera.id, status, reason))) {
+    return null;
+  }
+
+  const updated = await db.getCameraById(camera.id);
+  const name = updated.name || `channel ${updated.channelID}`;
+
+  if (status === 'offline' && previous === 'online') {
+    await raiseAlert(updated, 'camera_offline', 'high', `Camera ${name} is offline: ${reason}`);
+  } else if (previous === 'offline') {
+    // The outage is over, so its alerts no longer need action
+    for (const alert of await db.resolveCameraAlerts(camera.id, 'camera_offline', 'system')) {
+      bus.publishAlert(alert);
+    }
+    await raiseAlert(updated, 'camera_online', 'low', `Camera ${name} is back online`);
+  }
+
+  bus.publishCameraStatus({ ...updated, reason });
+  return updated;
+}
+
+// Any detection or heartbeat counts as a sign of life
+async function recordActivity(cameraId) {
+  if (!cameraId) return null;
+  const camera = await db.getCameraById(cameraId);
+  if (!camera || camera.health_status === 'online') {
+    return camera;
+  }
+  return (await transition(camera, 'online', 'Reporting')) || camera;
+}
+
+// Heartbeat and videoloss notifications update health without being stored
+// as events. An active videoloss means the camera is up but has lost its
+// picture, which is as good as offline for plate reads.
+async function recordHeartbeat(heartbeat) {
+  const camera = await db.recordCameraRead(heartbeat.channelID, heartbeat.macAddress);
+  const videoLost = String(heartbeat.eventType).toLowerCase() === 'videoloss' &&
+    String(heartbeat.eventState).toLowerCase() === 'active';
+
+  if (videoLost) {
+    const current = await db.getCameraById(camera.id);
+    if (current.health_status !== 'offline') {
+      await transition(current, 'offline', 'Video loss reported');
+    }
+    return current;
+  }
+  return recordActivity(camera.id);
+}
+
+// Marks cameras offline once they have been silent for longer than their
+// expected interval
+async function sweep() {
+  const overdue = await db.getOverdueCameras(config.health.offlineSeconds);
+  for (const camera of overdue) {
+    await transition(camera, 'offline', `No events or heartbeats for more than ${expectedInterval(camera)} seconds`);
+  }
+  return overdue.length;
+}
+
+// Share of the window the camera was online, counting only time with a
+// known status
+async function uptime(cameraId, hours) {
+  const to = Date.now();
+  const from = to - hours * 3600 * 1000;
+  const { previous, history } = await db.getCameraHealthHistory(cameraId, new Date(from).toISOString());
+
+  let state = previous ? previous.status : null;
+  let cursor = from;
+  let online = 0;
+  let offline = 0;
+  const advance = (until) => {
+    if (state === 'online') online += until - cursor;
+    if (state === 'offline') offline += until - cursor;
+    cursor = until;
+  };
+
+  for (const change of history) {
+    advance(Math.max(from, new Date(change.changed_at).getTime()));
+    state = change.status;
+  }
+  advance(to);
+
+  const monitored = online + offline;
+  return {
+    window_hours: hours,
+    online_seconds: Math.round(online / 1000),
+    offline_seconds: Math.round(offline / 1000),
+    uptime_percent: monitored ? Math.round(online / monitored * 10000) / 100 : null,
+    history
+  };
+}
+
+async function getHealth(camera, hours) {
+  const { history, ...summary } = await uptime(camera.id, hours);
+  return {
+    camera_id: camera.id,
+    name: camera.name,
+    site_id: camera.site_id,
+    status: camera.health_status || 'unknown',
+    status_reason: camera.health_reason,
+    status_changed_at: camera.health_changed_at,
+    last_seen: camera.last_seen,
+    expected_interval_seconds: expectedInterval(camera),
+    uptime: summary,
+    history,
+    alerts: await db.getAlerts({ cameraId: camera.id, limit: 50 })
+  };
+}
+
+function start() {
+  timer = setInterval(() => {
+    sweep().catch(error => console.error('Error checking camera health:', error));
+  }, config.health.sweepIntervalMs);
+}
+
+function stop() {
+  clearInterval(timer);
+}
+
+module.exports = {
+  recordActivity,
+  recordHeartbeat,
+  sweep,
+  getHealth,
+  start,
+  stop
+};
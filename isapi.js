@@ -0,0 +1,145 @@
+const { XMLParser } = require('fast-xml-parser');
+
+// Parser for the EventNotificationAlert documents Hikvision cameras push in
+// "HTTP listening" mode. Tag values are kept as strings so channel IDs and
+// plates such as "007" survive untouched.
+const xmlParser = new XMLParser({
+  ignoreAttributes: true,
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true
+});
+
+const ALERT_MIME_TYPES = [
+  'application/xml',
+  'text/xml',
+  'application/json',
+  'text/json',
+  'text/plain'
+];
+
+// Maps ISAPI picture types onto the image slots stored with each event
+const PICTURE_SLOTS = {
+  licensePlatePicture: 'licensePlate',
+  vehiclePicture: 'vehicle',
+  detectionPicture: 'detection'
+};
+
+// Notifications that only say the camera is alive. Hikvision devices send
+// videoloss with eventState "inactive" as their periodic heartbeat.
+const HEARTBEAT_TYPES = ['heartbeat', 'videoloss'];
+
+function isHeartbeat(eventType) {
+  return HEARTBEAT_TYPES.includes(String(eventType || '').toLowerCase());
+}
+
+function isAlertPart(file) {
+  const mimetype = (file.mimetype || '').split(';')[0].trim().toLowerCase();
+  const name = (file.originalname || file.fieldname || '').toLowerCase();
+  return ALERT_MIME_TYPES.includes(mimetype) || name.endsWith('.xml') || name.endsWith('.json');
+}
+
+function toArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function text(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'object') return undefined;
+  const str = String(value).trim();
+  return str === '' ? undefined : str;
+}
+
+// Accepts an XML string, a JSON string, a Buffer of either, or an already
+// parsed object. Returns the EventNotificationAlert body, or null when the
+// payload is not an alert.
+function parseEventAlert(payload) {
+  if (payload === undefined || payload === null) return null;
+
+  let doc = payload;
+  if (Buffer.isBuffer(doc)) {
+    doc = doc.toString('utf8');
+  }
+
+  try {
+    if (typeof doc === 'string') {
+      const trimmed = doc.replace(/^\uFEFF/, '').trim();
+      if (trimmed.startsWith('<')) {
+        doc = xmlParser.parse(trimmed);
+      } else if (trimmed.startsWith('{')) {
+        doc = JSON.parse(trimmed);
+      } else {
+        return null;
+      }
+    }
+  } catch (error) {
+    console.error('Error parsing event notification payload:', error.message);
+    return null;
+  }
+
+  if (!doc || typeof doc !== 'object') return null;
+
+  const alert = doc.EventNotificationAlert || doc;
+  if (!alert || typeof alert !== 'object' || !(alert.eventType || alert.ANPR)) {
+    return null;
+  }
+  return alert;
+}
+
+// Builds a map of image slot -> multipart part name from the picture list
+// that accompanies ANPR alerts (pictureInfoList on XML firmware, picInfo on
+// some JSON firmware).
+function pictureParts(alert, anpr) {
+  const pictures = [
+    ...toArray(anpr.pictureInfoList?.pictureInfo),
+    ...toArray(alert.pictureInfoList?.pictureInfo),
+    ...toArray(anpr.picInfo),
+    ...toArray(alert.picInfo)
+  ];
+
+  const parts = {};
+  for (const picture of pictures) {
+    const slot = PICTURE_SLOTS[text(picture.type)];
+    const fileName = text(picture.fileName) || text(picture.name);
+    if (slot && fileName && !parts[slot]) {
+      parts[slot] = fileName;
+    }
+  }
+  return parts;
+}
+
+// Maps an EventNotificationAlert onto the event shape stored by
+// db.insertEvent. Fields the camera did not send are left undefined.
+function alertToEvent(alert) {
+  const anpr = alert.ANPR || alert.anpr || {};
+  const vehicleInfo = anpr.vehicleInfo || alert.vehicleInfo || {};
+
+  return {
+    channelID: text(alert.channelID) || text(alert.dynChannelID) || text(alert.channelId),
+    dateTime: text(alert.dateTime),
+    eventType: text(alert.eventType),
+    eventState: text(alert.eventState),
+    country: text(anpr.country),
+    licensePlate: text(anpr.licensePlate) || text(anpr.originalLicensePlate),
+    lane: text(anpr.laneNo) || text(anpr.line) || text(alert.laneNo),
+    direction: text(anpr.direction),
+    confidenceLevel: text(anpr.confidenceLevel),
+    macAddress: text(alert.macAddress),
+    plateColor: text(anpr.plateColor),
+    region: text(anpr.region) || text(anpr.province),
+    vehicleColor: text(vehicleInfo.color),
+    vehicleMake: text(vehicleInfo.vehicleLogoRecog) || text(vehicleInfo.brand),
+    vehicleType: text(anpr.vehicleType) || text(vehicleInfo.vehicleType),
+    pictures: pictureParts(alert, anpr)
+  };
+}
+
+module.exports = {
+  PICTURE_SLOTS,
+  HEARTBEAT_TYPES,
+  isHeartbeat,
+  isAlertPart,
+  parseEventAlert,
+  alertToEvent
+};
@@ -0,0 +1,103 @@
+// Copies every stored image from one storage driver to another, e.g. before
+// switching STORAGE_DRIVER from local to s3:
+//
+//   npm run migrate-storage -- --from local --to s3 [--delete-source] [--dry-run]
+//
+// Filenames are kept, so events need no changes. Images already in the
+// target with the same size are skipped, which makes the command safe to
+// re-run after an interruption. Both drivers are configured from the same
+// environment variables the server uses.
+
+const path = require('path');
+const { DRIVERS, createStorage } = require('./storage');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+function parseArgs(argv) {
+  const options = { deleteSource: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from':
+        options.from = argv[++i];
+        break;
+      case '--to':
+        options.to = argv[++i];
+        break;
+      case '--delete-source':
+        options.deleteSource = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!DRIVERS.includes(options.from) || !DRIVERS.includes(options.to)) {
+    throw new Error(`--from and --to must each be one of: ${DRIVERS.join(', ')}`);
+  }
+  if (options.from === options.to) {
+    throw new Error('--from and --to must be different drivers');
+  }
+  return options;
+}
+
+async function migrate({ from, to, deleteSource, dryRun }) {
+  const source = createStorage(from);
+  const target = createStorage(to);
+  const result = { copied: 0, skipped: 0, failed: 0, bytes: 0 };
+
+  for await (const file of source.list()) {
+    try {
+      const existing = await target.stat(file.key);
+      if (existing && existing.size === file.size) {
+        result.skipped++;
+      } else {
+        if (!dryRun) {
+          const data = await source.get(file.key);
+          if (!data) continue;
+          const contentType = CONTENT_TYPES[path.extname(file.key).toLowerCase()] || 'application/octet-stream';
+          await target.put(file.key, data, contentType);
+        }
+        result.copied++;
+        result.bytes += file.size;
+      }
+
+      // Only reached once the target is known to hold the image
+      if (deleteSource && !dryRun) {
+        await source.remove(file.key);
+      }
+    } catch (error) {
+      result.failed++;
+      console.error(`Error migrating ${file.key}:`, error.message);
+    }
+  }
+  return result;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: node migrate-storage.js --from <local|s3> --to <local|s3> [--delete-source] [--dry-run]');
+    process.exit(2);
+  }
+
+  const result = await migrate(options);
+  console.log(`${options.dryRun ? 'Would copy' : 'Copied'} ${result.copied} image(s) (${result.bytes} bytes) ` +
+    `from ${options.from} to ${options.to}; ${result.skipped} already present, ${result.failed} failed`);
+  process.exit(result.failed ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('Storage migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const mqtt = require('mqtt');
+const bus = require('./eventBus');
+const config = require('./config');
+
+// Publishes stored events and camera online/offline status (as decided by
+// the health monitor) to an MQTT broker for site automation. Topics:
+//   <prefix>/<site>/<channelID>/anpr    one message per detection, and again
+//                                       with reprocessed: true when a read
+//                                       leaves review or is corrected
+//   <prefix>/<site>/<channelID>/alert   watchlist and health alerts for that camera
+//   <prefix>/<site>/<channelID>/status  retained online/offline state
+//   <prefix>/server/status              retained, offline via last will
+
+let client = null;
+
+function topicSegment(value, fallback) {
+  const segment = String(value ?? '').toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  return segment || fallback;
+}
+
+function cameraTopic(event) {
+  const site = event.siteName
+    ? topicSegment(event.siteName, `site-${event.site_id}`)
+    : (event.site_id ? `site-${event.site_id}` : 'unassigned');
+  return `${config.mqtt.topicPrefix}/${site}/${topicSegment(event.channelID, 'unknown')}`;
+}
+
+function publish(topic, payload, options = {}) {
+  if (!client || !client.connected) return;
+  client.publish(topic, JSON.stringify(payload), { qos: config.mqtt.qos, ...options }, (err) => {
+    if (err) {
+      console.error(`Error publishing MQTT message to ${topic}:`, err.message);
+    }
+  });
+}
+
+function handleCameraStatus(camera) {
+  publish(`${cameraTopic(camera)}/status`, {
+    status: camera.health_status,
+    reason: camera.reason,
+    camera_id: camera.id,
+    channelID: camera.channelID,
+    site_id: camera.site_id,
+    lastSeen: camera.last_seen,
+    changedAt: camera.health_changed_at
+  }, { retain: true });
+}
+
+function handleDetection(event) {
+  const { alerts, ...stored } = event;
+  publish(`${cameraTopic(event)}/anpr`, stored);
+}
+
+function handleAlert(alert) {
+  if (alert.status === 'open') {
+    publish(`${cameraTopic(alert)}/alert`, alert);
+  }
+}
+
+function connectOptions() {
+  const { username, password, clientId, caFile, certFile, keyFile, rejectUnauthorized } = config.mqtt;
+  const serverTopic = `${config.mqtt.topicPrefix}/server/status`;
+  return {
+    clientId,
+    username,
+    password,
+    ca: caFile ? fs.readFileSync(caFile) : undefined,
+    cert: certFile ? fs.readFileSync(certFile) : undefined,
+    key: keyFile ? fs.readFileSync(keyFile) : undefined,
+    rejectUnauthorized,
+    reconnectPeriod: 5000,
+    will: {
+      topic: serverTopic,
+      payload: JSON.stringify({ status: 'offline' }),
+      qos: 1,
+      retain: true
+    }
+  };
+}
+
+function start() {
+  if (!config.mqtt.url) return;
+
+  client = mqtt.connect(config.mqtt.url, connectOptions());
+
+  client.on('connect', () => {
+    console.log(`Connected to MQTT broker at ${config.mqtt.url}`);
+    publish(`${config.mqtt.topicPrefix}/server/status`, { status: 'online' }, { retain: true, qos: 1 });
+  });
+  client.on('error', (err) => {
+    console.error('MQTT error:', err.message);
+  });
+
+  bus.on('detection', handleDetection);
+  bus.on('alert', handleAlert);
+  bus.on('camera', handleCameraStatus);
+}
+
+function stop() {
+  bus.off('detection', handleDetection);
+  bus.off('alert', handleAlert);
+  bus.off('camera', handleCameraStatus);
+  if (client) {
+    client.end();
+    client = null;
+  }
+}
+
+module.exports = {
+  start,
+  stop
+};
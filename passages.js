@@ -0,0 +1,132 @@
+const db = require('./database');
+const config = require('./config');
+const { canonicalPlate } = require('./plates');
+const { eventTime } = require('./visits');
+const retention = require('./retention');
+
+// Turns bursts of reads of one vehicle into one record. Repeat reads of a
+// plate on the same camera are merged into the first event, which keeps the
+// pictures of the most confident read. Reads from the cameras of a gate
+// (front and rear, say) close together in time are tied into one passage.
+// Plates are compared allowing for OCR confusions, as watchlists do.
+
+const PICTURE_COLUMNS = { licensePlate: 'licensePlateImage', vehicle: 'vehicleImage', detection: 'detectionImage' };
+
+const queues = new Map();
+
+// Reads are handled one at a time per gate, or per camera outside a gate,
+// so two arriving together can't each miss the other
+async function serialize(camera, task) {
+  const key = camera.gate_id ? `gate:${camera.gate_id}` : `camera:${camera.id}`;
+  const current = (queues.get(key) || Promise.resolve()).catch(() => {}).then(task);
+  queues.set(key, current);
+  try {
+    return await current;
+  } finally {
+    if (queues.get(key) === current) {
+      queues.delete(key);
+    }
+  }
+}
+
+// confidenceLevel is stored as text; missing values rank lowest
+function confidence(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : -1;
+}
+
+// The stored event that `read` (an event as built at ingest) repeats, or
+// null. Cameras without a window of their own use the configured one.
+async function findDuplicate(camera, read) {
+  const seconds = camera.dedup_seconds ?? config.passages.dedupSeconds;
+  if (!seconds) return null;
+  const plate = canonicalPlate(read.licensePlate);
+  const time = eventTime(read);
+  const since = new Date(Date.parse(read.receivedAt) - seconds * 1000).toISOString();
+  const recent = await db.getRecentCameraEvents(camera.id, since);
+  return recent.find(event =>
+    canonicalPlate(event.licensePlate) === plate &&
+    Math.abs(eventTime(event) - time) <= seconds * 1000
+  ) || null;
+}
+
+// Whether a repeat read's pictures should replace the event's. Evidence is
+// never altered.
+function isBetterRead(read, event) {
+  return !event.evidence && confidence(read.confidenceLevel) > confidence(event.confidenceLevel);
+}
+
+// Counts `read` against the event it repeats. A better read brings its plate
+// text, confidence and pictures (`images` as described at upload), and the
+// pictures it replaces are deleted; the caller then processes the event again
+// (see pipeline.processMergedRead).
+async function mergeDuplicate(event, read, images = []) {
+  if (!isBetterRead(read, event)) {
+    await db.recordDuplicateRead(event.id);
+    return false;
+  }
+  const replaced = images.map(image => event[PICTURE_COLUMNS[image.kind]]).filter(Boolean);
+  await db.recordDuplicateRead(event.id, {
+    licensePlate: read.licensePlate,
+    confidenceLevel: read.confidenceLevel,
+    plateValid: read.plateValid,
+    reviewReason: read.reviewReason,
+    images
+  });
+  await retention.removeFiles(replaced);
+  return true;
+}
+
+// The open passage at the camera's gate that `read` belongs to, or null
+async function findPassage(camera, read) {
+  if (!camera.gate_id) return null;
+  const gate = await db.getGateById(camera.gate_id);
+  if (!gate) return null;
+  return db.findPassage(
+    gate.id,
+    canonicalPlate(read.licensePlate),
+    eventTime(read),
+    gate.window_seconds || config.passages.gateWindowSeconds
+  );
+}
+
+// Adds a stored event to `passage`, or starts a passage with it when the
+// camera belongs to a gate. Returns the passage id or null.
+async function recordPassage(event, passage, camera) {
+  const score = confidence(event.confidenceLevel);
+  const read = {
+    event_id: event.id,
+    licensePlate: event.licensePlate,
+    confidence: score < 0 ? null : score,
+    seen: eventTime(event).toISOString()
+  };
+  if (passage) {
+    await db.addPassageRead(passage.id, read);
+    return passage.id;
+  }
+  if (!camera.gate_id) return null;
+  return db.createPassage({
+    ...read,
+    gate_id: camera.gate_id,
+    site_id: event.site_id,
+    plate_canonical: canonicalPlate(event.licensePlate)
+  });
+}
+
+// Reads after the first of a passage are not checked against watchlists or
+// used for visits again
+async function isMergedRead(event) {
+  if (!event.passage_id) return false;
+  const passage = await db.getPassageById(event.passage_id);
+  return Boolean(passage) && passage.first_event_id !== event.id;
+}
+
+module.exports = {
+  serialize,
+  findDuplicate,
+  isBetterRead,
+  mergeDuplicate,
+  findPassage,
+  recordPassage,
+  isMergedRead
+};
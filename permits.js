@@ -0,0 +1,184 @@
+const db = require('./database');
+const bus = require('./eventBus');
+const config = require('./config');
+
+const VIOLATION_TYPES = ['no_permit', 'overstay', 'outside_hours'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+let sweepTimer = null;
+
+function parseTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Validates a schedule of permitted windows, e.g.
+//   [{ "days": ["mon", "tue"], "start": "08:00", "end": "18:00" }]
+// An end before the start spans midnight. Returns { error } or { schedule }.
+function parseSchedule(input) {
+  if (input === undefined || input === null || input === '') {
+    return { schedule: null };
+  }
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'schedule must be a non-empty array of time windows' };
+  }
+
+  const schedule = [];
+  for (const window of input) {
+    const days = (window.days || DAYS).map(day => String(day).toLowerCase().slice(0, 3));
+    if (days.some(day => !DAYS.includes(day))) {
+      return { error: `schedule days must be from: ${DAYS.join(', ')}` };
+    }
+    if (parseTime(window.start) === null || parseTime(window.end) === null) {
+      return { error: 'schedule start and end must be HH:MM times' };
+    }
+    schedule.push({ days, start: window.start, end: window.end });
+  }
+  return { schedule };
+}
+
+// Weekday and minute of day in the configured permit time zone
+function localTime(date) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone: config.permits.timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    day: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function withinSchedule(schedule, date) {
+  if (!schedule) return true;
+  const { day, minutes } = localTime(date);
+  const previousDay = DAYS[(DAYS.indexOf(day) + 6) % 7];
+
+  return schedule.some((window) => {
+    const start = parseTime(window.start);
+    const end = parseTime(window.end);
+    if (start <= end) {
+      return window.days.includes(day) && minutes >= start && minutes <= end;
+    }
+    // Overnight window: the evening part belongs to the listed day, the
+    // early-morning part to the day before
+    return (window.days.includes(day) && minutes >= start) ||
+      (window.days.includes(previousDay) && minutes <= end);
+  });
+}
+
+function parsePermitSchedule(permit) {
+  try {
+    return permit.schedule ? JSON.parse(permit.schedule) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function raise(visit, type, details, permit) {
+  const violationId = await db.createViolation({
+    site_id: visit.site_id,
+    visit_id: visit.id,
+    event_id: visit.exit_event_id || visit.entry_event_id,
+    permit_id: permit ? permit.id : null,
+    licensePlate: visit.licensePlate,
+    type,
+    details
+  });
+  if (violationId) {
+    const violation = await db.getViolationById(violationId);
+    bus.publishViolation(violation);
+    return violation;
+  }
+  return null;
+}
+
+// Checks a visit against the site's permits. Open visits are checked for
+// being on site past the grace period or maximum stay so far; closed visits
+// for their full duration. Returns the violations raised.
+async function evaluateVisit(visit, now = new Date()) {
+  if (!visit || !visit.site_id || !['open', 'closed'].includes(visit.status)) {
+    return [];
+  }
+  const rules = await db.getParkingRules(visit.site_id);
+  if (!rules.enabled) {
+    return [];
+  }
+
+  const entry = new Date(visit.entry_time);
+  const end = visit.exit_time ? new Date(visit.exit_time) : now;
+  const stayMinutes = (end - entry) / 60000;
+  const permits = await db.findPermits(visit.site_id, visit.licensePlate, visit.entry_time);
+  const violations = [];
+
+  if (permits.length === 0) {
+    if (stayMinutes > rules.grace_minutes) {
+      violations.push(await raise(visit, 'no_permit',
+        `No valid permit; on site ${Math.round(stayMinutes)} min (grace ${rules.grace_minutes} min)`));
+    }
+    return violations.filter(Boolean);
+  }
+
+  // Any permit that covers the whole stay clears the vehicle
+  const checks = permits.map((permit) => {
+    const schedule = parsePermitSchedule(permit);
+    const inHours = withinSchedule(schedule, entry) && (!visit.exit_time || withinSchedule(schedule, end));
+    const inStay = !permit.max_stay_minutes || stayMinutes <= permit.max_stay_minutes;
+    return { permit, inHours, inStay };
+  });
+  if (checks.some(check => check.inHours && check.inStay)) {
+    return [];
+  }
+
+  const outsideHours = checks.find(check => !check.inHours);
+  if (outsideHours) {
+    violations.push(await raise(visit, 'outside_hours', 'Entered or left outside the permitted hours', outsideHours.permit));
+  }
+  const overstay = checks.find(check => !check.inStay);
+  if (overstay) {
+    violations.push(await raise(visit, 'overstay',
+      `Stayed ${Math.round(stayMinutes)} min; permit allows ${overstay.permit.max_stay_minutes} min`, overstay.permit));
+  }
+  return violations.filter(Boolean);
+}
+
+// Catches vehicles still on site without a permit or past their stay
+async function sweep() {
+  const visits = await db.getEnforceableOpenVisits(new Date().toISOString());
+  for (const visit of visits) {
+    await evaluateVisit(visit);
+  }
+}
+
+// A newly opened visit is only checked against permitted hours; how long it
+// stays is left to the sweep and the exit read
+function handleVisit(visit) {
+  const now = visit.action === 'opened' ? new Date(visit.entry_time) : new Date();
+  evaluateVisit(visit, now).catch(error => console.error('Error evaluating visit permits:', error));
+}
+
+function start() {
+  bus.on('visit', handleVisit);
+  sweepTimer = setInterval(() => {
+    sweep().catch(error => console.error('Error sweeping permit violations:', error));
+  }, config.permits.sweepIntervalMs);
+}
+
+function stop() {
+  clearInterval(sweepTimer);
+  bus.off('visit', handleVisit);
+}
+
+module.exports = {
+  VIOLATION_TYPES,
+  parseSchedule,
+  withinSchedule,
+  evaluateVisit,
+  sweep,
+  start,
+  stop
+};
@@ -0,0 +1,71 @@
+const bus = require('./eventBus');
+const watchlist = require('./watchlist');
+const visits = require('./visits');
+const health = require('./health');
+const passages = require('./passages');
+
+// A failing step is logged and replaced by its fallback so that one broken
+// subsystem never loses the read or blocks the others
+async function runStep(name, step, fallback) {
+  try {
+    return await step();
+  } catch (error) {
+    console.error(`Error during ${name}:`, error);
+    return fallback;
+  }
+}
+
+// Watchlist matching and, unless the read is held for review, visit
+// tracking. A further read of a passage through a gate was already matched
+// and tracked with the passage's first read.
+async function matchEvent(event) {
+  if (await runStep('passage check', () => passages.isMergedRead(event), false)) {
+    return { alerts: [], visit: null };
+  }
+  const alerts = await runStep('watchlist check', () => watchlist.checkEvent(event), []);
+  const visit = event.review_status === 'pending'
+    ? null
+    : await runStep('visit tracking', () => visits.recordEvent(event), null);
+  return { alerts, visit };
+}
+
+// Downstream processing for a stored event: camera health, watchlist
+// matching and visit tracking, then publication to live subscribers (SSE, WebSocket, webhooks,
+// MQTT) marked `reprocessed: false`. Returns the event with its alerts and
+// visit attached. Reads held for review are matched against watchlists
+// straight away, so a doubtful read of a wanted plate still raises its alert,
+// but only tracked as visits (and so checked against permits) once an
+// operator has settled them (see releaseEvent).
+async function processEvent(event) {
+  await runStep('camera health', () => health.recordActivity(event.camera_id), null);
+  const processed = { ...event, ...await matchEvent(event), reprocessed: false };
+  bus.publishEvent(processed);
+  return processed;
+}
+
+// Processes a read again once it has left the review queue, with its plate
+// as confirmed or corrected: watchlists are checked for entries it has not
+// already matched and the visit is tracked. The read is published again so
+// subscribers (watchlist-only webhooks among them) see the settled version;
+// `reprocessed: true` tells them it updates a detection they were already
+// sent under the same id rather than being a new one.
+async function releaseEvent(event) {
+  const released = { ...event, ...await matchEvent(event), reprocessed: true };
+  bus.publishEvent(released);
+  return released;
+}
+
+// A better repeat read merged into an event (see passages.mergeDuplicate)
+// can replace its plate or clear its hold for review. Either way the event is
+// processed again like a read released from review.
+async function processMergedRead(before, after) {
+  const plateChanged = after.plate_normalized !== before.plate_normalized;
+  const released = before.review_status === 'pending' && after.review_status !== 'pending';
+  return plateChanged || released ? releaseEvent(after) : after;
+}
+
+module.exports = {
+  processEvent,
+  releaseEvent,
+  processMergedRead
+};
@@ -0,0 +1,134 @@
+const config = require('./config');
+
+// Plate helpers shared by watchlist matching, plate lookups and the checks
+// made on reads at ingest
+
+// Characters ANPR engines commonly confuse, mapped to one representative
+// per group so that "AB12 CDE" and "A812CDE" compare equal
+const OCR_CONFUSIONS = {
+  O: '0',
+  I: '1',
+  B: '8',
+  S: '5'
+};
+
+// Uppercases and strips everything but letters and digits
+function normalizePlate(plate) {
+  return String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Normalised plate with OCR-confusable characters folded together
+function canonicalPlate(plate) {
+  return normalizePlate(plate).replace(/[OIBS]/g, (char) => OCR_CONFUSIONS[char]);
+}
+
+// Hikvision cameras report the country as a number, but the table it
+// follows depends on the firmware: the HCNetSDK COUNTRY_INDEX enum puts
+// Germany at 3, yet UK cameras send 3 too. The numbers are therefore mapped
+// through HIK_COUNTRY_MAP, set for the cameras in use.
+function parseCountryMap(value) {
+  const map = {};
+  for (const pair of String(value).split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = /^([0-9]+)\s*=\s*([A-Za-z]{2})$/.exec(pair);
+    if (match) {
+      map[Number(match[1])] = match[2].toUpperCase();
+    } else {
+      console.warn(`Ignoring HIK_COUNTRY_MAP entry "${pair}"; expected number=ISO code`);
+    }
+  }
+  return map;
+}
+
+const HIK_COUNTRIES = parseCountryMap(config.plates.hikCountryMap);
+
+// Other spellings some firmware and integrations send instead
+const COUNTRY_ALIASES = {
+  UK: 'GB', GBR: 'GB', IRL: 'IE', FRA: 'FR', DEU: 'DE', D: 'DE', ESP: 'ES', ITA: 'IT',
+  NLD: 'NL', BEL: 'BE', POL: 'PL', PRT: 'PT', CZE: 'CZ', SVK: 'SK', AUT: 'AT', CHE: 'CH'
+};
+
+// Formats per country, matched against the normalised plate. Countries
+// without rules of their own only need something plate-shaped.
+const PLATE_FORMATS = {
+  GB: [
+    /^[A-Z]{2}[0-9]{2}[A-Z]{3}$/, // current: AB12 CDE
+    /^[A-Z][0-9]{1,3}[A-Z]{3}$/, // prefix: A123 BCD
+    /^[A-Z]{3}[0-9]{1,3}[A-Z]$/, // suffix: ABC 123D
+    /^[A-Z]{1,3}[0-9]{1,4}$/, // dateless and Northern Ireland: ABC 1234
+    /^[0-9]{1,4}[A-Z]{1,3}$/ // dateless reversed: 1234 AB
+  ],
+  IE: [
+    // Year (and half-year since 2013), county, sequence: 191-D-12345
+    /^[0-9]{2,3}(C|CE|CN|CW|D|DL|G|K|KE|KK|KY|L|LD|LH|LK|LM|LS|MH|MN|MO|OY|RN|SO|T|TN|TS|W|WD|WH|WW|WX)[0-9]{1,6}$/
+  ],
+  FR: [
+    /^[A-Z]{2}[0-9]{3}[A-Z]{2}$/, // SIV: AB-123-CD
+    /^[0-9]{1,4}[A-Z]{1,3}(2A|2B|[0-9]{2,3})$/ // FNI: 1234 AB 75
+  ],
+  DE: [/^[A-Z]{2,5}[0-9]{1,4}[EH]?$/], // district, letters, number: B AB 1234
+  ES: [
+    /^[0-9]{4}[BCDFGHJKLMNPRSTVWXYZ]{3}$/, // current: 1234 BCD
+    /^[A-Z]{1,2}[0-9]{4}[A-Z]{0,2}$/ // provincial: M 1234 AB
+  ],
+  IT: [/^[A-Z]{2}[0-9]{3}[A-Z]{2}$/],
+  NL: [
+    // The sidecodes in use: XX-99-99, 99-XX-99, 99-XXX-9 and so on
+    /^([A-Z]{2}[0-9]{4}|[0-9]{4}[A-Z]{2}|[0-9]{2}[A-Z]{2}[0-9]{2}|[A-Z]{2}[0-9]{2}[A-Z]{2})$/,
+    /^([A-Z]{4}[0-9]{2}|[0-9]{2}[A-Z]{4}|[0-9]{2}[A-Z]{3}[0-9]|[0-9][A-Z]{3}[0-9]{2})$/,
+    /^([A-Z]{2}[0-9]{3}[A-Z]|[A-Z][0-9]{3}[A-Z]{2}|[A-Z]{3}[0-9]{2}[A-Z]|[A-Z][0-9]{2}[A-Z]{3})$/,
+    /^([0-9][A-Z]{2}[0-9]{3}|[0-9]{3}[A-Z]{2}[0-9])$/
+  ],
+  BE: [/^[0-9][A-Z]{3}[0-9]{3}$/, /^[A-Z]{3}[0-9]{3}$/],
+  PL: [/^[A-Z]{2}[A-Z0-9]{5}$/, /^[A-Z]{3}[A-Z0-9]{4,5}$/],
+  PT: [
+    /^[A-Z]{2}[0-9]{2}[A-Z]{2}$/, // AA-00-AA since 2020
+    /^[0-9]{2}[A-Z]{2}[0-9]{2}$/,
+    /^[0-9]{4}[A-Z]{2}$/,
+    /^[A-Z]{2}[0-9]{4}$/
+  ]
+};
+const GENERIC_FORMAT = /^[A-Z0-9]{2,10}$/;
+
+// ISO 3166 alpha-2 code for a country as a camera reports it, or null
+function countryIso(country) {
+  const value = String(country ?? '').trim().toUpperCase();
+  if (!value || value === '0') return null;
+  if (/^[0-9]+$/.test(value)) return HIK_COUNTRIES[Number(value)] || null;
+  if (COUNTRY_ALIASES[value]) return COUNTRY_ALIASES[value];
+  return /^[A-Z]{2}$/.test(value) ? value : null;
+}
+
+// Whether a plate fits the formats of its country. Reads without a country
+// are checked against the default country, or any known format when there
+// is none.
+function validatePlate(plate, country) {
+  const normalized = normalizePlate(plate);
+  const iso = country || countryIso(config.plates.defaultCountry);
+  const formats = iso
+    ? PLATE_FORMATS[iso] || [GENERIC_FORMAT]
+    : Object.values(PLATE_FORMATS).flat();
+  return formats.some(format => format.test(normalized));
+}
+
+// Normalised plate, ISO country and format check for a read as received.
+// Countries that can't be identified are checked like reads without one.
+function describePlate(plate, country) {
+  const iso = countryIso(country);
+  return {
+    plateNormalized: normalizePlate(plate),
+    countryIso: iso,
+    plateValid: validatePlate(plate, iso)
+  };
+}
+
+module.exports = {
+  OCR_CONFUSIONS,
+  HIK_COUNTRIES,
+  PLATE_FORMATS,
+  parseCountryMap,
+  normalizePlate,
+  canonicalPlate,
+  countryIso,
+  validatePlate,
+  describePlate
+};
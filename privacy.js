@@ -0,0 +1,104 @@
+const { once } = require('events');
+const archiver = require('archiver');
+const db = require('./database');
+const { store } = require('./storage');
+const retention = require('./retention');
+
+// Data subject requests for a vehicle, identified by its plate: a ZIP of
+// everything held about it (subject access) and deletion or redaction of
+// it (erasure). The audit log is kept as the record of both.
+
+const ERASE_MODES = ['delete', 'redact'];
+const IMAGE_COLUMNS = ['licensePlateImage', 'vehicleImage', 'detectionImage'];
+
+function eventImages(events) {
+  const files = new Set();
+  events.forEach(event => IMAGE_COLUMNS.forEach(column => event[column] && files.add(event[column])));
+  return [...files];
+}
+
+// `plates` optionally narrows a fuzzy match to the spellings an admin has
+// confirmed belong to the vehicle
+async function findSubject(plate, { fuzzy = true, plates = null } = {}) {
+  let variants = await db.findPlateVariants(plate, fuzzy);
+  if (plates) {
+    variants = variants.filter(variant => plates.includes(variant));
+  }
+  return { plate, fuzzy, plates: variants, records: await db.getSubjectRecords(variants) };
+}
+
+function summarize(subject) {
+  const counts = {};
+  Object.entries(subject.records).forEach(([table, rows]) => {
+    counts[table] = rows.length;
+  });
+  return {
+    plate: subject.plate,
+    fuzzy: subject.fuzzy,
+    plates: subject.plates,
+    counts,
+    images: eventImages(subject.records.events).length,
+    evidence_events: subject.records.events.filter(event => event.evidence).length
+  };
+}
+
+// Waits for each file to be written so a long history of pictures is not
+// held in memory
+async function addFile(archive, data, name) {
+  archive.append(data, { name });
+  await once(archive, 'entry');
+}
+
+// Streams the bundle: one JSON file per table, the pictures under images/
+// and a manifest describing the request
+async function writeExport(res, subject, requestedBy) {
+  const archive = archiver('zip');
+  archive.pipe(res);
+
+  for (const [table, rows] of Object.entries(subject.records)) {
+    await addFile(archive, JSON.stringify(rows, null, 2), `${table}.json`);
+  }
+
+  const missing = [];
+  for (const filename of eventImages(subject.records.events)) {
+    const data = await store.get(filename);
+    if (!data) {
+      missing.push(filename);
+      continue;
+    }
+    await addFile(archive, data, `images/${filename}`);
+  }
+
+  await addFile(archive, JSON.stringify({
+    ...summarize(subject),
+    missing_images: missing,
+    generated_at: new Date().toISOString(),
+    generated_by: requestedBy
+  }, null, 2), 'manifest.json');
+  await archive.finalize();
+}
+
+// Returns the ids removed or redacted per table along with the number of
+// image files deleted
+async function erase(subject, mode) {
+  const images = eventImages(subject.records.events);
+  const affected = await db.eraseSubjectRecords(subject.plates, mode);
+  const bytes = await retention.removeFiles(images);
+  return {
+    plate: subject.plate,
+    fuzzy: subject.fuzzy,
+    plates: subject.plates,
+    mode,
+    records: affected,
+    images_removed: images.length,
+    bytes_freed: bytes
+  };
+}
+
+module.exports = {
+  ERASE_MODES,
+  findSubject,
+  summarize,
+  writeExport,
+  erase
+};
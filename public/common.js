@@ -0,0 +1,98 @@
+// Helpers shared by the dashboard, vehicle and sign-in pages. Text from the
+// server only ever reaches a page through textContent and attribute values,
+// never as markup, so names and plates can't inject HTML.
+
+// Builds an element. `props` may hold className, text, dataset, on<event>
+// handlers and any other attribute; children are nodes or strings.
+function el(tag, props = {}, ...children) {
+  const node = document.createElement(tag);
+  Object.entries(props).forEach(([name, value]) => {
+    if (value === undefined || value === null || value === false) return;
+    if (name === 'className') node.className = value;
+    else if (name === 'text') node.textContent = value;
+    else if (name === 'dataset') Object.assign(node.dataset, value);
+    else if (name.startsWith('on')) node.addEventListener(name.slice(2), value);
+    else node.setAttribute(name, value === true ? '' : value);
+  });
+  children.flat().forEach((child) => {
+    if (child !== null && child !== undefined && child !== false) {
+      node.append(child instanceof Node ? child : String(child));
+    }
+  });
+  return node;
+}
+
+function byId(id) {
+  return document.getElementById(id);
+}
+
+class ApiError extends Error {
+  constructor(status, body) {
+    super(body.error || 'Request failed (' + status + ')');
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// JSON request to the API. An expired session goes back to the sign-in
+// page; other failures throw an ApiError carrying the response body.
+async function api(path, options = {}) {
+  const init = { method: options.method || 'GET', headers: {} };
+  if (options.body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(options.body);
+  }
+  const response = await fetch(path, init);
+  if (response.status === 401) {
+    window.location.href = '/login';
+    throw new ApiError(401, { error: 'Session expired' });
+  }
+  const body = response.status === 204 ? null : await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new ApiError(response.status, body || {});
+  }
+  return body;
+}
+
+function formatTime(value) {
+  if (!value) return 'Never';
+  const time = new Date(value);
+  return isNaN(time) ? String(value) : time.toLocaleString();
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone
+function formatDbTime(value) {
+  return value ? formatTime(String(value).replace(' ', 'T') + (/[zZ+]/.test(value) ? '' : 'Z')) : 'Never';
+}
+
+function formatDuration(seconds) {
+  if (seconds === null) return 'N/A';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours ? hours + 'h ' + minutes + 'm' : minutes + 'm';
+}
+
+async function signOut() {
+  await fetch('/api/auth/logout', { method: 'POST' });
+  window.location.href = '/login';
+}
+
+function showThemeButton() {
+  const light = document.documentElement.dataset.theme === 'light';
+  byId('themeToggle').textContent = light ? 'Dark theme' : 'Light theme';
+}
+
+function toggleTheme() {
+  const theme = document.documentElement.dataset.theme === 'light' ? 'dark' : 'light';
+  document.documentElement.dataset.theme = theme;
+  localStorage.setItem('theme', theme);
+  showThemeButton();
+}
+
+// Wires the header's theme button and, where the page has one, sign-out
+function bindHeader() {
+  byId('themeToggle').addEventListener('click', toggleTheme);
+  const signOutButton = byId('signOut');
+  if (signOutButton) signOutButton.addEventListener('click', signOut);
+  showThemeButton();
+}
@@ -0,0 +1,1097 @@
+// NOC dashboard, built entirely from the JSON API with the helpers in
+// common.js.
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DIRECTION_COLOURS = ['#005288', '#00c853', '#ff9100', '#808080'];
+const ROLES = ['viewer', 'operator', 'admin'];
+const REVIEW_REASONS = {
+  invalid_plate: 'Plate does not match a known format',
+  low_confidence: 'Low confidence read'
+};
+const GALLERY_PAGE_SIZE = 40;
+
+let currentUser = null;
+let sites = [];
+let cameras = [];
+
+function hasRole(role) {
+  return Boolean(currentUser) && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+}
+
+let toastTimer = null;
+
+function notify(message) {
+  const toast = byId('toast');
+  toast.textContent = message;
+  toast.hidden = false;
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => { toast.hidden = true; }, 5000);
+}
+
+function vehicleUrl(event) {
+  return '/vehicles/' + encodeURIComponent(event.plate_normalized || event.licensePlate);
+}
+
+function siteName(id) {
+  const site = sites.find(candidate => candidate.id === id);
+  return site ? site.name : (id ? 'Site ' + id : 'Unassigned');
+}
+
+function cameraLabel(camera) {
+  return camera.name || 'Channel ' + camera.channelID;
+}
+
+function eventCamera(event) {
+  const camera = cameras.find(candidate => candidate.id === event.camera_id);
+  return camera ? cameraLabel(camera) : 'Channel ' + event.channelID;
+}
+
+// Views, chosen by the URL hash
+
+const VIEWS = ['events', 'gallery', 'review', 'analytics', 'sites'];
+const shownViews = new Set();
+
+function showView() {
+  const name = VIEWS.includes(location.hash.slice(1)) ? location.hash.slice(1) : 'events';
+  VIEWS.forEach((view) => {
+    byId('view-' + view).hidden = view !== name;
+  });
+  document.querySelectorAll('.tabs a').forEach((tab) => {
+    tab.classList.toggle('active', tab.dataset.view === name);
+  });
+  byId('eventFilters').hidden = !['events', 'gallery'].includes(name);
+
+  // Views are loaded the first time they are opened
+  if (!shownViews.has(name)) {
+    shownViews.add(name);
+    if (name === 'gallery') resetGallery();
+    if (name === 'analytics') loadAnalytics();
+  }
+}
+
+// Forms and validation
+
+function clearErrors(form) {
+  form.querySelectorAll('.field-error').forEach((error) => { error.textContent = ''; });
+  form.querySelectorAll('[aria-invalid]').forEach(field => field.removeAttribute('aria-invalid'));
+  form.querySelector('.form-error').textContent = '';
+}
+
+// Returns false when the form has nowhere to show the message
+function showFieldError(form, name, message) {
+  const field = form.elements[name];
+  const error = form.querySelector('.field-error[data-field="' + name + '"]');
+  if (field) field.setAttribute('aria-invalid', 'true');
+  if (error) error.textContent = message;
+  return Boolean(error);
+}
+
+// Checks the form's own constraints, marking every field that fails
+function validateForm(form) {
+  clearErrors(form);
+  let valid = true;
+  Array.from(form.elements).forEach((field) => {
+    if (field.willValidate && !field.checkValidity()) {
+      showFieldError(form, field.name, field.validationMessage);
+      valid = false;
+    }
+  });
+  return valid;
+}
+
+// Field errors from the API go beside their inputs; the rest go at the foot
+// of the form
+function showFormError(form, error) {
+  const fields = (error.body && error.body.fields) || {};
+  const names = Object.keys(fields);
+  const unplaced = names.filter(name => !showFieldError(form, name, fields[name]));
+  form.querySelector('.form-error').textContent = names.length
+    ? unplaced.map(name => fields[name]).join('; ')
+    : error.message;
+}
+
+function optionalNumber(value) {
+  return value === '' ? null : Number(value);
+}
+
+function closeOnCancel(dialog) {
+  dialog.querySelectorAll('[data-close]').forEach((button) => {
+    button.addEventListener('click', () => dialog.close());
+  });
+}
+
+// Resolves true when the user confirms
+function confirmAction(title, message, label = 'Delete') {
+  const dialog = byId('confirmDialog');
+  byId('confirmTitle').textContent = title;
+  byId('confirmMessage').textContent = message;
+  dialog.querySelector('[value="confirm"]').textContent = label;
+  dialog.returnValue = '';
+  dialog.showModal();
+  return new Promise((resolve) => {
+    dialog.addEventListener('close', () => resolve(dialog.returnValue === 'confirm'), { once: true });
+  });
+}
+
+// Sites
+
+async function loadSites() {
+  try {
+    sites = await api('/api/sites');
+    renderSites();
+    fillSiteSelects();
+    await loadCameras();
+  } catch (error) {
+    console.error('Error loading sites:', error);
+  }
+}
+
+function occupancyText(site) {
+  const occupancy = site.occupancy || 0;
+  if (site.capacity === null || site.capacity === undefined) return 'On site now: ' + occupancy;
+  const percent = site.capacity ? Math.round(occupancy / site.capacity * 100) : 100;
+  return 'On site now: ' + occupancy + ' of ' + site.capacity + ' (' + percent + '%)';
+}
+
+function renderSites() {
+  byId('siteList').replaceChildren(...sites.map(site => el('div', { className: 'site-card', dataset: { id: site.id } },
+    el('h3', { text: site.name }),
+    el('p', { className: 'meta', text: site.description || 'No description' }),
+    site.address && el('p', { className: 'meta address', text: site.address }),
+    site.latitude !== null && el('p', { className: 'meta', text: site.latitude + ', ' + site.longitude }),
+    site.timezone && el('p', { className: 'meta', text: 'Time zone: ' + site.timezone }),
+    el('p', { text: 'Events: ' + (site.eventCount || 0) }),
+    el('p', { text: occupancyText(site) }),
+    el('p', { text: 'Last detection: ' + formatTime(site.lastDetection) }),
+    hasRole('admin') && el('div', { className: 'actions' },
+      el('button', { type: 'button', className: 'edit small', text: 'Edit', onclick: () => openSiteDialog(site) }),
+      el('button', { type: 'button', className: 'delete small', text: 'Delete', onclick: () => deleteSite(site) })
+    )
+  )));
+  byId('siteEmpty').hidden = sites.length > 0;
+}
+
+function siteOptions(blank) {
+  return [el('option', { value: '', text: blank }), ...sites.map(site => el('option', { value: site.id, text: site.name }))];
+}
+
+// Every site picker, keeping its current choice
+function fillSiteSelects() {
+  [['filterSite', 'All sites'], ['analyticsSite', 'All sites']].forEach(([id, blank]) => {
+    const select = byId(id);
+    const selected = select.value;
+    select.replaceChildren(...siteOptions(blank));
+    select.value = selected;
+  });
+}
+
+let editingSite = null;
+
+const SITE_FIELDS = ['name', 'description', 'address', 'latitude', 'longitude', 'timezone', 'capacity'];
+
+// Suggestions for the time zone field, where the browser can list them
+function fillTimezones() {
+  if (!Intl.supportedValuesOf) return;
+  byId('timezones').replaceChildren(...Intl.supportedValuesOf('timeZone').map(zone => el('option', { value: zone })));
+}
+
+function openSiteDialog(site = null) {
+  editingSite = site;
+  const form = byId('siteForm');
+  form.reset();
+  clearErrors(form);
+  byId('siteDialogTitle').textContent = site ? 'Edit site' : 'Add site';
+  if (site) {
+    SITE_FIELDS.forEach((name) => {
+      form.elements[name].value = site[name] ?? '';
+    });
+  }
+  byId('siteDialog').showModal();
+}
+
+async function saveSite(submit) {
+  submit.preventDefault();
+  const form = byId('siteForm');
+  form.elements.name.value = form.elements.name.value.trim();
+  if (!validateForm(form)) return;
+  const values = form.elements;
+  const body = {
+    name: values.name.value,
+    description: values.description.value.trim(),
+    address: values.address.value.trim(),
+    latitude: optionalNumber(values.latitude.value),
+    longitude: optionalNumber(values.longitude.value),
+    timezone: values.timezone.value.trim(),
+    capacity: optionalNumber(values.capacity.value)
+  };
+  try {
+    if (editingSite) {
+      await api('/api/sites/' + editingSite.id, { method: 'PUT', body });
+    } else {
+      await api('/api/sites', { method: 'POST', body });
+    }
+    byId('siteDialog').close();
+    loadSites();
+  } catch (error) {
+    showFormError(form, error);
+  }
+}
+
+async function deleteSite(site) {
+  const confirmed = await confirmAction(
+    'Delete ' + site.name + '?',
+    'Its cameras, events and stored pictures are deleted with it. This cannot be undone.'
+  );
+  if (!confirmed) return;
+  try {
+    await api('/api/sites/' + site.id, { method: 'DELETE' });
+    loadSites();
+  } catch (error) {
+    notify('Could not delete the site: ' + error.message);
+  }
+}
+
+// Cameras
+
+async function loadCameras() {
+  try {
+    cameras = await api('/api/cameras');
+    renderCameras();
+    const select = byId('filterCamera');
+    const selected = select.value;
+    select.replaceChildren(
+      el('option', { value: '', text: 'All cameras' }),
+      ...cameras.map(camera => el('option', { value: camera.id, text: cameraLabel(camera) }))
+    );
+    select.value = selected;
+  } catch (error) {
+    console.error('Error loading cameras:', error);
+  }
+}
+
+function cameraStatus(camera) {
+  if (camera.status === 'pending') {
+    return el('span', { className: 'flag', text: 'Awaiting adoption' });
+  }
+  if (!camera.health_status) {
+    return el('span', { className: 'meta', text: 'No data' });
+  }
+  return el('span', { className: 'status-' + camera.health_status, text: camera.health_status });
+}
+
+function renderCameras() {
+  byId('cameraRows').replaceChildren(...cameras.map(camera => el('tr', { dataset: { id: camera.id } },
+    el('td', { text: cameraLabel(camera), title: camera.description || undefined }),
+    el('td', { text: camera.channelID }),
+    el('td', { text: camera.macAddress || 'N/A' }),
+    el('td', { text: camera.site_id ? siteName(camera.site_id) : 'None' }),
+    el('td', {}, cameraStatus(camera)),
+    el('td', { text: formatDbTime(camera.last_seen) }),
+    el('td', {}, hasRole('admin') && el('div', { className: 'actions' },
+      camera.status === 'pending' &&
+        el('button', { type: 'button', className: 'edit small', text: 'Adopt', onclick: () => openAdoptDialog(camera) }),
+      el('button', { type: 'button', className: 'edit small', text: 'Edit', onclick: () => openCameraDialog(camera) }),
+      el('button', { type: 'button', className: 'delete small', text: 'Delete', onclick: () => deleteCamera(camera) })
+    ))
+  )));
+  byId('cameraEmpty').hidden = cameras.length > 0;
+}
+
+// Gates offered are those of the chosen site
+async function loadGateOptions(siteId, selected) {
+  const select = byId('cameraForm').elements.gate_id;
+  select.replaceChildren(el('option', { value: '', text: 'No gate' }));
+  if (!siteId) return;
+  try {
+    const gates = await api('/api/gates?siteId=' + encodeURIComponent(siteId));
+    select.append(...gates.map(gate => el('option', { value: gate.id, text: gate.name })));
+    select.value = selected || '';
+  } catch (error) {
+    console.error('Error loading gates:', error);
+  }
+}
+
+let editingCamera = null;
+
+function openCameraDialog(camera = null) {
+  editingCamera = camera;
+  const form = byId('cameraForm');
+  form.reset();
+  clearErrors(form);
+  byId('cameraDialogTitle').textContent = camera ? 'Edit camera' : 'Add camera';
+  form.elements.site_id.replaceChildren(...siteOptions('Select site'));
+  // The camera's identity can't change once created
+  form.elements.channelID.disabled = Boolean(camera);
+  form.elements.macAddress.disabled = Boolean(camera);
+  if (camera) {
+    ['channelID', 'macAddress', 'name', 'description', 'site_id', 'direction_mode',
+      'expected_interval_seconds', 'dedup_seconds', 'review_threshold'].forEach((name) => {
+      form.elements[name].value = camera[name] ?? '';
+    });
+    form.elements.direction_mode.value = camera.direction_mode || 'auto';
+  }
+  loadGateOptions(form.elements.site_id.value, camera && camera.gate_id);
+  byId('cameraDialog').showModal();
+}
+
+async function saveCamera(submit) {
+  submit.preventDefault();
+  const form = byId('cameraForm');
+  ['channelID', 'macAddress', 'name'].forEach((name) => {
+    form.elements[name].value = form.elements[name].value.trim();
+  });
+  if (!validateForm(form)) return;
+  const values = form.elements;
+  const body = {
+    name: values.name.value,
+    description: values.description.value.trim(),
+    site_id: Number(values.site_id.value),
+    gate_id: optionalNumber(values.gate_id.value),
+    direction_mode: values.direction_mode.value,
+    expected_interval_seconds: optionalNumber(values.expected_interval_seconds.value),
+    dedup_seconds: optionalNumber(values.dedup_seconds.value),
+    review_threshold: optionalNumber(values.review_threshold.value)
+  };
+  try {
+    // PATCH keeps settings the form doesn't show, such as entry_direction
+    if (editingCamera) {
+      await api('/api/cameras/' + editingCamera.id, { method: 'PATCH', body });
+    } else {
+      body.channelID = values.channelID.value;
+      body.macAddress = values.macAddress.value || undefined;
+      await api('/api/cameras', { method: 'POST', body });
+    }
+    byId('cameraDialog').close();
+    loadCameras();
+  } catch (error) {
+    showFormError(form, error);
+  }
+}
+
+let adoptingCamera = null;
+
+function openAdoptDialog(camera) {
+  adoptingCamera = camera;
+  const form = byId('adoptForm');
+  form.reset();
+  clearErrors(form);
+  byId('adoptCameraName').textContent = cameraLabel(camera) + (camera.macAddress ? ' (' + camera.macAddress + ')' : '');
+  form.elements.site_id.replaceChildren(...siteOptions('Select site'));
+  byId('adoptDialog').showModal();
+}
+
+async function adoptCamera(submit) {
+  submit.preventDefault();
+  const form = byId('adoptForm');
+  if (!validateForm(form)) return;
+  try {
+    await api('/api/cameras/' + adoptingCamera.id + '/adopt', {
+      method: 'POST',
+      body: { site_id: Number(form.elements.site_id.value), name: form.elements.name.value.trim() || undefined }
+    });
+    byId('adoptDialog').close();
+    loadSites();
+  } catch (error) {
+    showFormError(form, error);
+  }
+}
+
+async function deleteCamera(camera) {
+  const confirmed = await confirmAction(
+    'Delete ' + cameraLabel(camera) + '?',
+    'Events it has already sent are kept.'
+  );
+  if (!confirmed) return;
+  try {
+    await api('/api/cameras/' + camera.id, { method: 'DELETE' });
+    loadCameras();
+  } catch (error) {
+    notify('Could not delete the camera: ' + error.message);
+  }
+}
+
+// Event table
+
+const eventPage = { offset: 0, total: 0, sort: 'dateTime', order: 'desc', events: [] };
+
+// The filter bar as query parameters, shared by the table, the gallery,
+// the live stream and exports
+function filterQuery() {
+  const form = byId('eventFilters');
+  const params = new URLSearchParams();
+  const plate = form.elements.plate.value.trim().toUpperCase();
+  if (plate) params.set('plate', plate);
+  ['siteId', 'cameraId', 'direction', 'reviewStatus'].forEach((name) => {
+    if (form.elements[name].value) params.set(name, form.elements[name].value);
+  });
+  ['dateFrom', 'dateTo'].forEach((name) => {
+    const value = form.elements[name].value;
+    if (value) params.set(name, new Date(value).toISOString());
+  });
+  return params;
+}
+
+function pageSize() {
+  return Number(byId('pageSize').value);
+}
+
+async function loadEvents() {
+  const params = filterQuery();
+  params.set('limit', String(pageSize()));
+  params.set('offset', String(eventPage.offset));
+  params.set('sort', eventPage.sort);
+  params.set('order', eventPage.order);
+  try {
+    const data = await api('/api/events?' + params);
+    byId('filterError').textContent = '';
+    eventPage.events = data.events;
+    eventPage.total = data.paging.total;
+    byId('eventRows').replaceChildren(...data.events.map(renderEventRow));
+    renderPager();
+  } catch (error) {
+    if (error.status === 400) {
+      byId('filterError').textContent = error.message;
+    } else {
+      console.error('Error loading events:', error);
+    }
+  }
+}
+
+function renderPager() {
+  const { offset, total, events } = eventPage;
+  byId('pageInfo').textContent = total
+    ? (offset + 1) + '-' + (offset + events.length) + ' of ' + total
+    : '';
+  byId('pagePrev').disabled = offset === 0;
+  byId('pageNext').disabled = offset + events.length >= total;
+  byId('eventEmpty').hidden = events.length > 0;
+  document.querySelectorAll('th button.sort').forEach((button) => {
+    button.classList.remove('asc', 'desc');
+    if (button.dataset.sort === eventPage.sort) button.classList.add(eventPage.order);
+  });
+}
+
+function statusFlags(event) {
+  const flags = [];
+  if (event.review_status === 'pending') {
+    flags.push(el('span', { className: 'flag', text: event.plate_valid === 0 ? 'Unrecognised format' : 'Needs review' }));
+  } else if (event.review_status === 'rejected') {
+    flags.push(el('span', { className: 'flag rejected', text: 'Rejected' }));
+  } else if (event.review_status === 'corrected') {
+    flags.push(el('span', { className: 'flag rejected', text: 'Corrected' }));
+  }
+  if (event.evidence) {
+    flags.push(el('span', { className: 'flag evidence', text: 'Evidence' }));
+  }
+  return flags;
+}
+
+function renderEventRow(event) {
+  const urls = event.thumbnailUrls || {};
+  const thumbnail = urls.vehicle || urls.licensePlate || urls.detection;
+  return el('tr', { dataset: { id: event.id } },
+    el('td', {}, thumbnail ? el('img', { src: thumbnail, alt: event.licensePlate, loading: 'lazy' }) : null),
+    el('td', { text: formatTime(event.dateTime) }),
+    el('td', {}, el('a', {
+      className: 'plate',
+      href: vehicleUrl(event),
+      title: 'Vehicle history',
+      text: event.licensePlate,
+      onclick: click => click.stopPropagation()
+    })),
+    el('td', { className: 'optional', text: siteName(event.site_id) }),
+    el('td', { text: eventCamera(event) }),
+    el('td', { className: 'optional', text: event.direction || '' }),
+    el('td', { text: event.confidenceLevel || '' }),
+    el('td', {}, el('div', { className: 'actions' }, statusFlags(event)))
+  );
+}
+
+function changePage(step) {
+  eventPage.offset = Math.max(0, eventPage.offset + step * pageSize());
+  loadEvents();
+}
+
+function sortBy(field) {
+  if (eventPage.sort === field) {
+    eventPage.order = eventPage.order === 'desc' ? 'asc' : 'desc';
+  } else {
+    eventPage.sort = field;
+    eventPage.order = field === 'licensePlate' ? 'asc' : 'desc';
+  }
+  eventPage.offset = 0;
+  loadEvents();
+}
+
+// Filters the stream can't apply itself
+function matchesFilters(event) {
+  const form = byId('eventFilters');
+  if (form.elements.direction.value && event.direction !== form.elements.direction.value) return false;
+  if (form.elements.reviewStatus.value && event.review_status !== form.elements.reviewStatus.value) return false;
+  return !form.elements.dateTo.value;
+}
+
+// New reads go straight into the first page when it shows the newest
+function showLiveEvent(event) {
+  // A read published again after review replaces its row where it is shown,
+  // and is not counted again where it isn't
+  const index = eventPage.events.findIndex(shown => shown.id === event.id);
+  if (index !== -1) {
+    eventPage.events[index] = event;
+    const row = byId('eventRows').querySelector('tr[data-id="' + event.id + '"]');
+    if (row) row.replaceWith(renderEventRow(event));
+    return;
+  }
+  if (event.reprocessed || !matchesFilters(event)) return;
+  eventPage.total++;
+  if (eventPage.offset === 0 && eventPage.sort === 'dateTime' && eventPage.order === 'desc') {
+    eventPage.events = [event, ...eventPage.events].slice(0, pageSize());
+    const rows = byId('eventRows');
+    const row = renderEventRow(event);
+    row.classList.add('new');
+    rows.prepend(row);
+    while (rows.children.length > pageSize()) {
+      rows.lastChild.remove();
+    }
+  }
+  renderPager();
+}
+
+function applyFilters(submit) {
+  submit.preventDefault();
+  eventPage.offset = 0;
+  loadEvents();
+  connectEventStream();
+  if (shownViews.has('gallery')) resetGallery();
+}
+
+// Small exports download straight away; large ones are prepared in the
+// background and downloaded once ready
+async function exportEvents() {
+  const status = byId('exportStatus');
+  const params = filterQuery();
+  const format = byId('exportFormat').value;
+  params.set('format', format);
+  if (byId('exportImages').checked) {
+    params.set('include_images', 'true');
+  }
+  status.textContent = 'Exporting...';
+  try {
+    const response = await fetch('/api/events/export?' + params);
+    if (response.status === 202) {
+      const job = await response.json();
+      status.textContent = 'Preparing ' + job.format.toUpperCase() + ' export...';
+      waitForExport(job.id);
+    } else if (response.ok) {
+      saveFile(await response.blob(), 'events-export.' + format);
+      status.textContent = '';
+    } else {
+      status.textContent = (await response.json()).error;
+    }
+  } catch (error) {
+    console.error('Error exporting events:', error);
+    status.textContent = 'Export failed';
+  }
+}
+
+async function waitForExport(id) {
+  const status = byId('exportStatus');
+  try {
+    const job = await api('/api/exports/' + id);
+    if (job.status === 'completed') {
+      status.textContent = '';
+      window.location.href = job.download_url;
+    } else if (job.status === 'failed') {
+      status.textContent = 'Export failed: ' + job.error;
+    } else {
+      setTimeout(() => waitForExport(id), 3000);
+    }
+  } catch (error) {
+    console.error('Error checking export:', error);
+    status.textContent = 'Export failed';
+  }
+}
+
+function saveFile(blob, filename) {
+  const link = el('a', { href: URL.createObjectURL(blob), download: filename });
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Live stream. New reads arrive over Server-Sent Events; the browser
+// reconnects on its own and the table is reloaded on every (re)connect to
+// fill gaps. The filter bar's site, camera and plate apply to the stream.
+
+let eventSource = null;
+
+function connectEventStream() {
+  const status = byId('liveStatus');
+  const params = filterQuery();
+  ['direction', 'reviewStatus', 'dateFrom', 'dateTo'].forEach(name => params.delete(name));
+  if (eventSource) {
+    eventSource.close();
+  }
+  const source = new EventSource('/api/events/stream?' + params);
+  eventSource = source;
+
+  source.onopen = () => {
+    status.textContent = 'Live';
+    status.classList.add('connected');
+    loadEvents();
+    loadAlerts();
+    loadReviewQueue();
+  };
+
+  source.onerror = () => {
+    status.textContent = 'Reconnecting...';
+    status.classList.remove('connected');
+    checkSession();
+  };
+
+  source.addEventListener('detection', (message) => {
+    const event = JSON.parse(message.data);
+    showLiveEvent(event);
+    if (event.review_status === 'pending') {
+      loadReviewQueue();
+    }
+  });
+
+  source.addEventListener('alert', (message) => {
+    showAlert(JSON.parse(message.data));
+  });
+}
+
+// Alerts
+
+function renderAlert(alert) {
+  return el('div', { className: 'alert-card priority-' + alert.priority + ' ' + alert.status, dataset: { id: alert.id } },
+    el('div', {},
+      el('p', { text: '[' + String(alert.priority).toUpperCase() + '] ' + alert.message }),
+      el('p', {
+        className: 'meta',
+        text: [
+          formatTime(alert.dateTime || alert.created_at),
+          alert.channelID ? 'Channel: ' + alert.channelID : null,
+          alert.match_type ? 'Match: ' + alert.match_type : null,
+          'Status: ' + alert.status
+        ].filter(Boolean).join(' | ')
+      })
+    ),
+    hasRole('operator') && el('div', { className: 'actions' },
+      alert.status === 'open' &&
+        el('button', { type: 'button', className: 'edit small', text: 'Acknowledge', onclick: () => updateAlert(alert.id, 'acknowledge') }),
+      el('button', { type: 'button', className: 'delete small', text: 'Resolve', onclick: () => updateAlert(alert.id, 'resolve') })
+    )
+  );
+}
+
+// Inserts, replaces or (once resolved) removes an alert card
+function showAlert(alert) {
+  const alertList = byId('alertList');
+  const existing = alertList.querySelector('[data-id="' + alert.id + '"]');
+  if (alert.status === 'resolved') {
+    if (existing) existing.remove();
+  } else if (existing) {
+    existing.replaceWith(renderAlert(alert));
+  } else {
+    alertList.prepend(renderAlert(alert));
+  }
+  byId('alertEmpty').hidden = alertList.children.length > 0;
+}
+
+async function loadAlerts() {
+  try {
+    const [open, acknowledged] = await Promise.all(['open', 'acknowledged'].map(status =>
+      api('/api/alerts?status=' + status)
+    ));
+    const alerts = open.concat(acknowledged).sort((a, b) => b.id - a.id);
+    byId('alertList').replaceChildren(...alerts.map(renderAlert));
+    byId('alertEmpty').hidden = alerts.length > 0;
+  } catch (error) {
+    console.error('Error loading alerts:', error);
+  }
+}
+
+async function updateAlert(id, action) {
+  try {
+    showAlert(await api('/api/alerts/' + id + '/' + action, { method: 'POST' }));
+  } catch (error) {
+    notify('Could not update the alert: ' + error.message);
+  }
+}
+
+// Review queue: reads held for review, oldest first
+
+async function loadReviewQueue() {
+  try {
+    const data = await api('/api/events?reviewStatus=pending&order=asc&limit=20');
+    byId('reviewList').replaceChildren(...data.events.map(renderReview));
+    const count = byId('reviewCount');
+    count.textContent = data.paging.total;
+    count.hidden = !data.paging.total;
+    byId('reviewEmpty').hidden = data.events.length > 0;
+  } catch (error) {
+    console.error('Error loading review queue:', error);
+  }
+}
+
+// Plate crop and vehicle picture side by side, with the plate as read
+// ready to be corrected
+function renderReview(event) {
+  const plate = el('input', { type: 'text', value: event.licensePlate, 'aria-label': 'Plate', maxlength: 20 });
+  const figures = [['licensePlate', 'Plate'], ['vehicle', 'Vehicle']]
+    .filter(([kind]) => event.thumbnailUrls && event.thumbnailUrls[kind])
+    .map(([kind, label]) => el('figure', {},
+      el('img', { src: event.thumbnailUrls[kind], alt: label, onclick: () => openLightbox([event], 0) }),
+      el('figcaption', { text: label })
+    ));
+  return el('div', { className: 'review-card', dataset: { id: event.id } },
+    el('div', { className: 'review-images' }, figures),
+    el('div', {},
+      el('p', { text: REVIEW_REASONS[event.review_reason] || 'Needs review' }),
+      el('p', {
+        className: 'meta',
+        text: [
+          formatTime(event.dateTime),
+          eventCamera(event),
+          event.country_iso ? 'Country: ' + event.country_iso : null,
+          event.confidenceLevel ? 'Confidence: ' + event.confidenceLevel : null
+        ].filter(Boolean).join(' | ')
+      }),
+      plate
+    ),
+    hasRole('operator') && el('div', { className: 'actions' },
+      el('button', { type: 'button', className: 'edit small', text: 'Confirm', onclick: () => reviewRead(event.id, 'confirm') }),
+      el('button', { type: 'button', className: 'edit small', text: 'Save correction', onclick: () => reviewRead(event.id, 'correct', plate.value.trim()) }),
+      el('button', { type: 'button', className: 'delete small', text: 'Reject', onclick: () => reviewRead(event.id, 'reject') })
+    )
+  );
+}
+
+async function reviewRead(id, action, plate) {
+  if (action === 'correct' && !plate) return notify('Enter the correct plate');
+  try {
+    await api('/api/events/' + id + '/review', { method: 'POST', body: { action, plate } });
+  } catch (error) {
+    // 409: someone else got there first
+    if (error.status !== 409) {
+      return notify('Could not review the read: ' + error.message);
+    }
+  }
+  loadReviewQueue();
+}
+
+// Analytics, in the browser's time zone
+
+function statTile(label, value) {
+  return el('div', { className: 'stat-tile' },
+    el('div', { className: 'value', text: value }),
+    el('div', { className: 'label', text: label })
+  );
+}
+
+async function loadAnalytics() {
+  const status = byId('analyticsStatus');
+  const days = Number(byId('analyticsRange').value);
+  const params = new URLSearchParams({
+    from: new Date(Date.now() - days * 86400000).toISOString(),
+    interval: byId('analyticsInterval').value,
+    utcOffset: String(-new Date().getTimezoneOffset())
+  });
+  const siteId = byId('analyticsSite').value;
+  if (siteId) params.set('siteId', siteId);
+  try {
+    const report = await api('/api/analytics?' + params);
+    status.textContent = '';
+    renderAnalytics(report);
+  } catch (error) {
+    console.error('Error loading analytics:', error);
+    status.textContent = error.status === 400 ? error.message : 'Analytics unavailable';
+  }
+}
+
+function renderAnalytics(report) {
+  const summary = report.summary;
+  byId('analyticsTiles').replaceChildren(
+    statTile('Reads', summary.reads),
+    statTile('Unique vehicles', summary.unique_vehicles),
+    statTile('Repeat vehicles', summary.repeat_vehicles),
+    statTile('Visits', summary.visits),
+    statTile('Average stay', formatDuration(summary.average_dwell_seconds))
+  );
+
+  const peak = Math.max(1, ...report.series.map(row => row.reads));
+  const bars = report.series.map(row => el('div', {
+    className: 'bar',
+    style: 'height:' + (row.reads / peak * 100) + '%',
+    title: formatTime(row.period) + ': ' + row.reads + ' reads'
+  }));
+  byId('trafficChart').replaceChildren(...(bars.length ? bars : [el('p', { className: 'empty', text: 'No reads in this period' })]));
+
+  byId('directionSplit').replaceChildren(...report.directions.map((row, index) => el('div', {
+    style: 'width:' + row.share + '%;background-color:' + DIRECTION_COLOURS[Math.min(index, DIRECTION_COLOURS.length - 1)],
+    title: (row.direction || 'unknown') + ': ' + row.reads + ' reads',
+    text: (row.direction || 'unknown') + ' ' + row.share + '%'
+  })));
+
+  byId('busiestHours').textContent = report.busiest_hours.length
+    ? 'Busiest hours: ' + report.busiest_hours.map(row =>
+      new Date(row.period).toLocaleString([], { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }) +
+      ' (' + row.reads + ')').join(', ')
+    : '';
+
+  const cells = new Map(report.heatmap.map(row => [row.weekday + ':' + row.hour, row.reads]));
+  const busiest = Math.max(1, ...report.heatmap.map(row => row.reads));
+  const heatmap = [el('div')];
+  for (let hour = 0; hour < 24; hour++) {
+    heatmap.push(el('div', { text: hour % 3 === 0 ? hour : '' }));
+  }
+  // Monday first
+  [1, 2, 3, 4, 5, 6, 0].forEach((weekday) => {
+    heatmap.push(el('div', { text: WEEKDAYS[weekday] }));
+    for (let hour = 0; hour < 24; hour++) {
+      const reads = cells.get(weekday + ':' + hour) || 0;
+      heatmap.push(el('div', {
+        className: 'cell',
+        style: 'opacity:' + (0.08 + reads / busiest * 0.92),
+        title: WEEKDAYS[weekday] + ' ' + hour + ':00: ' + reads + ' reads'
+      }));
+    }
+  });
+  byId('heatmap').replaceChildren(...heatmap);
+}
+
+// Gallery of stored events using the filter bar. More are fetched with the
+// paging cursor as the end of the grid scrolls into view.
+
+let galleryEvents = [];
+let galleryCursor = null;
+let galleryLoading = false;
+let galleryGeneration = 0;
+
+function resetGallery() {
+  galleryGeneration++;
+  galleryEvents = [];
+  galleryCursor = null;
+  galleryLoading = false;
+  byId('galleryGrid').replaceChildren();
+  byId('galleryStatus').textContent = '';
+  loadGalleryPage(true);
+}
+
+async function loadGalleryPage(first) {
+  if (galleryLoading || (!first && !galleryCursor)) return;
+  galleryLoading = true;
+  const generation = galleryGeneration;
+  const status = byId('galleryStatus');
+  const params = filterQuery();
+  params.set('limit', String(GALLERY_PAGE_SIZE));
+  if (galleryCursor) params.set('cursor', galleryCursor);
+  status.textContent = 'Loading...';
+  try {
+    const data = await api('/api/events?' + params);
+    // Filters changed while this page was on its way
+    if (generation !== galleryGeneration) return;
+    const start = galleryEvents.length;
+    galleryEvents = galleryEvents.concat(data.events);
+    galleryCursor = data.paging.nextCursor;
+    byId('galleryGrid').append(...data.events.map((event, index) => renderGalleryItem(event, start + index)));
+    status.textContent = galleryEvents.length
+      ? (galleryCursor ? '' : 'All ' + galleryEvents.length + ' events shown')
+      : 'No events match the filters';
+  } catch (error) {
+    console.error('Error loading gallery:', error);
+    if (generation === galleryGeneration) {
+      status.textContent = error.status === 400 ? error.message : 'Gallery unavailable';
+    }
+  } finally {
+    if (generation === galleryGeneration) {
+      galleryLoading = false;
+    }
+  }
+}
+
+function renderGalleryItem(event, index) {
+  const urls = event.thumbnailUrls || {};
+  const url = urls.vehicle || urls.detection || urls.licensePlate;
+  return el('div', { className: 'gallery-item', onclick: () => openLightbox(galleryEvents, index) },
+    url && el('img', { src: url, alt: event.licensePlate, loading: 'lazy' }),
+    el('div', { className: 'caption' },
+      el('div', { className: 'plate', text: event.licensePlate }),
+      el('div', { className: 'meta', text: [formatTime(event.dateTime), event.direction].filter(Boolean).join(' | ') })
+    )
+  );
+}
+
+function watchGallery() {
+  const observer = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      loadGalleryPage(false);
+    }
+  }, { rootMargin: '400px' });
+  observer.observe(byId('gallerySentinel'));
+}
+
+// Plate, vehicle and detection pictures of one event side by side. The
+// arrow keys step through the list it was opened from.
+
+let lightboxEvents = [];
+let lightboxIndex = 0;
+
+function openLightbox(events, index) {
+  lightboxEvents = events;
+  lightboxIndex = index;
+  renderLightbox();
+  byId('lightbox').hidden = false;
+}
+
+function closeLightbox() {
+  byId('lightbox').hidden = true;
+  byId('lightboxImages').replaceChildren();
+}
+
+function stepLightbox(step) {
+  const index = lightboxIndex + step;
+  if (index < 0 || index >= lightboxEvents.length) return;
+  lightboxIndex = index;
+  renderLightbox();
+  // Keep the gallery filling up behind the lightbox
+  if (lightboxEvents === galleryEvents && index >= galleryEvents.length - 5) {
+    loadGalleryPage(false);
+  }
+}
+
+function renderLightbox() {
+  const event = lightboxEvents[lightboxIndex];
+  byId('lightboxPlate').textContent = event.licensePlate;
+  byId('lightboxMeta').textContent = [
+    formatTime(event.dateTime),
+    siteName(event.site_id),
+    eventCamera(event),
+    event.direction ? 'Direction: ' + event.direction : null,
+    event.lane ? 'Lane: ' + event.lane : null,
+    event.confidenceLevel ? 'Confidence: ' + event.confidenceLevel : null
+  ].filter(Boolean).join(' | ');
+
+  const figures = [['licensePlate', 'Plate'], ['vehicle', 'Vehicle'], ['detection', 'Detection']]
+    .filter(([kind]) => event.previewUrls && event.previewUrls[kind])
+    .map(([kind, label]) => el('figure', {},
+      el('img', { src: event.previewUrls[kind], alt: label }),
+      el('figcaption', {}, label + ' (', el('a', { href: event.imageUrls[kind], target: '_blank', text: 'full size' }), ')')
+    ));
+  byId('lightboxImages').replaceChildren(...(figures.length
+    ? figures
+    : [el('p', { className: 'empty', text: 'No pictures stored for this event' })]));
+  byId('lightboxHistory').href = vehicleUrl(event);
+  byId('lightboxPrev').disabled = lightboxIndex === 0;
+  byId('lightboxNext').disabled = lightboxIndex >= lightboxEvents.length - 1;
+}
+
+// Session, theme and clock
+
+async function loadCurrentUser() {
+  currentUser = await api('/api/auth/me');
+  byId('currentUser').textContent = currentUser.name + ' (' + currentUser.role + ')';
+  document.querySelectorAll('.admin-only').forEach((element) => {
+    element.hidden = !hasRole('admin');
+  });
+}
+
+// Expired sessions end up back at the sign-in page
+async function checkSession() {
+  const response = await fetch('/api/auth/me');
+  if (response.status === 401) {
+    window.location.href = '/login';
+  }
+}
+
+function updateClock() {
+  byId('clock').textContent = new Date().toLocaleString();
+}
+
+function bindControls() {
+  bindHeader();
+
+  const filters = byId('eventFilters');
+  filters.addEventListener('submit', applyFilters);
+  // Clearing applies once the fields are empty
+  filters.addEventListener('reset', () => setTimeout(() => filters.requestSubmit()));
+  byId('pagePrev').addEventListener('click', () => changePage(-1));
+  byId('pageNext').addEventListener('click', () => changePage(1));
+  byId('pageSize').addEventListener('change', () => {
+    eventPage.offset = 0;
+    loadEvents();
+  });
+  document.querySelectorAll('th button.sort').forEach((button) => {
+    button.addEventListener('click', () => sortBy(button.dataset.sort));
+  });
+  byId('exportButton').addEventListener('click', exportEvents);
+  // A row opens its pictures; rows stay in step with eventPage.events
+  byId('eventRows').addEventListener('click', (click) => {
+    const row = click.target.closest('tr');
+    if (row) {
+      openLightbox(eventPage.events, Array.from(row.parentNode.children).indexOf(row));
+    }
+  });
+
+  ['analyticsSite', 'analyticsRange', 'analyticsInterval'].forEach((id) => {
+    byId(id).addEventListener('change', loadAnalytics);
+  });
+
+  byId('addSite').addEventListener('click', () => openSiteDialog());
+  byId('addCamera').addEventListener('click', () => openCameraDialog());
+  byId('siteForm').addEventListener('submit', saveSite);
+  byId('cameraForm').addEventListener('submit', saveCamera);
+  byId('adoptForm').addEventListener('submit', adoptCamera);
+  byId('cameraForm').elements.site_id.addEventListener('change', (change) => {
+    loadGateOptions(change.target.value);
+  });
+  ['siteDialog', 'cameraDialog', 'adoptDialog'].forEach(id => closeOnCancel(byId(id)));
+
+  const lightbox = byId('lightbox');
+  lightbox.addEventListener('click', (click) => {
+    if (click.target === lightbox) closeLightbox();
+  });
+  byId('lightboxPrev').addEventListener('click', () => stepLightbox(-1));
+  byId('lightboxNext').addEventListener('click', () => stepLightbox(1));
+  byId('lightboxClose').addEventListener('click', closeLightbox);
+  document.addEventListener('keydown', (key) => {
+    if (lightbox.hidden) return;
+    if (key.key === 'Escape') closeLightbox();
+    if (key.key === 'ArrowLeft') stepLightbox(-1);
+    if (key.key === 'ArrowRight') stepLightbox(1);
+  });
+
+  window.addEventListener('hashchange', showView);
+}
+
+async function initialize() {
+  bindControls();
+  fillTimezones();
+  updateClock();
+  setInterval(updateClock, 1000);
+
+  try {
+    await loadCurrentUser();
+  } catch (error) {
+    console.error('Error loading the signed-in user:', error);
+  }
+
+  // Sites and cameras name the events, so they come first; refreshed every
+  // 30 seconds for counts and camera health
+  await loadSites();
+  setInterval(loadSites, 30000);
+
+  showView();
+  watchGallery();
+
+  // Stream new events as they are stored
+  connectEventStream();
+
+  // Rollups are updated every minute or so
+  setInterval(() => {
+    if (shownViews.has('analytics')) loadAnalytics();
+  }, 300000);
+}
+
+document.addEventListener('DOMContentLoaded', initialize);
@@ -0,0 +1,25 @@
+// Sign-in page. The login request goes through fetch rather than api(),
+// which would treat a rejected password as an expired session.
+
+async function signIn(submit) {
+  submit.preventDefault();
+  const response = await fetch('/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      username: byId('username').value,
+      password: byId('password').value
+    })
+  });
+  if (response.ok) {
+    window.location.href = '/';
+  } else {
+    const body = await response.json().catch(() => ({}));
+    byId('loginError').textContent = body.error || 'Sign-in failed';
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  bindHeader();
+  byId('loginForm').addEventListener('submit', signIn);
+});
@@ -0,0 +1,194 @@
+// Vehicle history page: one plate's reads, visits and notes, built from
+// /api/vehicles/:plate with the helpers in common.js.
+
+const PAGE_SIZE = 50;
+
+let plate = '';
+let loaded = 0;
+let siteNames = new Map();
+let cameraNames = new Map();
+
+function plateFromPath() {
+  return decodeURIComponent(window.location.pathname.split('/')[2] || '');
+}
+
+function row(values) {
+  return el('tr', {}, values.map(value => el('td', { text: value === null || value === undefined ? '-' : value })));
+}
+
+function tile(label, value) {
+  return el('div', { className: 'stat-tile' },
+    el('div', { className: 'value', text: value === null || value === undefined ? '-' : value }),
+    el('div', { className: 'label', text: label }));
+}
+
+function hourLabel(hour) {
+  return String(hour).padStart(2, '0') + ':00';
+}
+
+function vehicleUrl(offset) {
+  return '/api/vehicles/' + encodeURIComponent(plate) + '?' + new URLSearchParams({
+    utcOffset: String(-new Date().getTimezoneOffset()),
+    limit: String(PAGE_SIZE),
+    offset: String(offset)
+  });
+}
+
+async function loadVehicle() {
+  const status = byId('status');
+  byId('plateInput').value = plate;
+  if (!plate) return;
+  status.textContent = 'Loading...';
+  try {
+    const vehicle = await api(vehicleUrl(0));
+    status.textContent = '';
+    renderVehicle(vehicle);
+  } catch (error) {
+    byId('vehicle').hidden = true;
+    status.textContent = error.message;
+  }
+}
+
+function renderVehicle(vehicle) {
+  byId('vehicle').hidden = false;
+  byId('plate').textContent = vehicle.plate;
+  document.title = vehicle.plate + ' - Vehicle history';
+
+  byId('tiles').replaceChildren(
+    tile('First seen', vehicle.first_seen ? formatTime(vehicle.first_seen) : null),
+    tile('Last seen', vehicle.last_seen ? formatTime(vehicle.last_seen) : null),
+    tile('Reads', vehicle.reads),
+    tile('Visits', vehicle.visits),
+    tile('Usually arrives', vehicle.typical_arrival_hours.length
+      ? vehicle.typical_arrival_hours.map(hourLabel).join(', ')
+      : null)
+  );
+
+  const byHour = new Map(vehicle.arrivals.map(entry => [entry.hour, entry.arrivals]));
+  const peak = Math.max(1, ...byHour.values());
+  const bars = [];
+  const labels = [];
+  for (let hour = 0; hour < 24; hour++) {
+    const arrivals = byHour.get(hour) || 0;
+    const bar = el('div', { className: 'bar', title: hourLabel(hour) + ' - ' + arrivals + ' arrival(s)' });
+    bar.style.height = (arrivals / peak * 100) + '%';
+    bars.push(bar);
+    labels.push(el('span', { text: hour % 3 === 0 ? String(hour).padStart(2, '0') : '' }));
+  }
+  byId('arrivals').replaceChildren(...bars);
+  byId('arrivalHours').replaceChildren(...labels);
+
+  renderNotes(vehicle);
+
+  siteNames = new Map(vehicle.sites.map(site => [site.site_id, site.siteName]));
+  cameraNames = new Map(vehicle.cameras.map(camera => [camera.camera_id, camera.cameraName]));
+  byId('sites').replaceChildren(...vehicle.sites.map(site => row([
+    site.siteName || (site.site_id ? 'Site ' + site.site_id : 'Unassigned'),
+    site.visits + (site.dwell_seconds ? ' (' + formatDuration(site.dwell_seconds) + ' in total)' : ''),
+    site.reads,
+    formatTime(site.first_seen),
+    formatTime(site.last_seen)
+  ])));
+  byId('cameras').replaceChildren(...vehicle.cameras.map(camera => row([
+    camera.cameraName || (camera.camera_id ? 'Camera ' + camera.camera_id : 'Unknown'),
+    camera.direction,
+    camera.reads,
+    formatTime(camera.last_seen)
+  ])));
+
+  byId('timeline').replaceChildren();
+  loaded = 0;
+  appendEvents(vehicle.events, vehicle.paging.total);
+}
+
+function renderNotes(vehicle) {
+  byId('notes').value = vehicle.notes || '';
+  byId('tags').value = vehicle.tags.join(', ');
+  byId('tagList').replaceChildren(...vehicle.tags.map(name => el('span', { className: 'tag', text: name })));
+  byId('notesStatus').textContent = vehicle.updated_by
+    ? 'Last edited by ' + vehicle.updated_by + ' at ' + formatDbTime(vehicle.updated_at)
+    : '';
+}
+
+function timelineItem(event) {
+  const thumbnail = event.thumbnailUrls.licensePlate || event.thumbnailUrls.vehicle || event.thumbnailUrls.detection;
+  const picture = thumbnail && el('a', {
+    href: event.imageUrls.vehicle || event.imageUrls.licensePlate || event.imageUrls.detection,
+    target: '_blank'
+  }, el('img', { src: thumbnail, alt: event.licensePlate, loading: 'lazy' }));
+
+  const meta = [
+    siteNames.get(event.site_id) || (event.site_id ? 'Site ' + event.site_id : null),
+    cameraNames.get(event.camera_id) || 'Channel ' + event.channelID,
+    event.direction ? 'Direction: ' + event.direction : null,
+    event.confidenceLevel ? 'Confidence: ' + event.confidenceLevel : null
+  ].filter(Boolean).join(' | ');
+
+  return el('div', { className: 'timeline-item' },
+    picture,
+    el('div', {},
+      el('div', { text: formatTime(event.dateTime) + ' - ' + event.licensePlate }),
+      el('div', { className: 'meta', text: meta }),
+      event.review_status === 'pending' && el('span', { className: 'flag', text: 'Awaiting review' })));
+}
+
+function appendEvents(events, total) {
+  byId('timeline').append(...events.map(timelineItem));
+  loaded += events.length;
+  byId('moreButton').hidden = loaded >= total;
+}
+
+async function loadMore() {
+  try {
+    const vehicle = await api(vehicleUrl(loaded));
+    appendEvents(vehicle.events, vehicle.paging.total);
+  } catch (error) {
+    byId('status').textContent = error.message;
+  }
+}
+
+async function saveNotes() {
+  const tags = byId('tags').value.split(',').map(tag => tag.trim()).filter(Boolean);
+  try {
+    renderNotes(await api('/api/vehicles/' + encodeURIComponent(plate), {
+      method: 'PUT',
+      body: { notes: byId('notes').value, tags }
+    }));
+  } catch (error) {
+    byId('notesStatus').textContent = error.message;
+  }
+}
+
+async function loadCurrentUser() {
+  const user = await api('/api/auth/me');
+  byId('currentUser').textContent = user.name + ' (' + user.role + ')';
+}
+
+function bindControls() {
+  bindHeader();
+  byId('saveNotes').addEventListener('click', saveNotes);
+  byId('moreButton').addEventListener('click', loadMore);
+  byId('searchForm').addEventListener('submit', (submit) => {
+    submit.preventDefault();
+    plate = byId('plateInput').value.trim();
+    window.history.pushState(null, '', '/vehicles/' + encodeURIComponent(plate));
+    loadVehicle();
+  });
+  window.addEventListener('popstate', () => {
+    plate = plateFromPath();
+    loadVehicle();
+  });
+}
+
+async function initialize() {
+  bindControls();
+  plate = plateFromPath();
+  try {
+    await loadCurrentUser();
+  } catch (error) {
+    console.error('Error loading the signed-in user:', error);
+  }
+  loadVehicle();
+}
+
+document.addEventListener('DOMContentLoaded', initialize);
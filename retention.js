@@ -0,0 +1,245 @@
+const db = require('./database');
+const config = require('./config');
+const { store } = require('./storage');
+const audit = require('./audit');
+const thumbnails = require('./thumbnails');
+
+// Keeps the image store in check: per-site image and metadata retention, a
+// global quota enforced by evicting the oldest images, and removal of files
+// no event refers to. Evidence, watchlist hits and violation evidence are
+// never touched by the scheduled job. Thumbnails belong to the picture they
+// were made from and are removed with it.
+
+const IMAGE_COLUMNS = ['licensePlateImage', 'vehicleImage', 'detectionImage'];
+const BATCH_SIZE = 200;
+
+let timer = null;
+let running = false;
+let lastCleanup = null;
+
+function quotaBytes() {
+  return config.retention.quotaMb ? Math.round(config.retention.quotaMb * 1024 * 1024) : null;
+}
+
+function eventImages(event) {
+  return IMAGE_COLUMNS.map(column => event[column]).filter(Boolean);
+}
+
+// Returns the bytes freed; files already gone count as zero
+async function removeFile(filename) {
+  try {
+    return await store.remove(filename);
+  } catch (error) {
+    console.error(`Error removing ${filename}:`, error.message);
+    return 0;
+  }
+}
+
+async function removeFiles(filenames) {
+  let freed = 0;
+  for (const filename of filenames) {
+    for (const key of [filename, ...thumbnails.variantKeys(filename)]) {
+      freed += await removeFile(key);
+    }
+  }
+  return freed;
+}
+
+// Deletes an event's pictures but keeps the event row
+async function purgeImages(event) {
+  const freed = await removeFiles(eventImages(event));
+  await db.clearEventImages(event.id);
+  return freed;
+}
+
+// filename -> { size, modified } for everything in the store
+async function scanUploads() {
+  const files = new Map();
+  for await (const { key, size, modified } of store.list()) {
+    files.set(key, { size, modified });
+  }
+  return files;
+}
+
+async function applyImageRetention() {
+  const result = { events: 0, bytes: 0 };
+  let batch;
+  do {
+    batch = await db.getExpiredImageEvents(config.retention.imageDays, BATCH_SIZE);
+    for (const event of batch) {
+      result.bytes += await purgeImages(event);
+      result.events++;
+    }
+  } while (batch.length === BATCH_SIZE);
+  return result;
+}
+
+async function applyMetadataRetention() {
+  const result = { events: 0, bytes: 0 };
+  let batch;
+  do {
+    batch = await db.getExpiredEvents(config.retention.metadataDays, BATCH_SIZE);
+    for (const event of batch) {
+      result.bytes += await removeFiles(eventImages(event));
+    }
+    await db.deleteEvents(batch.map(event => event.id));
+    result.events += batch.length;
+  } while (batch.length === BATCH_SIZE);
+  // Plates behind the unique vehicle counts go with the reads
+  result.vehicleDays = await db.deleteExpiredVehicleDays(config.retention.metadataDays);
+  return result;
+}
+
+// Evicts the oldest unprotected images until the store fits the quota
+async function enforceQuota() {
+  const result = { events: 0, bytes: 0, exceeded: false };
+  if (!config.retention.quotaMb) return result;
+
+  const quota = quotaBytes();
+  let usage = 0;
+  (await scanUploads()).forEach(file => { usage += file.size; });
+
+  while (usage > quota) {
+    const batch = await db.getOldestImageEvents(BATCH_SIZE);
+    if (!batch.length) {
+      console.error('Storage quota exceeded but only protected images remain');
+      result.exceeded = true;
+      break;
+    }
+    for (const event of batch) {
+      if (usage <= quota) break;
+      const freed = await purgeImages(event);
+      usage -= freed;
+      result.bytes += freed;
+      result.events++;
+    }
+  }
+  return result;
+}
+
+// Removes files no event refers to, such as pictures left behind by deleted
+// sites or failed uploads. Recent files are skipped so an upload whose event
+// has not been stored yet is not lost.
+async function reconcileOrphans() {
+  const result = { files: 0, bytes: 0 };
+  const referenced = new Set((await db.getImageFiles()).map(row => row.filename));
+  const cutoff = Date.now() - config.retention.orphanGraceMinutes * 60 * 1000;
+
+  for (const [filename, file] of await scanUploads()) {
+    const source = thumbnails.sourceOf(filename) || filename;
+    if (referenced.has(source) || file.modified === null || file.modified > cutoff) continue;
+    result.bytes += await removeFile(filename);
+    result.files++;
+  }
+  return result;
+}
+
+// Runs every step once. Returns a summary, or null when a run is already in
+// progress. Runs that remove anything, and every run started through the
+// API (`req`), are audited.
+async function cleanup(req = null) {
+  if (running) return null;
+  running = true;
+  try {
+    const summary = {
+      images: await applyImageRetention(),
+      metadata: await applyMetadataRetention(),
+      quota: await enforceQuota(),
+      orphans: await reconcileOrphans(),
+      finishedAt: new Date().toISOString()
+    };
+    const { images, metadata, quota, orphans } = summary;
+    const removed = images.events + metadata.events + quota.events + orphans.files;
+    if (removed) {
+      console.log(`Storage cleanup: images purged from ${images.events + quota.events} event(s), ` +
+        `${metadata.events} event(s) deleted, ${orphans.files} orphan file(s) removed, ` +
+        `${images.bytes + metadata.bytes + quota.bytes + orphans.bytes} bytes freed`);
+    }
+    if (removed || req) {
+      await audit.record(req, 'storage.cleanup', { details: summary });
+    }
+    lastCleanup = summary;
+    return summary;
+  } finally {
+    running = false;
+  }
+}
+
+// Image store usage broken down by the site each picture belongs to
+async function storageReport() {
+  const [files, owners, sites] = await Promise.all([
+    scanUploads(),
+    db.getImageFiles(),
+    db.getSiteStorageStats()
+  ]);
+
+  const siteOf = new Map();
+  for (const { site_id, filename } of owners) {
+    if (!siteOf.has(filename)) siteOf.set(filename, site_id);
+  }
+
+  // Thumbnails count towards the site of their picture
+  const usage = new Map();
+  let totalBytes = 0;
+  let orphanBytes = 0;
+  let orphanFiles = 0;
+  files.forEach((file, filename) => {
+    totalBytes += file.size;
+    const source = thumbnails.sourceOf(filename) || filename;
+    if (!siteOf.has(source)) {
+      orphanBytes += file.size;
+      orphanFiles++;
+      return;
+    }
+    const siteId = siteOf.get(source);
+    const site = usage.get(siteId) || { bytes: 0, files: 0 };
+    site.bytes += file.size;
+    site.files++;
+    usage.set(siteId, site);
+  });
+
+  const report = sites.map(site => ({
+    ...site,
+    ...(usage.get(site.site_id) || { bytes: 0, files: 0 })
+  }));
+  if (usage.has(null)) {
+    report.push({ site_id: null, name: 'Unassigned', events: null, evidence_events: null, ...usage.get(null) });
+  }
+
+  const disk = await store.disk();
+  const quota = quotaBytes();
+  return {
+    driver: store.driver,
+    total_bytes: totalBytes,
+    file_count: files.size,
+    quota_bytes: quota,
+    quota_used_percent: quota ? Math.round(totalBytes / quota * 10000) / 100 : null,
+    orphan_bytes: orphanBytes,
+    orphan_files: orphanFiles,
+    disk,
+    defaults: {
+      image_days: config.retention.imageDays,
+      metadata_days: config.retention.metadataDays
+    },
+    sites: report,
+    last_cleanup: lastCleanup
+  };
+}
+
+function start() {
+  timer = setInterval(() => {
+    cleanup().catch(error => console.error('Error running storage cleanup:', error));
+  }, config.retention.sweepIntervalMs);
+}
+
+function stop() {
+  clearInterval(timer);
+}
+
+module.exports = {
+  removeFiles,
+  cleanup,
+  storageReport,
+  start,
+  stop
+};
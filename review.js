@@ -0,0 +1,59 @@
+const db = require('./database');
+const config = require('./config');
+const pipeline = require('./pipeline');
+const { describePlate } = require('./plates');
+
+// Review queue for reads an operator should check before they are used:
+// plates that don't fit their country's formats, and reads less confident
+// than the camera's threshold. Held reads are stored, published and matched
+// against watchlists as usual, but tracked as visits (and so checked against
+// permits) only once confirmed or corrected. Releasing a read checks a
+// corrected plate against watchlists again and publishes the read again.
+
+const REVIEW_REASONS = ['invalid_plate', 'low_confidence'];
+const REVIEW_STATUSES = ['pending', 'confirmed', 'corrected', 'rejected'];
+const ACTIONS = { confirm: 'confirmed', correct: 'corrected', reject: 'rejected' };
+
+// Cameras without a threshold of their own use the configured one
+function threshold(camera) {
+  return camera.review_threshold ?? config.review.confidenceThreshold;
+}
+
+// Why a read (an event as built at ingest) should be held, or null
+function holdReason(event, camera) {
+  if (!event.plateValid) return 'invalid_plate';
+  const confidence = parseFloat(event.confidenceLevel);
+  const minimum = threshold(camera);
+  if (minimum && Number.isFinite(confidence) && confidence < minimum) return 'low_confidence';
+  return null;
+}
+
+// Settles a held read with `action` (confirm, correct or reject). Corrected
+// plates are normalised and checked like reads at ingest. Returns the read
+// with the alerts and visit its release produced, or null when it was no
+// longer pending.
+async function reviewEvent(event, { action, plate, notes }, reviewer) {
+  const correction = action === 'correct' ? { licensePlate: plate, ...describePlate(plate, event.country) } : {};
+  const settled = await db.reviewEvent(event.id, {
+    ...correction,
+    action,
+    status: ACTIONS[action],
+    notes,
+    reviewed_by: reviewer
+  });
+  if (!settled) return null;
+
+  const reviewed = await db.getEventById(event.id);
+  if (action === 'reject') {
+    return { ...reviewed, alerts: [], visit: null };
+  }
+  return pipeline.releaseEvent(reviewed);
+}
+
+module.exports = {
+  REVIEW_REASONS,
+  REVIEW_STATUSES,
+  ACTIONS,
+  holdReason,
+  reviewEvent
+};
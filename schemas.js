@@ -0,0 +1,152 @@
+const { DIRECTION_MODES } = require('./visits');
+
+// Request body checks for the site and camera APIs. Each field has a check
+// that returns { value } or { error }; parse() collects the errors by field
+// name so forms can show them beside the inputs they belong to.
+
+const MAC_PATTERN = /^([0-9A-Fa-f]{2}[:-]){5}[0-9A-Fa-f]{2}$/;
+
+function text(max) {
+  return (value) => {
+    if (typeof value === 'number') value = String(value);
+    if (typeof value !== 'string') return { error: 'must be text' };
+    return value.length > max ? { error: `must be at most ${max} characters` } : { value };
+  };
+}
+
+// Numbers may arrive as JSON numbers or as numeric strings from forms
+function toNumber(value) {
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return typeof value === 'number' ? value : NaN;
+}
+
+function number(min, max) {
+  return (value) => {
+    const parsed = toNumber(value);
+    if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+      return { error: `must be a number between ${min} and ${max}` };
+    }
+    return { value: parsed };
+  };
+}
+
+function integer(min) {
+  return (value) => {
+    const parsed = toNumber(value);
+    if (!Number.isInteger(parsed) || parsed < min) {
+      return { error: min === 0 ? 'must be a non-negative whole number' : `must be a whole number of at least ${min}` };
+    }
+    return { value: parsed };
+  };
+}
+
+function oneOf(values) {
+  return value => (values.includes(value) ? { value } : { error: `must be one of: ${values.join(', ')}` });
+}
+
+function mac(value) {
+  return typeof value === 'string' && MAC_PATTERN.test(value.trim())
+    ? { value: value.trim() }
+    : { error: 'must be a MAC address such as 44:19:b6:00:00:00' };
+}
+
+function timezone(value) {
+  if (typeof value !== 'string') return { error: 'must be an IANA time zone such as Europe/London' };
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: value });
+    return { value };
+  } catch (error) {
+    return { error: 'must be an IANA time zone such as Europe/London' };
+  }
+}
+
+const SITE = {
+  fields: {
+    name: { required: true, check: text(100) },
+    description: { check: text(500) },
+    address: { check: text(500) },
+    latitude: { check: number(-90, 90) },
+    longitude: { check: number(-180, 180) },
+    timezone: { check: timezone },
+    capacity: { check: integer(0) }
+  },
+  // A position needs both halves
+  validate(site) {
+    const hasLatitude = site.latitude !== undefined && site.latitude !== null;
+    const hasLongitude = site.longitude !== undefined && site.longitude !== null;
+    if (hasLatitude === hasLongitude) return {};
+    const missing = hasLatitude ? 'longitude' : 'latitude';
+    return { [missing]: `${missing} is required when a position is given` };
+  }
+};
+
+// channelID and MAC address identify the camera to ingest, so they are set
+// when it is added and not changed afterwards
+const CAMERA = {
+  fields: {
+    channelID: { required: true, createOnly: true, check: text(50) },
+    macAddress: { createOnly: true, check: mac },
+    name: { check: text(100) },
+    description: { check: text(500) },
+    site_id: { required: true, check: integer(1) },
+    gate_id: { check: integer(1) },
+    direction_mode: { default: 'auto', check: oneOf(DIRECTION_MODES) },
+    entry_direction: { default: 'forward', check: text(50) },
+    exit_direction: { default: 'reverse', check: text(50) },
+    expected_interval_seconds: { check: integer(1) },
+    dedup_seconds: { check: integer(0) },
+    review_threshold: { check: number(0, 100) }
+  }
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Checks `body` against `schema` and returns { values } or { errors } keyed by
+// field. `mode` is 'create' or 'replace', which need every required field and
+// fill in the rest with defaults, or 'patch', which takes only the fields sent
+// and checks them together with `current`. Fields not in the schema are ignored.
+function parse(schema, body, mode, current = {}) {
+  const values = {};
+  const errors = {};
+  for (const [name, field] of Object.entries(schema.fields)) {
+    if (field.createOnly && mode !== 'create') continue;
+    const sent = body ? body[name] : undefined;
+    if (mode === 'patch' && sent === undefined) continue;
+    if (isBlank(sent)) {
+      if (field.required) {
+        errors[name] = `${name} is required`;
+      } else {
+        values[name] = field.default ?? null;
+      }
+      continue;
+    }
+    const { value, error } = field.check(typeof sent === 'string' ? sent.trim() : sent);
+    if (error) {
+      errors[name] = `${name} ${error}`;
+    } else {
+      values[name] = value;
+    }
+  }
+  if (!Object.keys(errors).length && schema.validate) {
+    Object.assign(errors, schema.validate({ ...current, ...values }));
+  }
+  return Object.keys(errors).length ? { errors } : { values };
+}
+
+// The fields of a stored record that `schema` lets clients change
+function editable(schema, record) {
+  return Object.fromEntries(
+    Object.entries(schema.fields)
+      .filter(([, field]) => !field.createOnly)
+      .map(([name]) => [name, record[name] ?? null])
+  );
+}
+
+module.exports = {
+  SITE,
+  CAMERA,
+  parse,
+  editable
+};
@@ -1,9 +1,34 @@
 const express = require('express');
+const http = require('http');
+const { WebSocketServer } = require('ws');
 const multer = require('multer');
 const morgan = require('morgan');
 const path = require('path');
-const fs = require('fs');
+const config = require('./config');
 const db = require('./database');
+const isapi = require('./isapi');
+const bus = require('./eventBus');
+const watchlist = require('./watchlist');
+const visits = require('./visits');
+const pipeline = require('./pipeline');
+const permits = require('./permits');
+const { normalizePlate, canonicalPlate, countryIso, describePlate } = require('./plates');
+const webhooks = require('./webhooks');
+const mqttPublisher = require('./mqttPublisher');
+const health = require('./health');
+const retention = require('./retention');
+const privacy = require('./privacy');
+const evidence = require('./evidence');
+const dataExport = require('./dataExport');
+const analytics = require('./analytics');
+const thumbnails = require('./thumbnails');
+const passages = require('./passages');
+const review = require('./review');
+const vehicles = require('./vehicles');
+const auth = require('./auth');
+const audit = require('./audit');
+const schemas = require('./schemas');
+const { store: imageStore } = require('./storage');
 
 // Initialize express app
 const app = express();
@@ -19,565 +44,2625 @@ app.use(morgan('combined', {
   }
 }));
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static('uploads'));
+// Dashboard scripts and styles
+app.use('/static', express.static(path.join(__dirname, 'public'), { index: false }));
+
+// Galleries and event lists load thumbnails by the dozen, so smaller copies
+// are audited once per event and viewer within THUMBNAIL_AUDIT_MS rather
+// than once per picture
+const THUMBNAIL_AUDIT_MS = 5 * 60 * 1000;
+const thumbnailViews = new Map();
+
+function isFirstThumbnailView(req, subject) {
+  const now = Date.now();
+  // Entries are kept in the order they were seen, so the expired ones lead
+  for (const [key, seenAt] of thumbnailViews) {
+    if (now - seenAt < THUMBNAIL_AUDIT_MS) break;
+    thumbnailViews.delete(key);
+  }
+  const viewer = req.user ? `${req.user.type}:${req.user.id}` : `ip:${req.ip}`;
+  const key = `${viewer}/${subject}`;
+  if (thumbnailViews.has(key)) return false;
+  thumbnailViews.set(key, now);
+  return true;
+}
+
+// Pictures are served from whichever image store is configured; for S3 this
+// redirects to a signed URL. ?size=thumb or ?size=medium serves a smaller
+// copy (WebP to browsers that accept it), which never changes once made.
+// Until it has been made the original is sent, marked not to be cached.
+app.get('/uploads/:filename', auth.authorizeImage, async (req, res) => {
+  try {
+    const { filename } = req.params;
+    const { size } = req.query;
+    if (size !== undefined && !thumbnails.SIZES.includes(size)) {
+      return res.status(400).json({ error: `size must be one of: ${thumbnails.SIZES.join(', ')}` });
+    }
+    const owner = await db.getImageOwner(filename);
+    if (!size || isFirstThumbnailView(req, owner ? `event:${owner.id}` : filename)) {
+      await audit.record(req, 'image.view', {
+        entityId: filename,
+        siteId: owner && owner.site_id,
+        details: { event_id: owner && owner.id, size: size || null },
+        actor: { type: 'signed_link', id: null, name: 'signed link' }
+      });
+    }
+    if (!size) {
+      return await imageStore.send(res, filename);
+    }
+    res.vary('Accept');
+    const variant = owner && await thumbnails.variantFor(filename, size, /image\/webp/.test(req.get('Accept') || ''));
+    if (variant) {
+      await imageStore.send(res, variant, { maxAge: '30d', immutable: true });
+    } else {
+      await imageStore.send(res, filename, { maxAge: 0 });
+    }
+  } catch (error) {
+    console.error('Error serving image:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign-in endpoints; everything else under /api needs a session or API key
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const session = await auth.login(username, password);
+    if (!session) {
+      await audit.record(req, 'auth.login_failed', {
+        entityType: 'user',
+        actor: { type: 'user', id: null, name: username ? String(username) : null }
+      });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    req.user = session.principal;
+    await audit.record(req, 'auth.login', { entityType: 'user', entityId: session.principal.id });
+    res.set('Set-Cookie', auth.sessionCookie(req, session.token, session.expiresAt));
+    res.json({ user: auth.formatPrincipal(session.principal), expires_at: session.expiresAt });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.use('/api', auth.authenticate);
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await auth.logout(req);
+    await audit.record(req, 'auth.logout', { entityType: 'user', entityId: req.user.id });
+    res.set('Set-Cookie', auth.sessionCookie(req, null));
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json(auth.formatPrincipal(req.user));
+});
+
+// Signs the user out everywhere else as well
+app.put('/api/auth/password', async (req, res) => {
+  try {
+    if (req.user.type !== 'user') {
+      return res.status(400).json({ error: 'Only signed-in users have a password' });
+    }
+    const { current_password, new_password } = req.body;
+    if (!new_password || String(new_password).length < auth.MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `new_password must be at least ${auth.MIN_PASSWORD_LENGTH} characters` });
+    }
+    const user = await db.getUserByUsername(req.user.name);
+    if (!(await auth.verifyPassword(current_password || '', user.password_hash))) {
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+    await db.updateUser(user.id, { ...user, password_hash: await auth.hashPassword(new_password) });
+    await db.deleteUserSessions(user.id);
+    await audit.record(req, 'user.password_change', { entityId: user.id });
+    const session = await auth.login(user.username, new_password);
+    res.set('Set-Cookie', auth.sessionCookie(req, session.token, session.expiresAt));
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sends 403 and returns true when the caller is limited to other sites
+function forbidSite(req, res, siteId) {
+  if (auth.canAccessSite(req.user, siteId)) {
+    return false;
+  }
+  res.status(403).json({ error: 'Access to this site is not allowed' });
+  return true;
+}
+
+// Returns { error } or { access } with the role and site list of a user or
+// API key; `existing` supplies defaults on update
+function parseAccess(body, existing = {}) {
+  const role = body.role ?? existing.role ?? 'viewer';
+  if (!auth.ROLES.includes(role)) {
+    return { error: `role must be one of: ${auth.ROLES.join(', ')}` };
+  }
+  const siteIds = body.site_ids === undefined ? (existing.site_ids ?? null) : body.site_ids;
+  if (siteIds !== null && !(Array.isArray(siteIds) && siteIds.every(id => Number.isInteger(Number(id)) && Number(id) > 0))) {
+    return { error: 'site_ids must be null (every site) or an array of site IDs' };
+  }
+  return { access: { role, siteIds: siteIds && [...new Set(siteIds.map(Number))] } };
+}
+
+function formatApiKey(key) {
+  return { ...key, site_ids: key.site_ids ? JSON.parse(key.site_ids) : null };
+}
+
+function formatUser(user) {
+  return { ...formatApiKey(user), active: Boolean(user.active) };
+}
+
+// User and API key management is limited to admins who can see every site
+const manageAccess = auth.requireRole('admin', { allSites: true });
+
+app.get('/api/users', manageAccess, async (req, res) => {
+  try {
+    res.json((await db.getUsers()).map(formatUser));
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/users', manageAccess, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !String(username).trim()) {
+      return res.status(400).json({ error: 'Username is required' });
+    }
+    if (!password || String(password).length < auth.MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `password must be at least ${auth.MIN_PASSWORD_LENGTH} characters` });
+    }
+    const { access, error } = parseAccess(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const id = await db.createUser({
+      username: String(username).trim(),
+      password_hash: await auth.hashPassword(password),
+      role: access.role,
+      site_ids: access.siteIds ? JSON.stringify(access.siteIds) : null
+    });
+    const user = formatUser(await db.getUserById(id));
+    await audit.record(req, 'user.create', { entityId: id, after: user });
+    res.status(201).json(user);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A user with that username already exists' });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Changing the password or disabling the account ends the user's sessions
+app.put('/api/users/:id', manageAccess, async (req, res) => {
+  try {
+    const existing = await db.getUserById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const { access, error } = parseAccess(req.body, formatUser(existing));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { password } = req.body;
+    if (password !== undefined && String(password).length < auth.MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `password must be at least ${auth.MIN_PASSWORD_LENGTH} characters` });
+    }
+    const active = req.body.active ?? Boolean(existing.active);
+    const self = req.user.type === 'user' && req.user.id === existing.id;
+    if (self && (access.role !== 'admin' || access.siteIds || !active)) {
+      return res.status(400).json({ error: 'You cannot remove your own admin access' });
+    }
+
+    await db.updateUser(existing.id, {
+      role: access.role,
+      site_ids: access.siteIds ? JSON.stringify(access.siteIds) : null,
+      active,
+      password_hash: password !== undefined ? await auth.hashPassword(password) : null
+    });
+    if (password !== undefined || !active) {
+      await db.deleteUserSessions(existing.id);
+    }
+    const user = formatUser(await db.getUserById(existing.id));
+    await audit.record(req, 'user.update', {
+      entityId: existing.id,
+      before: formatUser(existing),
+      after: user,
+      details: password !== undefined ? { password_changed: true } : undefined
+    });
+    res.json(user);
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/users/:id', manageAccess, async (req, res) => {
+  try {
+    if (req.user.type === 'user' && req.user.id === Number(req.params.id)) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    const existing = await db.getUserById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await db.deleteUser(existing.id);
+    await audit.record(req, 'user.delete', { entityId: existing.id, before: formatUser(existing) });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/api-keys', manageAccess, async (req, res) => {
+  try {
+    res.json((await db.getApiKeys()).map(formatApiKey));
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The key itself is only returned here
+app.post('/api/api-keys', manageAccess, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'API key name is required' });
+    }
+    const { access, error } = parseAccess(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const expiresAt = parseOptionalDate(req.body.expires_at);
+    if (expiresAt === undefined) {
+      return res.status(400).json({ error: 'expires_at must be a valid date' });
+    }
+    const { id, key } = await auth.createApiKey({ name, ...access, expires_at: expiresAt }, req.user.type === 'user' ? req.user.id : null);
+    const created = formatApiKey((await db.getApiKeys()).find(row => row.id === id));
+    await audit.record(req, 'api_key.create', { entityId: id, after: created });
+    res.status(201).json({ ...created, key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/api-keys/:id', manageAccess, async (req, res) => {
+  try {
+    const changes = await db.revokeApiKey(req.params.id);
+    if (!changes) {
+      return res.status(404).json({ error: 'No active API key with that ID' });
+    }
+    await audit.record(req, 'api_key.revoke', { entityId: req.params.id });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 // Site management endpoints
+
+// Sends the field errors from schemas.parse as a 400
+function sendInvalid(res, errors) {
+  res.status(400).json({ error: Object.values(errors).join('; '), fields: errors });
+}
+
+// Loads the site in :id, or sends 404/403 and returns null
+async function findSite(req, res) {
+  const site = await db.getSiteById(req.params.id);
+  if (!site) {
+    res.status(404).json({ error: 'Site not found' });
+    return null;
+  }
+  return forbidSite(req, res, site.id) ? null : site;
+}
+
 app.get('/api/sites', async (req, res) => {
   try {
-    const sites = await db.getSiteStats();
-    res.json(sites);
+    const sites = await db.getSiteStats();
+    res.json(sites.filter(site => auth.canAccessSite(req.user, site.id)));
+  } catch (error) {
+    console.error('Error fetching sites:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/sites/:id', async (req, res) => {
+  try {
+    const site = await findSite(req, res);
+    if (site) {
+      const [stats] = await db.getSiteStats(site.id);
+      res.json(stats);
+    }
+  } catch (error) {
+    console.error('Error fetching site:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Camera management endpoints
+
+// Ingest credentials never leave the server
+function formatCamera(camera) {
+  const { ingest_token_hash, auth_ha1, ...rest } = camera;
+  return { ...rest, has_ingest_token: Boolean(ingest_token_hash), has_credentials: Boolean(auth_ha1) };
+}
+
+// Loads the camera in :id, or sends 404/403 and returns null
+async function findCamera(req, res) {
+  const camera = await db.getCameraById(req.params.id);
+  if (!camera) {
+    res.status(404).json({ error: 'Camera not found' });
+    return null;
+  }
+  return forbidSite(req, res, camera.site_id) ? null : camera;
+}
+
+const manageCameras = auth.requireRole('admin');
+
+app.get('/api/cameras', async (req, res) => {
+  try {
+    const { siteId, status } = req.query;
+    const cameras = await db.getCameras(siteId, status);
+    res.json(cameras.filter(camera => auth.canAccessSite(req.user, camera.site_id)).map(formatCamera));
+  } catch (error) {
+    console.error('Error fetching cameras:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/cameras/:id', async (req, res) => {
+  try {
+    const camera = await findCamera(req, res);
+    if (camera) {
+      res.json(formatCamera(camera));
+    }
+  } catch (error) {
+    console.error('Error fetching camera:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A camera's site must exist, and it can only join a gate at that site
+async function cameraReferenceErrors(camera) {
+  if (camera.site_id === null) {
+    return { site_id: 'site_id is required' };
+  }
+  if (!(await db.getSiteById(camera.site_id))) {
+    return { site_id: 'site_id does not match a site' };
+  }
+  if (camera.gate_id === null) {
+    return null;
+  }
+  const gate = await db.getGateById(camera.gate_id);
+  if (!gate) {
+    return { gate_id: 'gate_id does not match a gate' };
+  }
+  return String(gate.site_id) === String(camera.site_id) ? null : { gate_id: 'The gate belongs to a different site' };
+}
+
+function sendCameraTaken(res) {
+  const message = 'Another camera already has that channel ID and MAC address';
+  res.status(409).json({ error: message, fields: { channelID: message, macAddress: message } });
+}
+
+app.post('/api/cameras', manageCameras, async (req, res) => {
+  try {
+    const { values, errors } = schemas.parse(schemas.CAMERA, req.body, 'create');
+    if (errors) {
+      return sendInvalid(res, errors);
+    }
+    if (forbidSite(req, res, values.site_id)) {
+      return;
+    }
+    const referenceErrors = await cameraReferenceErrors(values);
+    if (referenceErrors) {
+      return sendInvalid(res, referenceErrors);
+    }
+    const cameraId = await db.addCamera(values);
+    const camera = formatCamera(await db.getCameraById(cameraId));
+    await audit.record(req, 'camera.create', { entityId: cameraId, siteId: camera.site_id, after: camera });
+    res.status(201).json(camera);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return sendCameraTaken(res);
+    }
+    console.error('Error creating camera:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT replaces every editable setting, resetting the ones left out to the
+// server defaults; PATCH changes only the fields sent
+function updateCamera(mode) {
+  return async (req, res) => {
+    try {
+      const before = await findCamera(req, res);
+      if (!before) {
+        return;
+      }
+      const { values, errors } = schemas.parse(schemas.CAMERA, req.body, mode, before);
+      if (errors) {
+        return sendInvalid(res, errors);
+      }
+      const camera = { ...schemas.editable(schemas.CAMERA, before), ...values };
+      if (forbidSite(req, res, camera.site_id)) {
+        return;
+      }
+      const referenceErrors = await cameraReferenceErrors(camera);
+      if (referenceErrors) {
+        return sendInvalid(res, referenceErrors);
+      }
+      await db.updateCamera(before.id, camera);
+      const after = formatCamera(await db.getCameraById(before.id));
+      await audit.record(req, 'camera.update', {
+        entityId: before.id,
+        siteId: after.site_id,
+        before: formatCamera(before),
+        after
+      });
+      res.json(after);
+    } catch (error) {
+      console.error('Error updating camera:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+app.put('/api/cameras/:id', manageCameras, updateCamera('replace'));
+app.patch('/api/cameras/:id', manageCameras, updateCamera('patch'));
+
+// Online/offline status, uptime over the last `hours` (default 24) with the
+// transitions behind it, and the camera's health alerts
+app.get('/api/cameras/:id/health', async (req, res) => {
+  try {
+    const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+    if (!(hours > 0 && hours <= 24 * 90)) {
+      return res.status(400).json({ error: 'hours must be between 0 and 2160' });
+    }
+    const camera = await findCamera(req, res);
+    if (camera) {
+      res.json(await health.getHealth(camera, hours));
+    }
+  } catch (error) {
+    console.error('Error fetching camera health:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cameras that report in before being configured are registered as pending
+// with no site; adopting one assigns it and its earlier reads to a site
+app.post('/api/cameras/:id/adopt', manageCameras, async (req, res) => {
+  try {
+    const { site_id, name, description } = req.body;
+    if (!site_id) {
+      return sendInvalid(res, { site_id: 'site_id is required' });
+    }
+    if (!(await db.getSiteById(site_id))) {
+      return sendInvalid(res, { site_id: 'site_id does not match a site' });
+    }
+    const before = await findCamera(req, res);
+    if (!before || forbidSite(req, res, site_id)) {
+      return;
+    }
+    await db.adoptCamera(req.params.id, { site_id, name, description });
+    const after = formatCamera(await db.getCameraById(req.params.id));
+    await audit.record(req, 'camera.adopt', { entityId: before.id, siteId: site_id, before: formatCamera(before), after });
+    res.json(after);
+  } catch (error) {
+    console.error('Error adopting camera:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/cameras/:id', manageCameras, async (req, res) => {
+  try {
+    const camera = await findCamera(req, res);
+    if (!camera) {
+      return;
+    }
+    await db.deleteCamera(camera.id);
+    await audit.record(req, 'camera.delete', { entityId: camera.id, siteId: camera.site_id, before: formatCamera(camera) });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting camera:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Ingest credentials. A token is shown once and goes at the end of the URL
+// configured on the camera; a username and password are entered in the
+// camera's HTTP host settings with Basic or Digest authentication.
+app.post('/api/cameras/:id/token', manageCameras, async (req, res) => {
+  try {
+    const camera = await findCamera(req, res);
+    if (!camera) {
+      return;
+    }
+    const token = await auth.issueCameraToken(camera.id);
+    await audit.record(req, 'camera.token_issue', { entityId: camera.id, siteId: camera.site_id });
+    res.status(201).json({ camera_id: camera.id, token, ingest_url: `${config.publicUrl}/hik/${token}` });
+  } catch (error) {
+    console.error('Error issuing camera token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/cameras/:id/token', manageCameras, async (req, res) => {
+  try {
+    const camera = await findCamera(req, res);
+    if (camera) {
+      await db.setCameraIngestToken(camera.id, null);
+      await audit.record(req, 'camera.token_revoke', { entityId: camera.id, siteId: camera.site_id });
+      res.status(204).send();
+    }
+  } catch (error) {
+    console.error('Error revoking camera token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/cameras/:id/credentials', manageCameras, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+    if (username === config.ingest.username) {
+      return res.status(409).json({ error: 'That username is reserved for the shared ingest account' });
+    }
+    const camera = await findCamera(req, res);
+    if (!camera) {
+      return;
+    }
+    await db.setCameraCredentials(camera.id, username, auth.cameraHa1(username, password));
+    await audit.record(req, 'camera.credentials_set', {
+      entityId: camera.id,
+      siteId: camera.site_id,
+      details: { username }
+    });
+    res.json({ camera_id: camera.id, username, realm: config.ingest.realm });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'Another camera already uses that username' });
+    }
+    console.error('Error setting camera credentials:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/cameras/:id/credentials', manageCameras, async (req, res) => {
+  try {
+    const camera = await findCamera(req, res);
+    if (camera) {
+      await db.setCameraCredentials(camera.id, null, null);
+      await audit.record(req, 'camera.credentials_clear', { entityId: camera.id, siteId: camera.site_id });
+      res.status(204).send();
+    }
+  } catch (error) {
+    console.error('Error clearing camera credentials:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+function sendSiteNameTaken(res) {
+  const message = 'Another site already has that name';
+  res.status(409).json({ error: message, fields: { name: message } });
+}
+
+// Creating a site requires access to every site, since a site-limited
+// admin could not see the new one
+app.post('/api/sites', auth.requireRole('admin', { allSites: true }), async (req, res) => {
+  try {
+    const { values, errors } = schemas.parse(schemas.SITE, req.body, 'create');
+    if (errors) {
+      return sendInvalid(res, errors);
+    }
+    const siteId = await db.createSite(values);
+    const site = await db.getSiteById(siteId);
+    await audit.record(req, 'site.create', { entityId: siteId, siteId, after: site });
+    res.status(201).json(site);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return sendSiteNameTaken(res);
+    }
+    console.error('Error creating site:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT replaces every editable field, resetting the ones left out; PATCH
+// changes only the fields sent
+function updateSite(mode) {
+  return async (req, res) => {
+    try {
+      const before = await findSite(req, res);
+      if (!before) {
+        return;
+      }
+      const { values, errors } = schemas.parse(schemas.SITE, req.body, mode, before);
+      if (errors) {
+        return sendInvalid(res, errors);
+      }
+      await db.updateSite(before.id, { ...schemas.editable(schemas.SITE, before), ...values });
+      const after = await db.getSiteById(before.id);
+      await audit.record(req, 'site.update', { entityId: before.id, siteId: before.id, before, after });
+      res.json(after);
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return sendSiteNameTaken(res);
+      }
+      console.error('Error updating site:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+app.put('/api/sites/:id', auth.requireRole('admin'), updateSite('replace'));
+app.patch('/api/sites/:id', auth.requireRole('admin'), updateSite('patch'));
+
+app.delete('/api/sites/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const before = await findSite(req, res);
+    if (!before) {
+      return;
+    }
+    const images = await db.getImageFiles(before.id);
+    await db.deleteSite(before.id);
+    await retention.removeFiles(images.map(image => image.filename));
+    await audit.record(req, 'site.delete', {
+      entityId: before.id,
+      siteId: before.id,
+      before,
+      details: { images_removed: images.length }
+    });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting site:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Event query endpoints
+const PLATE_MATCH_MODES = ['exact', 'prefix', 'wildcard'];
+const MAX_PAGE_SIZE = 500;
+
+// Works for both express requests and raw upgrade requests
+function baseUrl(req) {
+  const protocol = req.protocol || (req.socket.encrypted ? 'https' : 'http');
+  return `${protocol}://${req.headers.host}`;
+}
+
+function uploadUrl(base, filename) {
+  return filename ? imageStore.url(filename, base) : null;
+}
+
+// Smaller copies always go through /uploads, which picks the format and
+// falls back to the original until they have been made
+function variantUrl(base, filename, size) {
+  return filename ? `${base}/uploads/${encodeURIComponent(filename)}?size=${size}` : null;
+}
+
+// Adds imageUrls resolved through the image store (signed URLs for S3), and
+// thumbnailUrls/previewUrls for the thumb and medium sizes
+async function formatEvent(req, event) {
+  const base = baseUrl(req);
+  const [licensePlate, vehicle, detection] = await Promise.all([
+    uploadUrl(base, event.licensePlateImage),
+    uploadUrl(base, event.vehicleImage),
+    uploadUrl(base, event.detectionImage)
+  ]);
+  const variants = size => ({
+    licensePlate: variantUrl(base, event.licensePlateImage, size),
+    vehicle: variantUrl(base, event.vehicleImage, size),
+    detection: variantUrl(base, event.detectionImage, size)
+  });
+  return {
+    ...event,
+    imageUrls: { licensePlate, vehicle, detection },
+    thumbnailUrls: variants('thumb'),
+    previewUrls: variants('medium')
+  };
+}
+
+function formatEvents(req, rows) {
+  return Promise.all(rows.map(row => formatEvent(req, row)));
+}
+
+// Image URLs are resolved asynchronously, so stream writes go through a
+// chain that keeps messages in the order they were published
+function orderedWriter() {
+  let last = Promise.resolve();
+  return (task) => {
+    last = last.then(task).catch(error => console.error('Error writing to event stream:', error));
+  };
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(id) ? { value, id } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Translates /api/events query parameters into getAllEvents options.
+// Returns { error } when a parameter is invalid.
+function parseEventQuery(query) {
+  const options = {
+    siteId: query.siteId,
+    cameraId: query.cameraId,
+    channelID: query.channelID || query.camera,
+    plate: query.plate,
+    plateMatch: query.plateMatch,
+    licensePlate: query.licensePlate,
+    direction: query.direction,
+    lane: query.lane,
+    eventType: query.eventType,
+    country: query.country ? countryIso(query.country) || query.country : undefined,
+    dateFrom: query.dateFrom,
+    dateTo: query.dateTo,
+    sort: query.sort || 'dateTime',
+    order: (query.order || 'desc').toLowerCase()
+  };
+
+  if (options.plate && !options.plateMatch) {
+    options.plateMatch = /[*?]/.test(options.plate) ? 'wildcard' : 'exact';
+  }
+  if (options.plateMatch && !PLATE_MATCH_MODES.includes(options.plateMatch)) {
+    return { error: `plateMatch must be one of: ${PLATE_MATCH_MODES.join(', ')}` };
+  }
+
+  if (!db.eventSortFields().includes(options.sort)) {
+    return { error: `sort must be one of: ${db.eventSortFields().join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(options.order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  for (const name of ['minConfidence', 'maxConfidence']) {
+    if (query[name] !== undefined) {
+      const value = Number(query[name]);
+      if (query[name] === '' || !Number.isFinite(value)) {
+        return { error: `${name} must be a number` };
+      }
+      options[name] = value;
+    }
+  }
+
+  if (query.plateValid !== undefined) {
+    if (!['true', 'false'].includes(query.plateValid)) {
+      return { error: 'plateValid must be true or false' };
+    }
+    options.plateValid = query.plateValid === 'true' ? 1 : 0;
+  }
+  if (query.reviewStatus) {
+    if (!review.REVIEW_STATUSES.includes(query.reviewStatus)) {
+      return { error: `reviewStatus must be one of: ${review.REVIEW_STATUSES.join(', ')}` };
+    }
+    options.reviewStatus = query.reviewStatus;
+  }
+  if (query.reviewReason) {
+    if (!review.REVIEW_REASONS.includes(query.reviewReason)) {
+      return { error: `reviewReason must be one of: ${review.REVIEW_REASONS.join(', ')}` };
+    }
+    options.reviewReason = query.reviewReason;
+  }
+
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  options.limit = limit;
+
+  if (query.cursor) {
+    options.after = decodeCursor(query.cursor);
+    if (!options.after) {
+      return { error: 'Invalid cursor' };
+    }
+  } else if (query.offset !== undefined) {
+    const offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return { error: 'offset must be a non-negative integer' };
+    }
+    options.offset = offset;
+  }
+
+  return { options };
+}
+
+// Looking vehicles up by plate is a search of personal data, so it is
+// audited along with the query used
+function auditPlateSearch(req, entityType) {
+  if (!req.query.plate && !req.query.licensePlate) {
+    return Promise.resolve();
+  }
+  return audit.record(req, `${entityType}.search`, { entityType, siteId: req.query.siteId, details: { query: req.query } });
+}
+
+app.get('/api/events', async (req, res) => {
+  try {
+    const { options, error } = parseEventQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    options.siteIds = req.user.siteIds;
+    await auditPlateSearch(req, 'event');
+
+    // Fetch one extra row to find out whether another page follows
+    const [rows, total] = await Promise.all([
+      db.getAllEvents({ ...options, limit: options.limit + 1 }),
+      db.countEvents(options)
+    ]);
+    const events = rows.slice(0, options.limit);
+    const last = events[events.length - 1];
+
+    res.json({
+      events: await formatEvents(req, events),
+      paging: {
+        limit: options.limit,
+        offset: options.after ? null : (options.offset || 0),
+        total,
+        nextCursor: rows.length > options.limit ? encodeCursor(last[options.sort], last.id) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching events:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Spreadsheet exports take the same filters as the list they come from.
+// Up to EXPORT_SYNC_MAX_ROWS rows are streamed back straight away; larger
+// exports, or any with background=true, are queued as a job (202).
+async function sendExport(req, res, type, options) {
+  const format = req.query.format || 'csv';
+  if (!dataExport.FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${dataExport.FORMATS.join(', ')}` });
+  }
+  const includeImages = req.query.include_images === 'true';
+  if (includeImages && type !== 'events') {
+    return res.status(400).json({ error: 'include_images is only available for event exports' });
+  }
+
+  const exportOptions = { ...options, limit: undefined, offset: undefined, siteIds: req.user.siteIds, includeImages };
+  const rows = await dataExport.count(type, exportOptions);
+  const background = rows > config.exports.syncMaxRows || req.query.background === 'true';
+  await audit.record(req, `${type === 'events' ? 'event' : 'visit'}.export`, {
+    siteId: req.query.siteId,
+    details: { format, rows, background, query: req.query }
+  });
+
+  if (background) {
+    const job = await dataExport.createJob(type, format, exportOptions, req.user);
+    return res.status(202).location(`/api/exports/${job.id}`).json(dataExport.formatJob(job));
+  }
+  res.setHeader('Content-Type', dataExport.CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${type}-export.${format}"`);
+  await dataExport.writeExport(res, type, format, exportOptions);
+}
+
+function exportFailed(res, error) {
+  console.error('Error exporting:', error);
+  if (res.headersSent) {
+    res.end();
+  } else {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+app.get('/api/events/export', async (req, res) => {
+  try {
+    const { options, error } = parseEventQuery({ ...req.query, limit: undefined, cursor: undefined, offset: undefined });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await sendExport(req, res, 'events', options);
+  } catch (error) {
+    exportFailed(res, error);
+  }
+});
+
+// Live event stream over Server-Sent Events, filterable by siteId,
+// channelID/camera and plate
+app.get('/api/events/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const filter = bus.createFilter(req.query, req.user.siteIds);
+  const write = orderedWriter();
+  const subscriptions = [
+    bus.subscribe('detection', filter, (event) => write(async () => {
+      res.write(`id: ${event.id}\nevent: detection\ndata: ${JSON.stringify(await formatEvent(req, event))}\n\n`);
+    })),
+    bus.subscribe('alert', filter, (alert) => write(async () => {
+      res.write(`event: alert\ndata: ${JSON.stringify(await formatEvent(req, alert))}\n\n`);
+    }))
+  ];
+
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    subscriptions.forEach(unsubscribe => unsubscribe());
+  });
+});
+
+app.get('/api/events/:id', async (req, res) => {
+  try {
+    const event = await db.getEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (forbidSite(req, res, event.site_id)) {
+      return;
+    }
+    await audit.record(req, 'event.view', { entityId: event.id, siteId: event.site_id });
+    const [images, reviews] = await Promise.all([db.getEventImages(event.id), db.getEventReviews(event.id)]);
+    res.json({
+      ...await formatEvent(req, event),
+      receipt: evidence.receipt(event),
+      image_hashes: images.map(({ kind, filename, sha256, size }) => ({ kind, filename, sha256, size })),
+      reviews
+    });
+  } catch (error) {
+    console.error('Error fetching event:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Evidence is kept regardless of retention policies and storage quota
+async function setEvidence(req, res, flag) {
+  try {
+    const event = await db.getEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (forbidSite(req, res, event.site_id)) {
+      return;
+    }
+    await db.setEventEvidence(event.id, flag);
+    await audit.record(req, flag ? 'event.evidence_add' : 'event.evidence_remove', {
+      entityId: event.id,
+      siteId: event.site_id
+    });
+    res.json(await formatEvent(req, await db.getEventById(req.params.id)));
+  } catch (error) {
+    console.error('Error updating event evidence flag:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+const operator = auth.requireRole('operator');
+
+app.post('/api/events/:id/evidence', operator, (req, res) => setEvidence(req, res, true));
+app.delete('/api/events/:id/evidence', operator, (req, res) => setEvidence(req, res, false));
+
+// Settles a read from the review queue: confirm it, correct the plate or
+// reject it. Confirmed and corrected reads then go on to visit tracking,
+// corrected plates are checked against watchlists again, and the settled
+// read is published to live subscribers.
+app.post('/api/events/:id/review', operator, async (req, res) => {
+  try {
+    const { action, plate, notes } = req.body;
+    if (!Object.keys(review.ACTIONS).includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${Object.keys(review.ACTIONS).join(', ')}` });
+    }
+    if (action === 'correct' && (typeof plate !== 'string' || !normalizePlate(plate))) {
+      return res.status(400).json({ error: 'plate is required to correct a read' });
+    }
+    const existing = await db.getEventById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (forbidSite(req, res, existing.site_id)) {
+      return;
+    }
+    const reviewed = await review.reviewEvent(existing, {
+      action,
+      plate: action === 'correct' ? plate.trim().toUpperCase() : undefined,
+      notes
+    }, req.user.name);
+    if (!reviewed) {
+      const current = await db.getEventById(existing.id);
+      return res.status(409).json({
+        error: current.review_status ? `Read has already been ${current.review_status}` : 'Read is not awaiting review'
+      });
+    }
+    await audit.record(req, 'event.review', {
+      entityId: existing.id,
+      siteId: existing.site_id,
+      before: { licensePlate: existing.licensePlate, review_status: existing.review_status },
+      after: { licensePlate: reviewed.licensePlate, review_status: reviewed.review_status },
+      details: { action, reason: existing.review_reason, ...(notes && { notes }) }
+    });
+    res.json({
+      ...await formatEvent(req, reviewed),
+      reviews: await db.getEventReviews(existing.id)
+    });
+  } catch (error) {
+    console.error('Error reviewing event:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Evidence package for police requests and enforcement: the original
+// pictures with their ingest hashes, an event summary and a signed manifest
+app.get('/api/events/:id/evidence', operator, async (req, res) => {
+  try {
+    const event = await db.getEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (forbidSite(req, res, event.site_id)) {
+      return;
+    }
+    await audit.record(req, 'event.evidence_export', { entityId: event.id, siteId: event.site_id });
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="evidence-event-${event.id}.zip"`);
+    await evidence.writePackage(res, event, req.user.name);
+  } catch (error) {
+    console.error('Error exporting evidence package:', error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+// Public half of the key evidence manifests are signed with
+app.get('/api/evidence/public-key', async (req, res) => {
+  try {
+    res.json(await evidence.publicKey());
+  } catch (error) {
+    console.error('Error fetching evidence signing key:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Watchlist management endpoints
+function parseOptionalDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return Number.isNaN(Date.parse(value)) ? undefined : new Date(value).toISOString();
+}
+
+// Returns { error } or { entry } with dates converted to ISO strings
+function parseWatchlistEntry(body) {
+  const { licensePlate, reason, priority = 'medium', valid_from, valid_to } = body;
+  if (!licensePlate || !normalizePlate(licensePlate)) {
+    return { error: 'License plate is required' };
+  }
+  if (!watchlist.PRIORITIES.includes(priority)) {
+    return { error: `Priority must be one of: ${watchlist.PRIORITIES.join(', ')}` };
+  }
+  const validFrom = parseOptionalDate(valid_from);
+  const validTo = parseOptionalDate(valid_to);
+  if (validFrom === undefined || validTo === undefined) {
+    return { error: 'valid_from and valid_to must be valid dates' };
+  }
+  if (validFrom && validTo && validFrom > validTo) {
+    return { error: 'valid_from must be before valid_to' };
+  }
+  return {
+    entry: { licensePlate: licensePlate.trim().toUpperCase(), reason, priority, valid_from: validFrom, valid_to: validTo }
+  };
+}
+
+function isUniqueViolation(error) {
+  return error && error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(error.message);
+}
+
+app.get('/api/watchlists', async (req, res) => {
+  try {
+    const watchlists = await db.getWatchlists();
+    res.json(watchlists);
+  } catch (error) {
+    console.error('Error fetching watchlists:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/watchlists', operator, async (req, res) => {
+  try {
+    const { name, description, fuzzy_match = false, active = true } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'Watchlist name is required' });
+    }
+    const id = await db.createWatchlist({ name, description, fuzzy_match, active });
+    const list = await db.getWatchlistById(id);
+    await audit.record(req, 'watchlist.create', { entityId: id, after: list });
+    res.status(201).json(list);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A watchlist with that name already exists' });
+    }
+    console.error('Error creating watchlist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/watchlists/:id', async (req, res) => {
+  try {
+    const list = await db.getWatchlistById(req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    const entries = await db.getWatchlistEntries(list.id);
+    res.json({ ...list, entries });
+  } catch (error) {
+    console.error('Error fetching watchlist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/watchlists/:id', operator, async (req, res) => {
+  try {
+    const { name, description, fuzzy_match = false, active = true } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'Watchlist name is required' });
+    }
+    const before = await db.getWatchlistById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    await db.updateWatchlist(before.id, { name, description, fuzzy_match, active });
+    const after = await db.getWatchlistById(before.id);
+    await audit.record(req, 'watchlist.update', { entityId: before.id, before, after });
+    res.json(after);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A watchlist with that name already exists' });
+    }
+    console.error('Error updating watchlist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/watchlists/:id', operator, async (req, res) => {
+  try {
+    const list = await db.getWatchlistById(req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    const entries = await db.getWatchlistEntries(list.id);
+    await db.deleteWatchlist(list.id);
+    await audit.record(req, 'watchlist.delete', { entityId: list.id, before: { ...list, entries } });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting watchlist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/watchlists/:id/entries', async (req, res) => {
+  try {
+    const list = await db.getWatchlistById(req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    res.json(await db.getWatchlistEntries(list.id));
+  } catch (error) {
+    console.error('Error fetching watchlist entries:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/watchlists/:id/entries', operator, async (req, res) => {
+  try {
+    const list = await db.getWatchlistById(req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    const { entry, error } = parseWatchlistEntry(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const entryId = await db.addWatchlistEntry(list.id, entry);
+    const after = await db.getWatchlistEntry(list.id, entryId);
+    await audit.record(req, 'watchlist_entry.create', { entityId: entryId, after });
+    res.status(201).json(after);
+  } catch (error) {
+    console.error('Error creating watchlist entry:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/watchlists/:id/entries/:entryId', operator, async (req, res) => {
+  try {
+    const { entry, error } = parseWatchlistEntry(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { id, entryId } = req.params;
+    const before = await db.getWatchlistEntry(id, entryId);
+    if (!before) {
+      return res.status(404).json({ error: 'Watchlist entry not found' });
+    }
+    await db.updateWatchlistEntry(id, entryId, entry);
+    const after = await db.getWatchlistEntry(id, entryId);
+    await audit.record(req, 'watchlist_entry.update', { entityId: entryId, before, after });
+    res.json(after);
+  } catch (error) {
+    console.error('Error updating watchlist entry:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/watchlists/:id/entries/:entryId', operator, async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const before = await db.getWatchlistEntry(id, entryId);
+    if (!before) {
+      return res.status(404).json({ error: 'Watchlist entry not found' });
+    }
+    await db.deleteWatchlistEntry(id, entryId);
+    await audit.record(req, 'watchlist_entry.delete', { entityId: entryId, before });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting watchlist entry:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Alert feed endpoints
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const { status, type, siteId, priority } = req.query;
+    if (status && !ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ALERT_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(Number(req.query.limit) || 50, MAX_PAGE_SIZE);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const alerts = await db.getAlerts({ status, type, siteId, priority, limit, offset, siteIds: req.user.siteIds });
+    res.json(await formatEvents(req, alerts));
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/alerts/:id', async (req, res) => {
+  try {
+    const alert = await db.getAlertById(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    if (forbidSite(req, res, alert.site_id)) {
+      return;
+    }
+    res.json(await formatEvent(req, alert));
+  } catch (error) {
+    console.error('Error fetching alert:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Acknowledge and resolve share one handler; the action decides the
+// transition. They are recorded against the signed-in user or API key.
+function alertAction(action) {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { notes } = req.body;
+      const existing = await db.getAlertById(id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      if (forbidSite(req, res, existing.site_id)) {
+        return;
+      }
+      const changes = action === 'acknowledge'
+        ? await db.acknowledgeAlert(id, req.user.name, notes)
+        : await db.resolveAlert(id, req.user.name, notes);
+
+      const alert = await db.getAlertById(id);
+      if (!changes) {
+        return res.status(409).json({ error: `Alert is already ${alert.status}` });
+      }
+      bus.publishAlert(alert);
+      await audit.record(req, `alert.${action}`, {
+        entityId: alert.id,
+        siteId: alert.site_id,
+        before: { status: existing.status },
+        after: { status: alert.status },
+        details: notes ? { notes } : null
+      });
+      res.json(await formatEvent(req, alert));
+    } catch (error) {
+      console.error(`Error updating alert (${action}):`, error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+app.post('/api/alerts/:id/acknowledge', operator, alertAction('acknowledge'));
+app.post('/api/alerts/:id/resolve', operator, alertAction('resolve'));
+
+// Webhook subscription endpoints. Subscriptions can receive every site's
+// events, so only admins with access to all sites manage them.
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+app.use('/api/webhooks', auth.requireRole('admin', { allSites: true }));
+
+// Secrets are only returned when a subscription is created
+function formatWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, secret: secret ? '********' : null };
+}
+
+// Returns { error } or { webhook }; `existing` supplies defaults on update
+function parseWebhook(body, existing = {}) {
+  const webhook = {
+    name: body.name ?? existing.name,
+    url: body.url ?? existing.url,
+    secret: body.secret || existing.secret || webhooks.generateSecret(),
+    site_id: body.site_id ?? existing.site_id,
+    channelID: body.channelID ?? existing.channelID,
+    eventType: body.eventType ?? existing.eventType,
+    watchlist_only: Boolean(body.watchlist_only ?? existing.watchlist_only),
+    include_images: body.include_images ?? existing.include_images ?? 'link',
+    active: body.active ?? (existing.active === undefined ? true : Boolean(existing.active))
+  };
+
+  let url;
+  try {
+    url = new URL(webhook.url);
+  } catch (error) {
+    return { error: 'A valid webhook URL is required' };
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { error: 'Webhook URL must use http or https' };
+  }
+  if (!webhooks.IMAGE_MODES.includes(webhook.include_images)) {
+    return { error: `include_images must be one of: ${webhooks.IMAGE_MODES.join(', ')}` };
+  }
+  return { webhook };
+}
+
+app.get('/api/webhooks', async (req, res) => {
+  try {
+    const list = await db.getWebhooks();
+    res.json(list.map(formatWebhook));
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/webhooks', async (req, res) => {
+  try {
+    const { webhook, error } = parseWebhook(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const id = await db.createWebhook(webhook);
+    const created = await db.getWebhookById(id);
+    await audit.record(req, 'webhook.create', { entityId: id, after: formatWebhook(created) });
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/webhooks/:id', async (req, res) => {
+  try {
+    const webhook = await db.getWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(formatWebhook(webhook));
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/webhooks/:id', async (req, res) => {
+  try {
+    const existing = await db.getWebhookById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const { webhook, error } = parseWebhook(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await db.updateWebhook(existing.id, webhook);
+    const after = formatWebhook(await db.getWebhookById(existing.id));
+    await audit.record(req, 'webhook.update', { entityId: existing.id, before: formatWebhook(existing), after });
+    res.json(after);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/webhooks/:id', async (req, res) => {
+  try {
+    const existing = await db.getWebhookById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    await db.deleteWebhook(existing.id);
+    await audit.record(req, 'webhook.delete', { entityId: existing.id, before: formatWebhook(existing) });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sends a signed ping so receivers can be checked without waiting for a read
+app.post('/api/webhooks/:id/test', async (req, res) => {
+  try {
+    const webhook = await db.getWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const deliveryId = await webhooks.enqueueTest(webhook);
+    webhooks.processQueue();
+    res.status(202).json({ delivery_id: deliveryId });
+  } catch (error) {
+    console.error('Error sending webhook test:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/webhooks/:id/deliveries', async (req, res) => {
+  try {
+    const webhook = await db.getWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const { status } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(Number(req.query.limit) || 50, MAX_PAGE_SIZE);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    res.json(await db.getWebhookDeliveries(webhook.id, { status, limit, offset }));
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/webhooks/:id/deliveries/:deliveryId/retry', async (req, res) => {
+  try {
+    const changes = await db.retryWebhookDelivery(req.params.id, req.params.deliveryId);
+    if (!changes) {
+      return res.status(404).json({ error: 'No failed delivery with that ID' });
+    }
+    webhooks.processQueue();
+    res.status(202).json({ status: 'pending' });
+  } catch (error) {
+    console.error('Error retrying webhook delivery:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Visit (entry/exit pairing) endpoints
+const VISIT_STATUSES = ['open', 'closed', 'expired', 'orphan_exit'];
+
+// Translates /api/visits query parameters into getVisits options.
+// Returns { error } when a parameter is invalid.
+function parseVisitQuery(query) {
+  const { siteId, plate, status, from, to } = query;
+  if (status && !VISIT_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${VISIT_STATUSES.join(', ')}` };
+  }
+
+  const options = {
+    siteId, status, from, to,
+    plate: plate ? normalizePlate(plate) : undefined
+  };
+  for (const name of ['minDuration', 'maxDuration']) {
+    if (query[name] !== undefined) {
+      const value = Number(query[name]);
+      if (!Number.isFinite(value)) {
+        return { error: `${name} must be a number of seconds` };
+      }
+      options[name] = value;
+    }
+  }
+  options.limit = Math.min(Number(query.limit) || 50, MAX_PAGE_SIZE);
+  options.offset = Math.max(Number(query.offset) || 0, 0);
+  return { options };
+}
+
+app.get('/api/visits', async (req, res) => {
+  try {
+    const { options, error } = parseVisitQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    options.siteIds = req.user.siteIds;
+
+    await auditPlateSearch(req, 'visit');
+    const [visitRows, total] = await Promise.all([db.getVisits(options), db.countVisits(options)]);
+    res.json({
+      visits: visitRows,
+      paging: { limit: options.limit, offset: options.offset, total }
+    });
+  } catch (error) {
+    console.error('Error fetching visits:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/visits/export', async (req, res) => {
+  try {
+    const { options, error } = parseVisitQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await sendExport(req, res, 'visits', options);
+  } catch (error) {
+    exportFailed(res, error);
+  }
+});
+
+app.get('/api/visits/:id', async (req, res) => {
+  try {
+    const visit = await db.getVisitById(req.params.id);
+    if (!visit) {
+      return res.status(404).json({ error: 'Visit not found' });
+    }
+    if (forbidSite(req, res, visit.site_id)) {
+      return;
+    }
+    await audit.record(req, 'visit.view', { entityId: visit.id, siteId: visit.site_id });
+    const [entryEvent, exitEvent] = await Promise.all([
+      visit.entry_event_id ? db.getEventById(visit.entry_event_id) : null,
+      visit.exit_event_id ? db.getEventById(visit.exit_event_id) : null
+    ]);
+    res.json({
+      ...visit,
+      entryEvent: entryEvent && await formatEvent(req, entryEvent),
+      exitEvent: exitEvent && await formatEvent(req, exitEvent)
+    });
+  } catch (error) {
+    console.error('Error fetching visit:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Gates and passages. Cameras grouped into a gate (set with gate_id on the
+// camera) report one passage per vehicle however many of them read it.
+
+// Returns { error } or { gate }; `existing` supplies defaults on update
+function parseGate(body, existing = {}) {
+  const name = body.name === undefined ? existing.name : String(body.name).trim();
+  if (!name) {
+    return { error: 'Gate name is required' };
+  }
+  const windowSeconds = body.window_seconds === undefined ? existing.window_seconds ?? null : body.window_seconds;
+  if (windowSeconds !== null && !(Number.isInteger(windowSeconds) && windowSeconds > 0)) {
+    return { error: 'window_seconds must be null (use the server default) or a positive integer' };
+  }
+  return { gate: { name, window_seconds: windowSeconds } };
+}
+
+// Loads the gate in :id, or sends 404/403 and returns null
+async function findGate(req, res) {
+  const gate = await db.getGateById(req.params.id);
+  if (!gate) {
+    res.status(404).json({ error: 'Gate not found' });
+    return null;
+  }
+  return forbidSite(req, res, gate.site_id) ? null : gate;
+}
+
+app.get('/api/gates', async (req, res) => {
+  try {
+    const gates = await db.getGates(req.query.siteId);
+    res.json(gates.filter(gate => auth.canAccessSite(req.user, gate.site_id)));
+  } catch (error) {
+    console.error('Error fetching gates:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/gates', manageCameras, async (req, res) => {
+  try {
+    const { site_id } = req.body;
+    if (!site_id) {
+      return res.status(400).json({ error: 'Site ID is required' });
+    }
+    if (forbidSite(req, res, site_id)) {
+      return;
+    }
+    if (!(await db.getSiteById(site_id))) {
+      return res.status(400).json({ error: 'site_id does not match a site' });
+    }
+    const { gate, error } = parseGate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const id = await db.createGate({ ...gate, site_id });
+    const created = await db.getGateById(id);
+    await audit.record(req, 'gate.create', { entityId: id, siteId: created.site_id, after: created });
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating gate:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/gates/:id', manageCameras, async (req, res) => {
+  try {
+    const before = await findGate(req, res);
+    if (!before) {
+      return;
+    }
+    const { gate, error } = parseGate(req.body, before);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await db.updateGate(before.id, gate);
+    const after = await db.getGateById(before.id);
+    await audit.record(req, 'gate.update', { entityId: before.id, siteId: before.site_id, before, after });
+    res.json(after);
+  } catch (error) {
+    console.error('Error updating gate:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/gates/:id', manageCameras, async (req, res) => {
+  try {
+    const gate = await findGate(req, res);
+    if (!gate) {
+      return;
+    }
+    await db.deleteGate(gate.id);
+    await audit.record(req, 'gate.delete', { entityId: gate.id, siteId: gate.site_id, before: gate });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting gate:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/passages', async (req, res) => {
+  try {
+    const options = {
+      siteId: req.query.siteId,
+      gateId: req.query.gateId,
+      plate: req.query.plate ? canonicalPlate(req.query.plate) : undefined,
+      siteIds: req.user.siteIds
+    };
+    for (const name of ['from', 'to']) {
+      if (req.query[name]) {
+        const date = new Date(req.query[name]);
+        if (isNaN(date.getTime())) {
+          return res.status(400).json({ error: `${name} must be a valid date` });
+        }
+        options[name] = date.toISOString();
+      }
+    }
+    options.limit = Math.min(Number(req.query.limit) || 50, MAX_PAGE_SIZE);
+    options.offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    await auditPlateSearch(req, 'passage');
+    const [rows, total] = await Promise.all([db.getPassages(options), db.countPassages(options)]);
+    res.json({ passages: rows, paging: { limit: options.limit, offset: options.offset, total } });
+  } catch (error) {
+    console.error('Error fetching passages:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A passage with every read that makes it up
+app.get('/api/passages/:id', async (req, res) => {
+  try {
+    const passage = await db.getPassageById(req.params.id);
+    if (!passage) {
+      return res.status(404).json({ error: 'Passage not found' });
+    }
+    if (forbidSite(req, res, passage.site_id)) {
+      return;
+    }
+    await audit.record(req, 'passage.view', { entityId: passage.id, siteId: passage.site_id });
+    const events = await db.getPassageEvents(passage.id);
+    res.json({ ...passage, events: await formatEvents(req, events) });
+  } catch (error) {
+    console.error('Error fetching passage:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Permit and parking rule endpoints
+
+// Returns { error } or { permit } with dates converted to ISO strings
+function parsePermit(body) {
+  const { site_id, licensePlate, holder, valid_from, valid_to, max_stay_minutes, notes } = body;
+  if (!site_id) {
+    return { error: 'Site ID is required' };
+  }
+  if (!licensePlate || !normalizePlate(licensePlate)) {
+    return { error: 'License plate is required' };
+  }
+  const validFrom = parseOptionalDate(valid_from);
+  const validTo = parseOptionalDate(valid_to);
+  if (validFrom === undefined || validTo === undefined) {
+    return { error: 'valid_from and valid_to must be valid dates' };
+  }
+  if (validFrom && validTo && validFrom > validTo) {
+    return { error: 'valid_from must be before valid_to' };
+  }
+  const maxStay = max_stay_minutes === undefined || max_stay_minutes === null || max_stay_minutes === ''
+    ? null
+    : Number(max_stay_minutes);
+  if (maxStay !== null && (!Number.isInteger(maxStay) || maxStay <= 0)) {
+    return { error: 'max_stay_minutes must be a positive whole number' };
+  }
+  const { schedule, error } = permits.parseSchedule(body.schedule);
+  if (error) {
+    return { error };
+  }
+  return {
+    permit: {
+      site_id,
+      licensePlate: licensePlate.trim().toUpperCase(),
+      holder,
+      valid_from: validFrom,
+      valid_to: validTo,
+      schedule,
+      max_stay_minutes: maxStay,
+      notes
+    }
+  };
+}
+
+function formatPermit(permit) {
+  return { ...permit, schedule: permit.schedule ? JSON.parse(permit.schedule) : null };
+}
+
+app.get('/api/permits', async (req, res) => {
+  try {
+    const { siteId, plate } = req.query;
+    const activeAt = req.query.active === 'true' ? new Date().toISOString() : undefined;
+    const limit = Math.min(Number(req.query.limit) || 50, MAX_PAGE_SIZE);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    await auditPlateSearch(req, 'permit');
+    const rows = await db.getPermits({ siteId, plate, activeAt, limit, offset, siteIds: req.user.siteIds });
+    res.json(rows.map(formatPermit));
+  } catch (error) {
+    console.error('Error fetching permits:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/permits', operator, async (req, res) => {
+  try {
+    const { permit, error } = parsePermit(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (forbidSite(req, res, permit.site_id)) {
+      return;
+    }
+    if (!(await db.getSiteById(permit.site_id))) {
+      return res.status(400).json({ error: 'site_id does not match a site' });
+    }
+    const id = await db.createPermit(permit);
+    const created = formatPermit(await db.getPermitById(id));
+    await audit.record(req, 'permit.create', { entityId: id, siteId: created.site_id, after: created });
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating permit:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/permits/:id', async (req, res) => {
+  try {
+    const permit = await db.getPermitById(req.params.id);
+    if (!permit) {
+      return res.status(404).json({ error: 'Permit not found' });
+    }
+    if (forbidSite(req, res, permit.site_id)) {
+      return;
+    }
+    res.json(formatPermit(permit));
+  } catch (error) {
+    console.error('Error fetching permit:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/permits/:id', operator, async (req, res) => {
+  try {
+    const { permit, error } = parsePermit(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const existing = await db.getPermitById(req.params.id);
+    if (existing && (forbidSite(req, res, existing.site_id) || forbidSite(req, res, permit.site_id))) {
+      return;
+    }
+    if (existing && !(await db.getSiteById(permit.site_id))) {
+      return res.status(400).json({ error: 'site_id does not match a site' });
+    }
+    const changes = await db.updatePermit(req.params.id, permit);
+    if (!changes) {
+      return res.status(404).json({ error: 'Permit not found' });
+    }
+    const after = formatPermit(await db.getPermitById(req.params.id));
+    await audit.record(req, 'permit.update', {
+      entityId: after.id,
+      siteId: after.site_id,
+      before: formatPermit(existing),
+      after
+    });
+    res.json(after);
+  } catch (error) {
+    console.error('Error updating permit:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/permits/:id', operator, async (req, res) => {
+  try {
+    const existing = await db.getPermitById(req.params.id);
+    if (existing && forbidSite(req, res, existing.site_id)) {
+      return;
+    }
+    const changes = await db.deletePermit(req.params.id);
+    if (!changes) {
+      return res.status(404).json({ error: 'Permit not found' });
+    }
+    await audit.record(req, 'permit.delete', {
+      entityId: existing.id,
+      siteId: existing.site_id,
+      before: formatPermit(existing)
+    });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting permit:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/sites/:id/parking-rules', async (req, res) => {
+  try {
+    if (!(await findSite(req, res))) {
+      return;
+    }
+    res.json(await db.getParkingRules(req.params.id));
+  } catch (error) {
+    console.error('Error fetching parking rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/sites/:id/parking-rules', auth.requireRole('admin'), async (req, res) => {
+  try {
+    if (!(await findSite(req, res))) {
+      return;
+    }
+    const { enabled = false, grace_minutes = 15 } = req.body;
+    const grace = Number(grace_minutes);
+    if (!Number.isInteger(grace) || grace < 0) {
+      return res.status(400).json({ error: 'grace_minutes must be a non-negative whole number' });
+    }
+    const before = await db.getParkingRules(req.params.id);
+    const after = await db.setParkingRules(req.params.id, { enabled: Boolean(enabled), grace_minutes: grace });
+    await audit.record(req, 'parking_rules.update', { entityType: 'site', entityId: req.params.id, siteId: req.params.id, before, after });
+    res.json(after);
+  } catch (error) {
+    console.error('Error updating parking rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Retention overrides: a number of days, 0 to keep forever, or null to use
+// the server default
+function parseRetentionDays(value, name) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    return { error: `${name} must be a non-negative whole number or null` };
+  }
+  return { value: days };
+}
+
+app.get('/api/sites/:id/retention', async (req, res) => {
+  try {
+    if (!(await findSite(req, res))) {
+      return;
+    }
+    res.json(await db.getRetentionPolicy(req.params.id));
   } catch (error) {
-    console.error('Error fetching sites:', error);
+    console.error('Error fetching retention policy:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Camera management endpoints
-app.get('/api/cameras', async (req, res) => {
+app.put('/api/sites/:id/retention', auth.requireRole('admin'), async (req, res) => {
+  try {
+    if (!(await findSite(req, res))) {
+      return;
+    }
+    const imageDays = parseRetentionDays(req.body.image_days, 'image_days');
+    const metadataDays = parseRetentionDays(req.body.metadata_days, 'metadata_days');
+    const error = imageDays.error || metadataDays.error;
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const before = await db.getRetentionPolicy(req.params.id);
+    const after = await db.setRetentionPolicy(req.params.id, {
+      image_days: imageDays.value,
+      metadata_days: metadataDays.value
+    });
+    await audit.record(req, 'retention.update', { entityType: 'site', entityId: req.params.id, siteId: req.params.id, before, after });
+    res.json(after);
+  } catch (error) {
+    console.error('Error updating retention policy:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Storage usage spans every site
+app.use('/api/storage', auth.requireRole('admin', { allSites: true }));
+
+app.get('/api/storage', async (req, res) => {
   try {
-    const siteId = req.query.siteId;
-    const cameras = await db.getCameras(siteId);
-    res.json(cameras);
+    res.json(await retention.storageReport());
   } catch (error) {
-    console.error('Error fetching cameras:', error);
+    console.error('Error fetching storage usage:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/cameras', async (req, res) => {
+// Runs the scheduled cleanup immediately
+app.post('/api/storage/cleanup', async (req, res) => {
   try {
-    const { channelID, macAddress, name, description, site_id } = req.body;
-    if (!channelID || !site_id) {
-      return res.status(400).json({ error: 'Channel ID and site ID are required' });
+    const summary = await retention.cleanup(req);
+    if (!summary) {
+      return res.status(409).json({ error: 'Cleanup is already running' });
     }
-    const cameraId = await db.addCamera({ channelID, macAddress, name, description, site_id });
-    res.status(201).json({ id: cameraId, channelID, macAddress, name, description, site_id });
+    res.json(summary);
   } catch (error) {
-    console.error('Error creating camera:', error);
+    console.error('Error running storage cleanup:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.put('/api/cameras/:id', async (req, res) => {
+// Violation review endpoints
+const VIOLATION_STATUSES = ['pending', 'approved', 'dismissed'];
+
+app.get('/api/violations', async (req, res) => {
   try {
-    const { name, description, site_id } = req.body;
-    const { id } = req.params;
-    await db.updateCamera(id, { name, description, site_id });
-    res.json({ id, name, description, site_id });
+    const { siteId, status, type, plate, from, to } = req.query;
+    if (status && !VIOLATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${VIOLATION_STATUSES.join(', ')}` });
+    }
+    if (type && !permits.VIOLATION_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${permits.VIOLATION_TYPES.join(', ')}` });
+    }
+    const limit = Math.min(Number(req.query.limit) || 50, MAX_PAGE_SIZE);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    await auditPlateSearch(req, 'violation');
+    const rows = await db.getViolations({
+      siteId, status, type, from, to, limit, offset,
+      siteIds: req.user.siteIds,
+      plate: plate ? normalizePlate(plate) : undefined
+    });
+    res.json(await formatEvents(req, rows));
   } catch (error) {
-    console.error('Error updating camera:', error);
+    console.error('Error fetching violations:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.delete('/api/cameras/:id', async (req, res) => {
+// Includes the entry and exit reads (with image URLs) as supporting evidence
+app.get('/api/violations/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    await db.deleteCamera(id);
-    res.status(204).send();
+    const violation = await db.getViolationById(req.params.id);
+    if (!violation) {
+      return res.status(404).json({ error: 'Violation not found' });
+    }
+    if (forbidSite(req, res, violation.site_id)) {
+      return;
+    }
+    await audit.record(req, 'violation.view', { entityId: violation.id, siteId: violation.site_id });
+    const eventIds = [violation.entry_event_id, violation.exit_event_id, violation.event_id]
+      .filter((id, index, ids) => id && ids.indexOf(id) === index);
+    const evidence = await Promise.all(eventIds.map(id => db.getEventById(id)));
+    res.json({
+      ...violation,
+      evidence: await formatEvents(req, evidence.filter(Boolean))
+    });
   } catch (error) {
-    console.error('Error deleting camera:', error);
+    console.error('Error fetching violation:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/sites', async (req, res) => {
+app.post('/api/violations/:id/review', operator, async (req, res) => {
   try {
-    const { name, description } = req.body;
-    if (!name) {
-      return res.status(400).json({ error: 'Site name is required' });
+    const { status, notes } = req.body;
+    if (!['approved', 'dismissed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be approved or dismissed' });
+    }
+    const existing = await db.getViolationById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Violation not found' });
     }
-    const siteId = await db.createOrGetSite(name, description);
-    res.status(201).json({ id: siteId, name, description });
+    if (forbidSite(req, res, existing.site_id)) {
+      return;
+    }
+    const changes = await db.reviewViolation(req.params.id, { status, reviewed_by: req.user.name, review_notes: notes });
+    const violation = await db.getViolationById(req.params.id);
+    if (!changes) {
+      return res.status(409).json({ error: `Violation has already been ${violation.status}` });
+    }
+    await audit.record(req, 'violation.review', {
+      entityId: violation.id,
+      siteId: violation.site_id,
+      before: { status: existing.status },
+      after: { status: violation.status },
+      details: notes ? { notes } : null
+    });
+    res.json(violation);
   } catch (error) {
-    console.error('Error creating site:', error);
+    console.error('Error reviewing violation:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.put('/api/sites/:id', async (req, res) => {
+// Minutes east of UTC, in whole quarter hours; null when invalid
+function parseUtcOffset(value) {
+  const utcOffset = value === undefined ? 0 : Number(value);
+  return Number.isInteger(utcOffset) && utcOffset % 15 === 0 && Math.abs(utcOffset) <= 840 ? utcOffset : null;
+}
+const UTC_OFFSET_ERROR = 'utcOffset must be a whole number of quarter hours in minutes, between -840 and 840';
+
+// Traffic analytics over [from, to), the last seven days by default.
+// utcOffset (minutes east of UTC) sets where hours, days and weeks begin.
+function parseAnalyticsQuery(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 7 * 86400 * 1000);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  const interval = query.interval || 'hour';
+  if (!analytics.INTERVALS.includes(interval)) {
+    return { error: `interval must be one of: ${analytics.INTERVALS.join(', ')}` };
+  }
+  const groupBy = query.groupBy ? String(query.groupBy).split(',').map(value => value.trim()) : [];
+  const unknown = groupBy.find(dimension => !analytics.GROUP_BY.includes(dimension));
+  if (unknown) {
+    return { error: `groupBy must be a comma-separated list of: ${analytics.GROUP_BY.join(', ')}` };
+  }
+  const utcOffset = parseUtcOffset(query.utcOffset);
+  if (utcOffset === null) {
+    return { error: UTC_OFFSET_ERROR };
+  }
+
+  const options = {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    interval,
+    groupBy: [...new Set(groupBy)],
+    utcOffset,
+    lane: query.lane,
+    direction: query.direction
+  };
+  for (const name of ['siteId', 'cameraId']) {
+    if (query[name] !== undefined) {
+      const value = Number(query[name]);
+      if (!Number.isInteger(value) || value < 1) {
+        return { error: `${name} must be a positive integer` };
+      }
+      options[name] = value;
+    }
+  }
+  if (analytics.periodCount(options) > analytics.MAX_PERIODS) {
+    return { error: `The range covers more than ${analytics.MAX_PERIODS} ${interval} periods; use a longer interval` };
+  }
+  return { options };
+}
+
+app.get('/api/analytics', async (req, res) => {
   try {
-    const { name, description } = req.body;
-    const { id } = req.params;
-    if (!name) {
-      return res.status(400).json({ error: 'Site name is required' });
+    const { options, error } = parseAnalyticsQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
-    await db.updateSite(id, name, description);
-    res.json({ id, name, description });
+    if (options.siteId && forbidSite(req, res, options.siteId)) {
+      return;
+    }
+    options.siteIds = req.user.siteIds;
+    res.json(await analytics.report(options));
   } catch (error) {
-    console.error('Error updating site:', error);
+    console.error('Error fetching analytics:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.delete('/api/sites/:id', async (req, res) => {
+// Vehicle history by plate. Spacing and case don't matter; reads are
+// matched on the normalised plate.
+app.get('/api/vehicles/:plate', async (req, res) => {
   try {
-    const { id } = req.params;
-    await db.deleteSite(id);
-    res.status(204).send();
+    const plate = normalizePlate(req.params.plate);
+    if (!plate) {
+      return res.status(400).json({ error: 'plate must contain letters or digits' });
+    }
+    const utcOffset = parseUtcOffset(req.query.utcOffset);
+    if (utcOffset === null) {
+      return res.status(400).json({ error: UTC_OFFSET_ERROR });
+    }
+    const limit = Math.min(Number(req.query.limit) || 50, MAX_PAGE_SIZE);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const vehicle = await vehicles.profile(plate, { siteIds: req.user.siteIds, utcOffset, limit, offset });
+    await audit.record(req, 'vehicle.view', { entityId: plate, details: { found: Boolean(vehicle) } });
+    if (!vehicle) {
+      return res.status(404).json({ error: 'No reads of this plate' });
+    }
+    res.json({ ...vehicle, events: await formatEvents(req, vehicle.events) });
   } catch (error) {
-    console.error('Error deleting site:', error);
+    console.error('Error fetching vehicle history:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Serve HTML content
-app.get('/', async (req, res) => {
+// Notes and tags replace the vehicle's current ones. Callers limited to
+// some sites can only edit a plate read at one of them.
+app.put('/api/vehicles/:plate', operator, async (req, res) => {
   try {
-    const uploadDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+    const plate = normalizePlate(req.params.plate);
+    if (!plate) {
+      return res.status(400).json({ error: 'plate must contain letters or digits' });
     }
+    if (!await vehicles.sharesProfile(plate, req.user.siteIds)) {
+      return res.status(404).json({ error: 'No reads of this plate' });
+    }
+    const { profile, error } = vehicles.parseProfile(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const before = vehicles.formatProfile(await db.getVehicleProfile(plate));
+    const after = await vehicles.saveProfile(plate, profile, req.user.name);
+    await audit.record(req, 'vehicle.update', {
+      entityId: plate,
+      before: { notes: before.notes, tags: before.tags },
+      after: { notes: after.notes, tags: after.tags }
+    });
+    res.json({ plate, ...after });
+  } catch (error) {
+    console.error('Error updating vehicle notes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Get events from database with any filters
-    const filters = {
-      licensePlate: req.query.licensePlate,
-      dateFrom: req.query.dateFrom,
-      dateTo: req.query.dateTo,
-      siteId: req.query.siteId,
-      limit: 100 // Limit the number of events shown
-    };
+// Background export jobs, visible to whoever requested them and to admins
+// with access to every site
+function ownsExportJob(req, job) {
+  return (job.requested_by_type === req.user.type && job.requested_by_id === req.user.id) ||
+    (req.user.role === 'admin' && !req.user.siteIds);
+}
 
-    const [eventsData, stats] = await Promise.all([
-      db.getAllEvents(filters),
-      db.getEventStats(),
-      db.getSiteStats()
-    ]).then(([events, basicStats, siteStats]) => [
-      events,
-      { ...basicStats, sites: siteStats }
-    ]);
+async function findExportJob(req, res) {
+  const job = await db.getExportJob(req.params.id);
+  if (!job || !ownsExportJob(req, job)) {
+    res.status(404).json({ error: 'Export not found' });
+    return null;
+  }
+  return job;
+}
 
-  // Generate HTML content
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Vehicle Detection Events & Site Management - NOC Dashboard</title>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <style>
-        :root {
-          --bg-primary: #000000;
-          --bg-secondary: #111111;
-          --text-primary: #ffffff;
-          --text-secondary: #808080;
-          --accent: #005288;
-          --accent-hover: #006bb3;
-          --border: #1a1a1a;
-          --success: #00c853;
-          --danger: #ff3d00;
-        }
-        body {
-          font-family: 'SF Pro Display', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          margin: 0;
-          padding: 20px;
-          background-color: var(--bg-primary);
-          color: var(--text-primary);
-          line-height: 1.6;
-        }
-        .header {
-          display: flex;
-          flex-wrap: wrap;
-          justify-content: space-between;
-          align-items: center;
-          padding: 20px 30px;
-          background-color: var(--bg-secondary);
-          border-radius: 12px;
-          margin-bottom: 30px;
-          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-        }
-        .site-management, .camera-management {
-          background-color: var(--bg-secondary);
-          padding: 30px;
-          border-radius: 12px;
-          margin-bottom: 30px;
-          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-        }
-        .site-card, .camera-card {
-          background-color: var(--bg-primary);
-          padding: 20px;
-          border-radius: 12px;
-          border: 1px solid var(--border);
-          transition: transform 0.3s ease, box-shadow 0.3s ease;
-        }
-        .site-card:hover, .camera-card:hover {
-          transform: translateY(-5px);
-          box-shadow: 0 8px 15px rgba(0, 0, 0, 0.2);
-        }
-        .site-card h3, .camera-card h4 {
-          margin: 0 0 15px 0;
-          color: var(--accent);
-          font-size: 1.4em;
-          letter-spacing: 0.5px;
-        }
-        .site-list, .camera-list {
-          display: grid;
-          grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
-          gap: 20px;
-        }
-        button {
-          padding: 10px 20px;
-          border-radius: 8px;
-          border: none;
-          font-weight: 500;
-          cursor: pointer;
-          transition: all 0.3s ease;
-          text-transform: uppercase;
-          letter-spacing: 1px;
-        }
-        button.edit {
-          background-color: var(--accent);
-          color: white;
-        }
-        button.edit:hover {
-          background-color: var(--accent-hover);
-        }
-        button.delete {
-          background-color: var(--danger);
-          color: white;
-        }
-        button.delete:hover {
-          opacity: 0.9;
-        }
-        input, select {
-          padding: 12px;
-          border: 1px solid var(--border);
-          border-radius: 8px;
-          background-color: var(--bg-primary);
-          color: var(--text-primary);
-          font-size: 14px;
-        }
-        input:focus, select:focus {
-          outline: none;
-          border-color: var(--accent);
-        }
-        .clock {
-          font-size: 1.8em;
-          font-weight: 600;
-          color: var(--accent);
-          text-shadow: 0 0 10px rgba(0, 82, 136, 0.3);
-        }
-        .event {
-          background-color: var(--bg-primary);
-          border: 1px solid var(--border);
-          margin: 15px 0;
-          padding: 20px;
-          border-radius: 12px;
-          transition: transform 0.3s ease;
-          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-        }
-        .event:hover {
-          transform: translateY(-3px);
-          box-shadow: 0 8px 15px rgba(0, 0, 0, 0.2);
-        }
-        .event img {
-          max-width: 300px;
-          height: auto;
-          margin: 10px;
-          border-radius: 8px;
-          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-        }
-      </style>
-      <script>
-        function updateClock() {
-          const now = new Date();
-          const clock = document.getElementById('clock');
-          clock.textContent = now.toLocaleString();
-        }
+app.get('/api/exports', async (req, res) => {
+  try {
+    const everyone = req.user.role === 'admin' && !req.user.siteIds;
+    const jobs = await db.getExportJobs(everyone ? null : req.user);
+    res.json(jobs.map(dataExport.formatJob));
+  } catch (error) {
+    console.error('Error fetching exports:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-        async function loadSites() {
-          try {
-            const response = await fetch('/api/sites');
-            const sites = await response.json();
-            const siteList = document.getElementById('siteList');
-            const cameraSiteId = document.getElementById('cameraSiteId');
-            
-            // Update site list
-            siteList.innerHTML = sites.map(site => 
-              '<div class="site-card" data-id="' + site.id + '">' +
-                '<h3>' + site.name + '</h3>' +
-                '<p>' + (site.description || 'No description') + '</p>' +
-                '<p>Events: ' + (site.eventCount || 0) + '</p>' +
-                '<p>Last Detection: ' + (site.lastDetection || 'N/A') + '</p>' +
-                '<div class="actions">' +
-                  '<button class="edit" onclick="editSite(' + site.id + ')">Edit</button>' +
-                  '<button class="delete" onclick="deleteSite(' + site.id + ')">Delete</button>' +
-                '</div>' +
-              '</div>'
-            ).join('');
-            
-            // Update site select in camera form
-            cameraSiteId.innerHTML = '<option value="">Select Site</option>' + 
-              sites.map(site => 
-                '<option value="' + site.id + '">' + site.name + '</option>'
-              ).join('');
-            
-            // Load cameras for all sites
-            loadCameras();
-          } catch (error) {
-            console.error('Error loading sites:', error);
-          }
-        }
-        
-        async function loadCameras() {
-          try {
-            const response = await fetch('/api/cameras');
-            const cameras = await response.json();
-            const cameraList = document.getElementById('cameraList');
-            
-            cameraList.innerHTML = cameras.map(camera => 
-              '<div class="camera-card" data-id="' + camera.id + '">' +
-                '<h4>' + (camera.name || camera.channelID) + '</h4>' +
-                '<p>Channel ID: ' + camera.channelID + '</p>' +
-                '<p>MAC Address: ' + (camera.macAddress || 'N/A') + '</p>' +
-                '<p>' + (camera.description || 'No description') + '</p>' +
-                '<div class="actions">' +
-                  '<button class="edit" onclick="editCamera(' + camera.id + ')">Edit</button>' +
-                  '<button class="delete" onclick="deleteCamera(' + camera.id + ')">Delete</button>' +
-                '</div>' +
-              '</div>'
-            ).join('');
-          } catch (error) {
-            console.error('Error loading cameras:', error);
-          }
-        }
-        
-        async function addCamera() {
-          const channelID = document.getElementById('cameraChannelID').value.trim();
-          const macAddress = document.getElementById('cameraMacAddress').value.trim();
-          const name = document.getElementById('cameraName').value.trim();
-          const description = document.getElementById('cameraDescription').value.trim();
-          const site_id = document.getElementById('cameraSiteId').value;
-          
-          if (!channelID || !site_id) {
-            return alert('Channel ID and Site are required');
-          }
-          
-          try {
-            await fetch('/api/cameras', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ channelID, macAddress, name, description, site_id })
-            });
-            
-            // Clear form
-            document.getElementById('cameraChannelID').value = '';
-            document.getElementById('cameraMacAddress').value = '';
-            document.getElementById('cameraName').value = '';
-            document.getElementById('cameraDescription').value = '';
-            document.getElementById('cameraSiteId').value = '';
-            
-            // Reload cameras
-            loadCameras();
-          } catch (error) {
-            console.error('Error creating camera:', error);
-            alert('Failed to create camera');
-          }
-        }
-        
-        async function editCamera(id) {
-          const name = prompt('Enter new camera name:');
-          if (!name) return;
-          const description = prompt('Enter new camera description:');
-          const site_id = prompt('Enter new site ID:');
-          
-          try {
-            await fetch('/api/cameras/' + id, {
-              method: 'PUT',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ name, description, site_id })
-            });
-            loadCameras();
-          } catch (error) {
-            console.error('Error updating camera:', error);
-            alert('Failed to update camera');
-          }
-        }
-        
-        async function deleteCamera(id) {
-          if (!confirm('Are you sure you want to delete this camera?')) return;
-          
-          try {
-            await fetch('/api/cameras/' + id, { method: 'DELETE' });
-            loadCameras();
-          } catch (error) {
-            console.error('Error deleting camera:', error);
-            alert('Failed to delete camera');
-          }
-        }
+app.get('/api/exports/:id', async (req, res) => {
+  try {
+    const job = await findExportJob(req, res);
+    if (job) {
+      res.json(dataExport.formatJob(job));
+    }
+  } catch (error) {
+    console.error('Error fetching export:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-        async function createSite() {
-          const nameInput = document.getElementById('siteName');
-          const descInput = document.getElementById('siteDescription');
-          const name = nameInput.value.trim();
-          const description = descInput.value.trim();
-
-          if (!name) return alert('Site name is required');
-
-          try {
-            await fetch('/api/sites', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ name, description })
-            });
-            nameInput.value = '';
-            descInput.value = '';
-            loadSites();
-          } catch (error) {
-            console.error('Error creating site:', error);
-            alert('Failed to create site');
-          }
-        }
+app.get('/api/exports/:id/download', async (req, res) => {
+  try {
+    const job = await findExportJob(req, res);
+    if (!job) {
+      return;
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Export is ${job.status}` });
+    }
+    await audit.record(req, 'export.download', { entityId: job.id, details: { type: job.type, format: job.format } });
+    res.setHeader('Content-Type', dataExport.CONTENT_TYPES[job.format]);
+    res.download(dataExport.jobPath(job), dataExport.downloadName(job), (error) => {
+      if (error && !res.headersSent) {
+        console.error('Error sending export:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading export:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-        async function editSite(id) {
-          const name = prompt('Enter new site name:');
-          if (!name) return;
-          const description = prompt('Enter new site description:');
-
-          try {
-            await fetch('/api/sites/' + id, {
-              method: 'PUT',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ name, description })
-            });
-            loadSites();
-          } catch (error) {
-            console.error('Error updating site:', error);
-            alert('Failed to update site');
-          }
-        }
+app.delete('/api/exports/:id', async (req, res) => {
+  try {
+    const job = await findExportJob(req, res);
+    if (!job) {
+      return;
+    }
+    if (job.status === 'running') {
+      return res.status(409).json({ error: 'Export is still running' });
+    }
+    await dataExport.deleteJob(job);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting export:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-        async function deleteSite(id) {
-          if (!confirm('Are you sure you want to delete this site?')) return;
+// Audit trail. Admins restricted to some sites only see entries for those
+// sites; account and webhook changes belong to no site.
+app.use('/api/audit', auth.requireRole('admin'));
 
-          try {
-            await fetch('/api/sites/' + id, { method: 'DELETE' });
-            loadSites();
-          } catch (error) {
-            console.error('Error deleting site:', error);
-            alert('Failed to delete site');
-          }
-        }
+function parseAuditQuery(query, siteIds) {
+  const options = {
+    actor: query.actor,
+    actorType: query.actorType,
+    action: query.action,
+    entityType: query.entityType,
+    entityId: query.entityId,
+    siteId: query.siteId,
+    siteIds
+  };
+  for (const name of ['from', 'to']) {
+    if (query[name]) {
+      const date = new Date(query[name]);
+      if (isNaN(date.getTime())) {
+        return { error: `${name} must be a valid date` };
+      }
+      options[name] = date.toISOString();
+    }
+  }
+  return { options };
+}
 
-        // Add site loading to initialization
-        function initializeRealtime() {
-          // Update clock every second
-          setInterval(updateClock, 1000);
-          
-          // Load sites immediately and refresh every 30 seconds
-          loadSites();
-          setInterval(loadSites, 30000);
-
-          // Fetch new events every 5 seconds
-          setInterval(() => {
-            fetch(window.location.href)
-              .then(response => response.text())
-              .then(html => {
-                const parser = new DOMParser();
-                const newDoc = parser.parseFromString(html, 'text/html');
-                const currentGrid = document.querySelector('.camera-grid');
-                const newGrid = newDoc.querySelector('.camera-grid');
-                if (newGrid) {
-                  currentGrid.innerHTML = newGrid.innerHTML;
-                }
-              });
-          }, 5000);
-        }
-      </script>
-    </head>
-    <body onload="initializeRealtime()">
-      <div class="header">
-        <h1>Vehicle Detection Events & Site Management</h1>
-        <div id="clock" class="clock"></div>
-        <div class="site-management">
-          <h2>Site Management</h2>
-          <div class="site-form">
-            <input type="text" id="siteName" placeholder="Site Name" required>
-            <input type="text" id="siteDescription" placeholder="Site Description">
-            <button onclick="createSite()">Add Site</button>
-          </div>
-          <div id="siteList" class="site-list"></div>
-          <div class="camera-management">
-            <h3>Camera Management</h3>
-            <div class="camera-form">
-              <input type="text" id="cameraChannelID" placeholder="Channel ID" required>
-              <input type="text" id="cameraMacAddress" placeholder="MAC Address">
-              <input type="text" id="cameraName" placeholder="Camera Name">
-              <input type="text" id="cameraDescription" placeholder="Camera Description">
-              <select id="cameraSiteId" required>
-                <option value="">Select Site</option>
-              </select>
-              <button onclick="addCamera()">Add Camera</button>
-            </div>
-            <div id="cameraList" class="camera-list"></div>
-          </div>
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
-  
-  res.send(html);
-  } catch (error) {
-    console.error('Error rendering dashboard:', error);
-    res.status(500).send('Internal Server Error');
+app.get('/api/audit', async (req, res) => {
+  try {
+    const { options, error } = parseAuditQuery(req.query, req.user.siteIds);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const limit = Math.min(Number(req.query.limit) || 50, MAX_PAGE_SIZE);
+    const offset = Number(req.query.offset) || 0;
+    const [rows, total] = await Promise.all([
+      db.getAuditEntries({ ...options, limit, offset }),
+      db.countAuditEntries(options)
+    ]);
+    res.json({ entries: rows.map(audit.format), paging: { limit, offset, total } });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Configure multer for handling file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+// Streams every matching entry, oldest first; takes the same filters as
+// GET /api/audit
+app.get('/api/audit/export', async (req, res) => {
+  try {
+    const type = req.query.format || 'csv';
+    if (!dataExport.FORMATS.includes(type)) {
+      return res.status(400).json({ error: `format must be one of: ${dataExport.FORMATS.join(', ')}` });
     }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // Get license plate from query params for filename
-    const licensePlate = req.query.licensePlate || 'unknown';
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const fileExt = path.extname(file.originalname);
-    // Create filename with license plate and timestamp
-    const filename = `${licensePlate}_${timestamp}${fileExt}`;
-    cb(null, filename);
+    const { options, error } = parseAuditQuery(req.query, req.user.siteIds);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await audit.record(req, 'audit.export', { details: { format: type, query: req.query } });
+    res.setHeader('Content-Type', dataExport.CONTENT_TYPES[type]);
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log.${type}"`);
+    await audit.exportEntries(res, options, type);
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+// Data subject requests. They search every site, so only admins with
+// access to all sites handle them.
+app.use('/api/privacy', auth.requireRole('admin', { allSites: true }));
+
+function parseSubjectQuery(source) {
+  const plate = source.plate ? String(source.plate).trim() : '';
+  if (!normalizePlate(plate)) {
+    return { error: 'plate is required' };
+  }
+  if (source.plates !== undefined && !Array.isArray(source.plates)) {
+    return { error: 'plates must be an array of plate spellings' };
+  }
+  return {
+    plate,
+    options: {
+      fuzzy: source.fuzzy === undefined ? true : source.fuzzy !== false && source.fuzzy !== 'false',
+      plates: source.plates || null
+    }
+  };
+}
+
+// What is held for a plate, to review before exporting or erasing
+app.get('/api/privacy/subjects', async (req, res) => {
+  try {
+    const { plate, options, error } = parseSubjectQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const summary = privacy.summarize(await privacy.findSubject(plate, options));
+    await audit.record(req, 'privacy.lookup', { entityType: 'plate', entityId: normalizePlate(plate), details: summary });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error looking up data subject:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Subject access bundle: a ZIP of every read, picture and derived record
+app.get('/api/privacy/export', async (req, res) => {
+  try {
+    const { plate, options, error } = parseSubjectQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const subject = await privacy.findSubject(plate, options);
+    if (!subject.plates.length) {
+      return res.status(404).json({ error: 'No records held for that plate' });
+    }
+    await audit.record(req, 'privacy.export', {
+      entityType: 'plate',
+      entityId: normalizePlate(plate),
+      details: privacy.summarize(subject)
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="subject-access-${normalizePlate(plate)}-${date}.zip"`);
+    await privacy.writeExport(res, subject, req.user.name);
+  } catch (error) {
+    console.error('Error exporting data subject records:', error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+// Right to erasure. Reads flagged as evidence are only erased when
+// include_evidence is set, since they may be under a legal hold.
+app.post('/api/privacy/erase', async (req, res) => {
+  try {
+    const { plate, options, error } = parseSubjectQuery(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { mode = 'delete', include_evidence = false } = req.body;
+    if (!privacy.ERASE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${privacy.ERASE_MODES.join(', ')}` });
+    }
+    const subject = await privacy.findSubject(plate, options);
+    if (!subject.plates.length) {
+      return res.status(404).json({ error: 'No records held for that plate' });
+    }
+    const evidence = subject.records.events.filter(event => event.evidence).length;
+    if (evidence && !include_evidence) {
+      return res.status(409).json({
+        error: `${evidence} read(s) are flagged as evidence; set include_evidence to erase them too`
+      });
+    }
+    const result = await privacy.erase(subject, mode);
+    await audit.record(req, 'privacy.erase', { entityType: 'plate', entityId: normalizePlate(plate), details: result });
+    res.json(result);
+  } catch (error) {
+    console.error('Error erasing data subject records:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// The dashboard is a static page that builds itself from the JSON API.
+// Its scripts and styles hold no data, so only the page needs a session.
+app.get('/', auth.authenticatePage, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Vehicle history page; the plate comes from the path and the data from
+// /api/vehicles/:plate
+app.get('/vehicles/:plate?', auth.authenticatePage, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'vehicle.html'));
+});
+
+// Configure multer for handling file uploads
+const memoryStorage = multer.memoryStorage();
+
+// Every part is buffered in memory. EventNotificationAlert parts (XML or
+// JSON) are parsed straight away; pictures are written to the image store by
+// the handler once the plate is known.
+const storage = {
+  _handleFile(req, file, cb) {
+    memoryStorage._handleFile(req, file, (err, info) => {
+      if (!err && isapi.isAlertPart(file) && !req.hikEvent) {
+        const alert = isapi.parseEventAlert(info.buffer);
+        if (alert) {
+          req.hikEvent = isapi.alertToEvent(alert);
+        }
+      }
+      cb(err, info);
+    });
+  },
+  _removeFile(req, file, cb) {
+    memoryStorage._removeFile(req, file, cb);
+  }
+};
+
+function safeFilenamePart(value) {
+  return String(value).replace(/[^A-Za-z0-9-]/g, '_');
+}
+
+// Names a picture after the plate, time and picture type, then writes it to
+// the image store
+async function storeUpload(file, licensePlate, timestamp) {
+  if (!file) {
+    return;
+  }
+  const fileExt = path.extname(file.originalname) || '.jpg';
+  const picture = safeFilenamePart(path.basename(file.fieldname, path.extname(file.fieldname)));
+  file.filename = `${safeFilenamePart(licensePlate)}_${timestamp}_${picture}${fileExt}`;
+  await imageStore.put(file.filename, file.buffer, file.mimetype);
+}
+
 const upload = multer({
   storage: storage,
   fileFilter: function (req, file, cb) {
-    // Accept only jpeg images
-    if (file.mimetype !== 'image/jpeg') {
+    // Accept jpeg images and the camera's event notification document
+    if (file.mimetype !== 'image/jpeg' && !isapi.isAlertPart(file)) {
       return cb(new Error('Only JPEG images are allowed'));
     }
     cb(null, true);
   },
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB max file size
+    fileSize: 10 * 1024 * 1024, // 10MB max file size
+    files: 10
   }
 });
 
-// Handle vehicle detection events for both root and /hik paths
-app.post(['/', '/hik'], upload.fields([
-  { name: 'licensePlatePicture.jpg', maxCount: 1 },
-  { name: 'vehiclePicture.jpg', maxCount: 1 },
-  { name: 'detectionPicture.jpg', maxCount: 1 }
-]), async (req, res) => {
+// Finds the EventNotificationAlert in whichever form the camera sent it: a
+// multipart file part (already parsed by the storage engine), a multipart
+// text field, or the raw XML/JSON request body
+function readAlertEvent(req) {
+  if (req.hikEvent) {
+    return req.hikEvent;
+  }
+
+  let alert = null;
+  if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+    alert = isapi.parseEventAlert(req.body);
+  } else if (req.body && typeof req.body === 'object') {
+    alert = isapi.parseEventAlert(req.body);
+    for (const value of Object.values(req.body)) {
+      if (alert) break;
+      if (typeof value === 'string') {
+        alert = isapi.parseEventAlert(value);
+      }
+    }
+  }
+
+  return alert ? isapi.alertToEvent(alert) : {};
+}
+
+// Matches uploaded pictures to the licensePlate/vehicle/detection slots,
+// using the alert's picture list when the part names are non-standard
+function pictureFiles(files, pictures = {}) {
+  const images = (files || []).filter(file => !isapi.isAlertPart(file));
+  const find = (slot, type) => images.find(file =>
+    file.fieldname === pictures[slot] ||
+    file.originalname === pictures[slot] ||
+    file.fieldname.startsWith(type)
+  );
+
+  return Object.fromEntries(
+    Object.entries(isapi.PICTURE_SLOTS).map(([type, slot]) => [slot, find(slot, type)])
+  );
+}
+
+// Some firmware posts the alert document as the whole request body
+const alertBody = express.text({ type: ['application/xml', 'text/xml'], limit: '1mb' });
+
+// Handle vehicle detection events for both root and /hik paths. Cameras
+// given a token post to /hik/<token>.
+app.post(['/', '/hik', '/hik/:token'], auth.authenticateCamera, alertBody, upload.any(), async (req, res) => {
   try {
-    // Extract query parameters
-    const {
-      channelID,
-      dateTime,
-      eventType,
-      country,
-      licensePlate,
-      lane,
-      direction,
-      confidenceLevel,
-      macAddress
-    } = req.query;
+    const receivedAt = new Date().toISOString();
+    const alertEvent = readAlertEvent(req);
+
+    // Query parameters take precedence over values parsed from the body
+    const pick = (name) => req.query[name] || alertEvent[name];
+    const channelID = pick('channelID');
+    const dateTime = pick('dateTime');
+    const eventType = pick('eventType');
+    const licensePlate = pick('licensePlate');
+
+    if (req.camera && channelID && !auth.cameraMatches(req.camera, channelID, pick('macAddress'))) {
+      return res.status(403).json({ error: 'These credentials belong to a different camera' });
+    }
+
+    // Heartbeats only update camera health; they are not detections
+    if (channelID && isapi.isHeartbeat(eventType)) {
+      const camera = await health.recordHeartbeat({
+        channelID,
+        macAddress: pick('macAddress'),
+        eventType,
+        eventState: pick('eventState')
+      });
+      return res.status(200).json({
+        status: 'success',
+        message: 'Heartbeat recorded',
+        camera_id: camera.id
+      });
+    }
 
     // Validate required parameters
     if (!channelID || !dateTime || !eventType || !licensePlate) {
@@ -587,37 +2672,109 @@ app.post(['/', '/hik'], upload.fields([
     }
 
     // Get the uploaded files from all possible fields
-    const uploadedFiles = {
-      licensePlate: req.files?.['licensePlatePicture.jpg']?.[0],
-      vehicle: req.files?.['vehiclePicture.jpg']?.[0],
-      detection: req.files?.['detectionPicture.jpg']?.[0]
-    };
-
-    // Use the first available image file
-    const uploadedFile = uploadedFiles.licensePlate || uploadedFiles.vehicle || uploadedFiles.detection;
+    const uploadedFiles = pictureFiles(req.files, alertEvent.pictures);
 
     // Create event object with all data
     const event = {
       channelID,
       dateTime,
       eventType,
-      country,
+      country: pick('country'),
       licensePlate,
-      lane,
-      direction,
-      confidenceLevel,
-      macAddress,
-      imageFile: uploadedFile ? uploadedFile.filename : null,
+      lane: pick('lane'),
+      direction: pick('direction'),
+      confidenceLevel: pick('confidenceLevel'),
+      macAddress: pick('macAddress'),
+      plateColor: pick('plateColor'),
+      region: pick('region'),
+      vehicleColor: pick('vehicleColor'),
+      vehicleMake: pick('vehicleMake'),
+      vehicleType: pick('vehicleType'),
+      receivedAt,
+      sourceIp: req.ip
+    };
+
+    // The plate is kept as read and normalised for lookups. Reads that don't
+    // fit their country's plate formats, or fall below the camera's
+    // confidence threshold, are stored but held for review.
+    Object.assign(event, describePlate(licensePlate, event.country));
+
+    const camera = await db.recordCameraRead(channelID, event.macAddress);
+    event.reviewReason = review.holdReason(event, camera);
+    const actor = { type: 'camera', id: camera.id, name: camera.name || `channel ${channelID}` };
+
+    // A repeat of a read this camera just sent is merged into it, and a read
+    // at a gate joins the passage another of its cameras started. Pictures
+    // are stored only once it is clear they will be kept.
+    const outcome = await passages.serialize(camera, async () => {
+      const duplicate = await passages.findDuplicate(camera, event);
+      if (duplicate && !passages.isBetterRead(event, duplicate)) {
+        await passages.mergeDuplicate(duplicate, event);
+        return { duplicate, replaced: false };
+      }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      await Promise.all(Object.values(uploadedFiles).map(file => storeUpload(file, licensePlate, timestamp)));
+
+      // Use the first available image file
+      const uploadedFile = uploadedFiles.licensePlate || uploadedFiles.vehicle || uploadedFiles.detection;
+      event.imageFile = uploadedFile ? uploadedFile.filename : null;
       // Store all image files if available
-      images: {
+      event.images = {
         licensePlate: uploadedFiles.licensePlate?.filename || null,
         vehicle: uploadedFiles.vehicle?.filename || null,
         detection: uploadedFiles.detection?.filename || null
+      };
+      const images = Object.entries(uploadedFiles)
+        .filter(([, file]) => file)
+        .map(([kind, file]) => evidence.describeUpload(kind, file, receivedAt));
+
+      if (duplicate) {
+        await passages.mergeDuplicate(duplicate, event, images);
+        return { duplicate, replaced: true };
       }
-    };
 
-    // Save event to database
-    await db.insertEvent(event);
+      // Save event to database with the hash of every picture as received
+      const passage = await passages.findPassage(camera, event);
+      const eventId = await db.insertEvent({ ...event, camera, passageId: passage?.id });
+      await db.addEventImages(eventId, images);
+      const stored = await db.getEventById(eventId);
+      stored.passage_id = await passages.recordPassage(stored, passage, camera);
+      return { stored };
+    });
+
+    if (outcome.stored || outcome.replaced) {
+      setImmediate(thumbnails.processQueue);
+    }
+
+    if (outcome.duplicate) {
+      if (outcome.replaced) {
+        await pipeline.processMergedRead(outcome.duplicate, await db.getEventById(outcome.duplicate.id));
+      }
+      await audit.record(req, 'event.duplicate', {
+        entityId: outcome.duplicate.id,
+        siteId: outcome.duplicate.site_id,
+        details: { eventType, pictures_replaced: outcome.replaced },
+        actor
+      });
+      return res.status(200).json({
+        status: 'success',
+        message: 'Duplicate read merged into an earlier event',
+        event_id: outcome.duplicate.id,
+        duplicate: true,
+        pictures_replaced: outcome.replaced
+      });
+    }
+
+    // Notify live subscribers
+    const storedEvent = outcome.stored;
+    await pipeline.processEvent(storedEvent);
+    await audit.record(req, 'event.create', {
+      entityId: storedEvent.id,
+      siteId: storedEvent.site_id,
+      details: { eventType },
+      actor
+    });
 
     // Log the event
     console.log('Received vehicle detection event:', event);
@@ -647,9 +2804,120 @@ app.use((err, req, res, next) => {
 });
 
 // Start the server
-const PORT = 9001;
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`View the dashboard at http://localhost:${PORT}`);
-  console.log(`Waiting for vehicle detection events...`);
-});
\ No newline at end of file
+const PORT = config.port;
+const server = http.createServer(app);
+
+// Nothing is accepted until the schema and its migrations are in place and
+// the first admin account exists
+db.ready.then(() => auth.init()).then(() => {
+  server.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+    console.log(`View the dashboard at http://localhost:${PORT}`);
+    console.log(`Waiting for vehicle detection events...`);
+  });
+
+  // Deliver stored events to webhook subscribers and the MQTT broker
+  webhooks.start();
+  mqttPublisher.start();
+
+  // Expire visits whose exit was never read and check stays against permits
+  visits.start();
+  permits.start();
+
+  // Mark cameras offline when they stop reporting
+  health.start();
+
+  // Apply retention policies and the storage quota to the image store
+  retention.start();
+
+  // Run queued spreadsheet exports and remove expired ones
+  dataExport.start();
+
+  // Fold new reads into the traffic analytics rollups
+  analytics.start();
+
+  // Make thumbnails of new pictures, and of any left from before a restart
+  thumbnails.start();
+}).catch((error) => {
+  console.error('Error initializing database:', error);
+  process.exit(1);
+});
+
+// Live event stream over WebSocket. Clients pass the same filters as the SSE
+// endpoint in the query string and can replace them later by sending
+// {"type": "subscribe", "filter": {...}}. They authenticate like API
+// requests, with the session cookie or an API key header.
+const wss = new WebSocketServer({ noServer: true });
+
+server.on('upgrade', async (req, socket, head) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== '/api/events/ws') {
+    return socket.destroy();
+  }
+  try {
+    req.user = await auth.identify(req);
+  } catch (error) {
+    console.error('Error authenticating WebSocket client:', error);
+  }
+  if (!req.user) {
+    socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+    return socket.destroy();
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    wss.emit('connection', ws, req, Object.fromEntries(url.searchParams));
+  });
+});
+
+wss.on('connection', (ws, req, params) => {
+  let filter = bus.createFilter(params, req.user.siteIds);
+  ws.isAlive = true;
+
+  const write = orderedWriter();
+  const subscriptions = [
+    bus.subscribe('detection', null, (event) => {
+      if (bus.matches(event, filter)) {
+        write(async () => {
+          const message = JSON.stringify({ type: 'detection', event: await formatEvent(req, event) });
+          if (ws.readyState === ws.OPEN) ws.send(message);
+        });
+      }
+    }),
+    bus.subscribe('alert', null, (alert) => {
+      if (bus.matches(alert, filter)) {
+        write(async () => {
+          const message = JSON.stringify({ type: 'alert', alert: await formatEvent(req, alert) });
+          if (ws.readyState === ws.OPEN) ws.send(message);
+        });
+      }
+    })
+  ];
+
+  ws.on('message', (data) => {
+    try {
+      const message = JSON.parse(data);
+      if (message.type === 'subscribe') {
+        filter = bus.createFilter(message.filter, req.user.siteIds);
+        ws.send(JSON.stringify({ type: 'subscribed', filter: message.filter || {} }));
+      }
+    } catch (error) {
+      ws.send(JSON.stringify({ type: 'error', error: 'Invalid message' }));
+    }
+  });
+
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+  ws.on('close', () => subscriptions.forEach(unsubscribe => unsubscribe()));
+});
+
+// Drop WebSocket clients that stop answering pings
+const wsHeartbeat = setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (!ws.isAlive) {
+      return ws.terminate();
+    }
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, 30000);
+wss.on('close', () => clearInterval(wsHeartbeat));
\ No newline at end of file
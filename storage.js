@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const config = require('./config');
+
+// Where uploaded pictures live. Keys are the filenames stored on events, so
+// moving between drivers needs no database changes.
+//   local  files under uploads/ (or STORAGE_LOCAL_DIR), served at /uploads
+//   s3     any S3-compatible bucket (AWS, MinIO, ...), handed out as signed
+//          URLs so several servers can share one image store
+
+const DRIVERS = ['local', 's3'];
+
+// Keys are always plain filenames
+function safeKey(key) {
+  return path.basename(String(key));
+}
+
+class LocalStorage {
+  constructor(settings) {
+    this.driver = 'local';
+    this.dir = settings.dir;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, safeKey(key));
+  }
+
+  async put(key, data) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.filePath(key), data);
+  }
+
+  // Returns a Buffer, or null when there is no such file
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.filePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async stat(key) {
+    try {
+      const stat = await fs.promises.stat(this.filePath(key));
+      return { size: stat.size, modified: stat.mtimeMs };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Returns the bytes freed; missing files count as zero
+  async remove(key) {
+    const stat = await this.stat(key);
+    if (!stat) return 0;
+    try {
+      await fs.promises.unlink(this.filePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return stat.size;
+  }
+
+  async *list() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+      const stat = await this.stat(entry.name);
+      // Removed while listing
+      if (stat) {
+        yield { key: entry.name, ...stat };
+      }
+    }
+  }
+
+  async url(key, base) {
+    return `${base}/uploads/${encodeURIComponent(safeKey(key))}`;
+  }
+
+  // Capacity of the volume holding the images
+  async disk() {
+    try {
+      const stat = await fs.promises.statfs(this.dir);
+      return { total_bytes: stat.blocks * stat.bsize, free_bytes: stat.bavail * stat.bsize };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // `cache` takes sendFile's maxAge and immutable options
+  send(res, key, cache = {}) {
+    res.sendFile(this.filePath(key), { maxAge: '1d', ...cache }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.statusCode === 404 || error.code === 'ENOENT' ? 404 : 500).end();
+      }
+    });
+  }
+}
+
+function isNotFound(error) {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+}
+
+class S3Storage {
+  constructor(settings) {
+    if (!settings.bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+    this.driver = 's3';
+    this.bucket = settings.bucket;
+    this.prefix = settings.prefix;
+    this.urlExpirySeconds = settings.urlExpirySeconds;
+    this.client = new S3Client({
+      region: settings.region,
+      endpoint: settings.endpoint,
+      forcePathStyle: settings.forcePathStyle,
+      credentials: settings.accessKeyId
+        ? { accessKeyId: settings.accessKeyId, secretAccessKey: settings.secretAccessKey }
+        : undefined
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix + safeKey(key);
+  }
+
+  async put(key, data, contentType = 'image/jpeg') {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: data,
+      ContentType: contentType
+    }));
+  }
+
+  async get(key) {
+    try {
+      const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return Buffer.from(await object.Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async stat(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return { size: head.ContentLength, modified: head.LastModified ? head.LastModified.getTime() : null };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    const stat = await this.stat(key);
+    if (!stat) return 0;
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+    return stat.size;
+  }
+
+  async *list() {
+    let token;
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix || undefined,
+        ContinuationToken: token
+      }));
+      for (const object of page.Contents || []) {
+        const key = object.Key.slice(this.prefix.length);
+        // Objects in "subdirectories" of the prefix are not ours
+        if (!key || key.includes('/')) continue;
+        yield { key, size: object.Size, modified: object.LastModified ? object.LastModified.getTime() : null };
+      }
+      token = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (token);
+  }
+
+  url(key) {
+    return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }), {
+      expiresIn: this.urlExpirySeconds
+    });
+  }
+
+  // Bucket capacity is not something S3 reports
+  async disk() {
+    return null;
+  }
+
+  // Links to /uploads keep working by redirecting to a fresh signed URL
+  async send(res, key) {
+    res.redirect(302, await this.url(key));
+  }
+}
+
+function createStorage(driver) {
+  switch (driver) {
+    case 'local':
+      return new LocalStorage(config.storage.local);
+    case 's3':
+      return new S3Storage(config.storage.s3);
+    default:
+      throw new Error(`Unknown storage driver "${driver}", expected one of: ${DRIVERS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  DRIVERS,
+  LocalStorage,
+  S3Storage,
+  createStorage,
+  // The store this server reads and writes, chosen by STORAGE_DRIVER
+  store: createStorage(config.storage.driver)
+};
@@ -0,0 +1,146 @@
+const { closeDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.INGEST_AUTH = 'required';
+process.env.INGEST_USERNAME = 'nvr';
+process.env.INGEST_PASSWORD = 'nvr-secret';
+process.env.ADMIN_PASSWORD = 'admin-secret';
+const db = require('../database');
+const auth = require('../auth');
+const config = require('../config');
+
+const md5 = value => crypto.createHash('md5').update(value).digest('hex');
+
+function request(headers = {}) {
+  return { method: 'POST', originalUrl: '/hik', params: {}, query: {}, headers };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// Runs the camera middleware and reports whether it let the request through
+async function authenticateCamera(req) {
+  const res = response();
+  let passed = false;
+  await auth.authenticateCamera(req, res, (error) => {
+    if (error) throw error;
+    passed = true;
+  });
+  return { passed, res };
+}
+
+async function challenge() {
+  const { res } = await authenticateCamera(request());
+  const digest = res.headers['www-authenticate'].find(value => value.startsWith('Digest'));
+  return /nonce="([^"]+)"/.exec(digest)[1];
+}
+
+function digestHeader({ username, password, nonce, uri = '/hik', method = 'POST' }) {
+  const ha1 = md5(`${username}:${config.ingest.realm}:${password}`);
+  const ha2 = md5(`${method}:${uri}`);
+  const response = md5(`${ha1}:${nonce}:00000001:abcdef:auth:${ha2}`);
+  return `Digest username="${username}", realm="${config.ingest.realm}", nonce="${nonce}", uri="${uri}", ` +
+    `qop=auth, nc=00000001, cnonce="abcdef", response="${response}", algorithm=MD5`;
+}
+
+test.before(async () => {
+  await db.ready;
+  await auth.init();
+});
+
+test.after(closeDatabase);
+
+test('challenges a camera without credentials for Digest and Basic', async () => {
+  const { passed, res } = await authenticateCamera(request());
+  assert.ok(!passed);
+  assert.strictEqual(res.statusCode, 401);
+  assert.match(res.headers['www-authenticate'][0], /^Digest realm="hik-camera-server", qop="auth", algorithm=MD5, nonce="[^"]+"$/);
+  assert.match(res.headers['www-authenticate'][1], /^Basic /);
+});
+
+test('accepts a Digest response for the shared ingest account', async () => {
+  const nonce = await challenge();
+  const req = request({ authorization: digestHeader({ username: 'nvr', password: 'nvr-secret', nonce }) });
+  const { passed } = await authenticateCamera(req);
+  assert.ok(passed);
+  assert.strictEqual(req.camera, null);
+});
+
+test('refuses a Digest response with the wrong password, URI or a forged nonce', async () => {
+  const nonce = await challenge();
+  for (const header of [
+    digestHeader({ username: 'nvr', password: 'wrong', nonce }),
+    digestHeader({ username: 'nvr', password: 'nvr-secret', nonce, uri: '/other' }),
+    digestHeader({ username: 'nvr', password: 'nvr-secret', nonce: `${Date.now().toString(36)}.forged` }),
+    digestHeader({ username: 'nobody', password: 'nvr-secret', nonce })
+  ]) {
+    const { passed, res } = await authenticateCamera(request({ authorization: header }));
+    assert.ok(!passed);
+    assert.doesNotMatch(res.headers['www-authenticate'][0], /stale=true/);
+  }
+});
+
+test('asks for a fresh nonce when the right password comes with an expired one', async (t) => {
+  const nonce = await challenge();
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + (config.ingest.nonceSeconds + 1) * 1000);
+  const { passed, res } = await authenticateCamera(request({
+    authorization: digestHeader({ username: 'nvr', password: 'nvr-secret', nonce })
+  }));
+  assert.ok(!passed);
+  assert.match(res.headers['www-authenticate'][0], /stale=true$/);
+});
+
+test('checks Basic credentials against the HA1 stored for a camera', async () => {
+  const cameraId = await db.addCamera({ channelID: '5', macAddress: '44:19:b6:00:00:05' });
+  await db.setCameraCredentials(cameraId, 'gate-cam', auth.cameraHa1('gate-cam', 'cam-secret'));
+  const basic = credentials => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+  const req = request({ authorization: basic('gate-cam:cam-secret') });
+  assert.ok((await authenticateCamera(req)).passed);
+  assert.strictEqual(req.camera.id, cameraId);
+  assert.ok(!(await authenticateCamera(request({ authorization: basic('gate-cam:wrong') }))).passed);
+
+  const nonce = await challenge();
+  const digest = request({ authorization: digestHeader({ username: 'gate-cam', password: 'cam-secret', nonce }) });
+  assert.ok((await authenticateCamera(digest)).passed);
+  assert.strictEqual(digest.camera.id, cameraId);
+});
+
+test('requireRole compares roles and can insist on access to every site', () => {
+  const run = (user, role, options) => {
+    const res = response();
+    let passed = false;
+    auth.requireRole(role, options)({ user }, res, () => { passed = true; });
+    return passed || res.statusCode;
+  };
+  const viewer = { role: 'viewer', siteIds: null };
+  const operator = { role: 'operator', siteIds: [1] };
+  const admin = { role: 'admin', siteIds: null };
+
+  assert.strictEqual(run(viewer, 'viewer'), true);
+  assert.strictEqual(run(viewer, 'operator'), 403);
+  assert.strictEqual(run(operator, 'operator'), true);
+  assert.strictEqual(run(operator, 'admin'), 403);
+  assert.strictEqual(run(admin, 'operator'), true);
+  assert.strictEqual(run(admin, 'admin', { allSites: true }), true);
+  assert.strictEqual(run({ role: 'admin', siteIds: [1] }, 'admin', { allSites: true }), 403);
+});
+
+test('canAccessSite limits callers to their sites and keeps site-less records from them', () => {
+  const limited = { role: 'viewer', siteIds: [1, 3] };
+  assert.ok(auth.canAccessSite(limited, 1));
+  assert.ok(auth.canAccessSite(limited, '3'));
+  assert.ok(!auth.canAccessSite(limited, 2));
+  assert.ok(!auth.canAccessSite(limited, null));
+  assert.ok(auth.canAccessSite({ role: 'viewer', siteIds: null }, null));
+});
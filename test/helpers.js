@@ -0,0 +1,23 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file gets a database of its own in the temp directory, so the
+// tests never touch events.db. This has to be required before anything that
+// loads the database.
+const databasePath = path.join(os.tmpdir(), `hik-camera-server-test-${process.pid}.db`);
+process.env.DATABASE_PATH = databasePath;
+
+async function closeDatabase() {
+  const db = require('../database');
+  await db.ready;
+  await db.close();
+  for (const suffix of ['', '-wal', '-shm', '-journal']) {
+    fs.rmSync(databasePath + suffix, { force: true });
+  }
+}
+
+module.exports = {
+  databasePath,
+  closeDatabase
+};
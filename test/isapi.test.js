@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const isapi = require('../isapi');
+
+const XML_ALERT = `<?xml version="1.0" encoding="UTF-8"?>
+<EventNotificationAlert version="2.0" xmlns="http://www.isapi.org/ver20/XMLSchema">
+  <ipAddress>192.168.1.64</ipAddress>
+  <macAddress>44:19:b6:aa:bb:cc</macAddress>
+  <channelID>1</channelID>
+  <dateTime>2026-10-19T10:00:00+01:00</dateTime>
+  <eventType>ANPR</eventType>
+  <eventState>active</eventState>
+  <ANPR>
+    <country>3</country>
+    <licensePlate>007ABC</licensePlate>
+    <line>2</line>
+    <direction>forward</direction>
+    <confidenceLevel>97</confidenceLevel>
+    <plateColor>white</plateColor>
+    <vehicleType>vehicle</vehicleType>
+    <vehicleInfo>
+      <color>blue</color>
+      <vehicleLogoRecog>Ford</vehicleLogoRecog>
+    </vehicleInfo>
+    <pictureInfoList>
+      <pictureInfo><fileName>licensePlatePicture.jpg</fileName><type>licensePlatePicture</type></pictureInfo>
+      <pictureInfo><fileName>detectionPicture.jpg</fileName><type>detectionPicture</type></pictureInfo>
+    </pictureInfoList>
+  </ANPR>
+</EventNotificationAlert>`;
+
+const JSON_ALERT = {
+  EventNotificationAlert: {
+    macAddress: '44-19-B6-AA-BB-CC',
+    channelID: 2,
+    dateTime: '2026-10-19T10:05:00Z',
+    eventType: 'ANPR',
+    ANPR: {
+      licensePlate: 'AB12 CDE',
+      laneNo: 1,
+      confidenceLevel: 88,
+      picInfo: [{ type: 'vehiclePicture', name: 'part-3' }]
+    }
+  }
+};
+
+test('parses an XML alert, keeping values as the camera sent them', () => {
+  const event = isapi.alertToEvent(isapi.parseEventAlert(XML_ALERT));
+  assert.deepStrictEqual(event, {
+    channelID: '1',
+    dateTime: '2026-10-19T10:00:00+01:00',
+    eventType: 'ANPR',
+    eventState: 'active',
+    country: '3',
+    licensePlate: '007ABC',
+    lane: '2',
+    direction: 'forward',
+    confidenceLevel: '97',
+    macAddress: '44:19:b6:aa:bb:cc',
+    plateColor: 'white',
+    region: undefined,
+    vehicleColor: 'blue',
+    vehicleMake: 'Ford',
+    vehicleType: 'vehicle',
+    pictures: { licensePlate: 'licensePlatePicture.jpg', detection: 'detectionPicture.jpg' }
+  });
+});
+
+test('parses a JSON alert given as text, a Buffer or an object', () => {
+  for (const payload of [JSON.stringify(JSON_ALERT), Buffer.from(JSON.stringify(JSON_ALERT)), JSON_ALERT]) {
+    const event = isapi.alertToEvent(isapi.parseEventAlert(payload));
+    assert.strictEqual(event.channelID, '2');
+    assert.strictEqual(event.licensePlate, 'AB12 CDE');
+    assert.strictEqual(event.lane, '1');
+    assert.strictEqual(event.confidenceLevel, '88');
+    assert.deepStrictEqual(event.pictures, { vehicle: 'part-3' });
+  }
+});
+
+test('reads the alert from a multipart file part', () => {
+  const part = {
+    fieldname: 'anpr.xml',
+    originalname: 'anpr.xml',
+    mimetype: 'application/xml; charset="UTF-8"',
+    buffer: Buffer.from('\uFEFF' + XML_ALERT)
+  };
+  assert.ok(isapi.isAlertPart(part));
+  assert.strictEqual(isapi.alertToEvent(isapi.parseEventAlert(part.buffer)).licensePlate, '007ABC');
+
+  assert.ok(isapi.isAlertPart({ fieldname: 'alert', originalname: 'event.json', mimetype: 'application/octet-stream' }));
+  assert.ok(!isapi.isAlertPart({ fieldname: 'vehiclePicture.jpg', originalname: 'vehiclePicture.jpg', mimetype: 'image/jpeg' }));
+});
+
+test('rejects payloads that are not alerts', () => {
+  assert.strictEqual(isapi.parseEventAlert(undefined), null);
+  assert.strictEqual(isapi.parseEventAlert('plain text'), null);
+  assert.strictEqual(isapi.parseEventAlert('{"hello": "world"}'), null);
+  assert.strictEqual(isapi.parseEventAlert('<Other><value>1</value></Other>'), null);
+});
+
+test('recognises heartbeats whatever their case', () => {
+  assert.ok(isapi.isHeartbeat('heartBeat'));
+  assert.ok(isapi.isHeartbeat('videoloss'));
+  assert.ok(!isapi.isHeartbeat('ANPR'));
+  assert.ok(!isapi.isHeartbeat(undefined));
+});
@@ -0,0 +1,123 @@
+const { closeDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const db = require('../database');
+const config = require('../config');
+const passages = require('../passages');
+
+let siteId;
+let gateId;
+
+function read(licensePlate, dateTime, extra = {}) {
+  return {
+    channelID: '1',
+    eventType: 'ANPR',
+    licensePlate,
+    dateTime,
+    receivedAt: dateTime,
+    confidenceLevel: '80',
+    ...extra
+  };
+}
+
+async function camera(fields) {
+  const id = await db.addCamera({ macAddress: `44:19:b6:00:01:${String(fields.channelID).padStart(2, '0')}`, site_id: siteId, ...fields });
+  return db.getCameraById(id);
+}
+
+async function store(cam, event) {
+  const id = await db.insertEvent({ ...event, channelID: cam.channelID, camera: cam });
+  return db.getEventById(id);
+}
+
+test.before(async () => {
+  await db.ready;
+  siteId = await db.createSite({ name: 'Depot' });
+  gateId = await db.createGate({ site_id: siteId, name: 'Main gate', window_seconds: 20 });
+});
+
+test.after(closeDatabase);
+
+test('findDuplicate matches a repeat read on the same camera within the window', async () => {
+  const cam = await camera({ channelID: '1', dedup_seconds: 10 });
+  const first = await store(cam, read('AB12CDE', '2026-03-01T08:00:00.000Z'));
+
+  const repeat = await passages.findDuplicate(cam, read('AB12CDE', '2026-03-01T08:00:05.000Z'));
+  assert.strictEqual(repeat.id, first.id);
+
+  // OCR confusions (O for 0, I for 1) are still the same plate
+  const misread = await passages.findDuplicate(cam, read('A8I2CDE', '2026-03-01T08:00:06.000Z'));
+  assert.strictEqual(misread.id, first.id);
+
+  assert.strictEqual(await passages.findDuplicate(cam, read('AB12CDE', '2026-03-01T08:00:30.000Z')), null);
+  assert.strictEqual(await passages.findDuplicate(cam, read('XY99ZZZ', '2026-03-01T08:00:02.000Z')), null);
+});
+
+test('findDuplicate leaves reads from other cameras alone', async () => {
+  const left = await camera({ channelID: '2', dedup_seconds: 10 });
+  const right = await camera({ channelID: '3', dedup_seconds: 10 });
+  await store(left, read('CD34EFG', '2026-03-01T09:00:00.000Z'));
+  assert.strictEqual(await passages.findDuplicate(right, read('CD34EFG', '2026-03-01T09:00:01.000Z')), null);
+});
+
+test('findDuplicate is off for a window of 0 and falls back to the configured one', async () => {
+  const off = await camera({ channelID: '4', dedup_seconds: 0 });
+  await store(off, read('EF56GHI', '2026-03-01T10:00:00.000Z'));
+  assert.strictEqual(await passages.findDuplicate(off, read('EF56GHI', '2026-03-01T10:00:01.000Z')), null);
+
+  const inherits = await camera({ channelID: '5' });
+  const first = await store(inherits, read('GH78IJK', '2026-03-01T11:00:00.000Z'));
+  const saved = config.passages.dedupSeconds;
+  config.passages.dedupSeconds = 30;
+  try {
+    const repeat = await passages.findDuplicate(inherits, read('GH78IJK', '2026-03-01T11:00:20.000Z'));
+    assert.strictEqual(repeat.id, first.id);
+  } finally {
+    config.passages.dedupSeconds = saved;
+  }
+});
+
+test('isBetterRead prefers more confident reads but never touches evidence', () => {
+  assert.ok(passages.isBetterRead({ confidenceLevel: '90' }, { confidenceLevel: '80' }));
+  assert.ok(!passages.isBetterRead({ confidenceLevel: '80' }, { confidenceLevel: '80' }));
+  assert.ok(!passages.isBetterRead({ confidenceLevel: '70' }, { confidenceLevel: '80' }));
+  assert.ok(passages.isBetterRead({ confidenceLevel: '10' }, { confidenceLevel: null }));
+  assert.ok(!passages.isBetterRead({ confidenceLevel: null }, { confidenceLevel: '10' }));
+  assert.ok(!passages.isBetterRead({ confidenceLevel: '99' }, { confidenceLevel: '80', evidence: 1 }));
+});
+
+test('reads from the cameras of a gate are grouped into one passage', async () => {
+  const front = await camera({ channelID: '6', gate_id: gateId });
+  const rear = await camera({ channelID: '7', gate_id: gateId });
+
+  const first = read('JK90LMN', '2026-03-01T12:00:00.000Z', { confidenceLevel: '70' });
+  assert.ok(!(await passages.findPassage(front, first)));
+  const firstEvent = await store(front, first);
+  const passageId = await passages.recordPassage(firstEvent, null, front);
+  assert.ok(passageId);
+
+  const second = read('JK9OLMN', '2026-03-01T12:00:08.000Z', { confidenceLevel: '95' });
+  const passage = await passages.findPassage(rear, second);
+  assert.strictEqual(passage.id, passageId);
+  const secondEvent = await store(rear, second);
+  assert.strictEqual(await passages.recordPassage(secondEvent, passage, rear), passageId);
+
+  const stored = await db.getPassageById(passageId);
+  assert.strictEqual(stored.event_count, 2);
+  assert.strictEqual(stored.first_event_id, firstEvent.id);
+  assert.strictEqual(stored.best_event_id, secondEvent.id);
+  assert.strictEqual(stored.licensePlate, 'JK9OLMN');
+  assert.ok(!(await passages.isMergedRead({ ...firstEvent, passage_id: passageId })));
+  assert.ok(await passages.isMergedRead({ ...secondEvent, passage_id: passageId }));
+
+  // Outside the gate's window the plate starts a new passage
+  assert.ok(!(await passages.findPassage(rear, read('JK90LMN', '2026-03-01T12:01:00.000Z'))));
+});
+
+test('cameras outside a gate record no passage', async () => {
+  const lone = await camera({ channelID: '8' });
+  const event = await store(lone, read('LM12NOP', '2026-03-01T13:00:00.000Z'));
+  assert.strictEqual(await passages.findPassage(lone, event), null);
+  assert.strictEqual(await passages.recordPassage(event, null, lone), null);
+});
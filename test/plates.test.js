@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.HIK_COUNTRY_MAP = '3=GB, 39=ie';
+process.env.PLATE_DEFAULT_COUNTRY = '';
+const config = require('../config');
+const plates = require('../plates');
+
+test('normalises plates to uppercase letters and digits', () => {
+  assert.strictEqual(plates.normalizePlate(' ab12 cde '), 'AB12CDE');
+  assert.strictEqual(plates.normalizePlate('191-D-12345'), '191D12345');
+  assert.strictEqual(plates.normalizePlate(null), '');
+  assert.strictEqual(plates.canonicalPlate('AB12 CDE'), plates.canonicalPlate('A812CDE'));
+});
+
+test('maps country numbers through HIK_COUNTRY_MAP and accepts ISO codes and aliases', () => {
+  assert.deepStrictEqual(plates.HIK_COUNTRIES, { 3: 'GB', 39: 'IE' });
+  assert.strictEqual(plates.countryIso('3'), 'GB');
+  assert.strictEqual(plates.countryIso(39), 'IE');
+  assert.strictEqual(plates.countryIso('17'), null);
+  assert.strictEqual(plates.countryIso('0'), null);
+  assert.strictEqual(plates.countryIso('uk'), 'GB');
+  assert.strictEqual(plates.countryIso('fr'), 'FR');
+  assert.strictEqual(plates.countryIso('Atlantis'), null);
+});
+
+test('ignores malformed HIK_COUNTRY_MAP entries', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.deepStrictEqual(plates.parseCountryMap('1=CZ,oops,2=FRA, 17 = gb'), { 1: 'CZ', 17: 'GB' });
+});
+
+const CASES = {
+  GB: { valid: ['AB12CDE', 'A123BCD', 'ABC123D', 'ABC1234', '1234AB'], invalid: ['AB12CD5', '12345678'] },
+  IE: { valid: ['191D12345', '12KY123'], invalid: ['191X12345', 'AB12CDE'] },
+  FR: { valid: ['AB123CD', '1234AB75', '12AB2A'], invalid: ['AB12CD'] },
+  DE: { valid: ['BAB1234', 'MXY123E'], invalid: ['1234AB'] },
+  ES: { valid: ['1234BCD', 'M1234AB'], invalid: ['1234AEI'] },
+  NL: { valid: ['AB1234', '12ABC3', '1ABC23'], invalid: ['ABC123'] },
+  BE: { valid: ['1ABC123', 'ABC123'], invalid: ['12AB123'] }
+};
+
+for (const [country, { valid, invalid }] of Object.entries(CASES)) {
+  test(`checks ${country} plate formats`, () => {
+    for (const plate of valid) assert.ok(plates.validatePlate(plate, country), `${plate} should be valid`);
+    for (const plate of invalid) assert.ok(!plates.validatePlate(plate, country), `${plate} should be invalid`);
+  });
+}
+
+test('countries without formats of their own get the generic check', () => {
+  assert.ok(plates.validatePlate('X9', 'SE'));
+  assert.ok(!plates.validatePlate('X', 'SE'));
+  assert.ok(!plates.validatePlate('ABCDEFGHIJK', 'SE'));
+});
+
+test('reads without a known country use the default country, or any known format', () => {
+  assert.ok(plates.describePlate('AB12CD5', '17').plateValid);
+  assert.ok(!plates.describePlate('XX', '17').plateValid);
+
+  config.plates.defaultCountry = 'GB';
+  try {
+    assert.deepStrictEqual(plates.describePlate('ab12 cd5', '17'), { plateNormalized: 'AB12CD5', countryIso: null, plateValid: false });
+    assert.deepStrictEqual(plates.describePlate('AB12CDE', ''), { plateNormalized: 'AB12CDE', countryIso: null, plateValid: true });
+    assert.deepStrictEqual(plates.describePlate('191D12345', '39'), { plateNormalized: '191D12345', countryIso: 'IE', plateValid: true });
+  } finally {
+    config.plates.defaultCountry = null;
+  }
+});
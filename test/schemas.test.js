@@ -0,0 +1,89 @@
+const { closeDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+// schemas.js takes its direction modes from visits.js, which loads the database
+const { SITE, CAMERA, parse, editable } = require('../schemas');
+
+test.after(closeDatabase);
+
+test('create needs the required fields and fills in defaults', () => {
+  const { values } = parse(CAMERA, { channelID: ' 1 ', macAddress: '44-19-B6-00-00-01', site_id: '2' }, 'create');
+  assert.deepStrictEqual(values, {
+    channelID: '1',
+    macAddress: '44-19-B6-00-00-01',
+    name: null,
+    description: null,
+    site_id: 2,
+    gate_id: null,
+    direction_mode: 'auto',
+    entry_direction: 'forward',
+    exit_direction: 'reverse',
+    expected_interval_seconds: null,
+    dedup_seconds: null,
+    review_threshold: null
+  });
+
+  assert.deepStrictEqual(parse(CAMERA, { macAddress: 'nope', site_id: 0, dedup_seconds: -1 }, 'create'), {
+    errors: {
+      channelID: 'channelID is required',
+      macAddress: 'macAddress must be a MAC address such as 44:19:b6:00:00:00',
+      site_id: 'site_id must be a whole number of at least 1',
+      dedup_seconds: 'dedup_seconds must be a non-negative whole number'
+    }
+  });
+});
+
+test('create keeps 0 where 0 is allowed and reports values out of range', () => {
+  const { values } = parse(CAMERA, { channelID: 1, site_id: 1, dedup_seconds: 0, review_threshold: '0' }, 'create');
+  assert.strictEqual(values.channelID, '1');
+  assert.strictEqual(values.dedup_seconds, 0);
+  assert.strictEqual(values.review_threshold, 0);
+
+  const { errors } = parse(CAMERA, { channelID: '1', site_id: 1, review_threshold: 101, direction_mode: 'sideways' }, 'create');
+  assert.strictEqual(errors.review_threshold, 'review_threshold must be a number between 0 and 100');
+  assert.match(errors.direction_mode, /^direction_mode must be one of: /);
+});
+
+test('replace ignores fields that are only set at creation', () => {
+  const { values } = parse(CAMERA, { channelID: '9', macAddress: 'nope', site_id: 3, name: 'Gate' }, 'replace');
+  assert.ok(!('channelID' in values));
+  assert.ok(!('macAddress' in values));
+  assert.strictEqual(values.site_id, 3);
+  assert.strictEqual(values.name, 'Gate');
+  assert.strictEqual(values.direction_mode, 'auto');
+
+  assert.deepStrictEqual(parse(SITE, { description: 'No name' }, 'replace'), {
+    errors: { name: 'name is required' }
+  });
+});
+
+test('replace checks site positions, time zones and text lengths', () => {
+  assert.deepStrictEqual(parse(SITE, { name: 'Depot', latitude: '51.5' }, 'replace'), {
+    errors: { longitude: 'longitude is required when a position is given' }
+  });
+  const { errors } = parse(SITE, { name: 'x'.repeat(101), timezone: 'Mars/Olympus', capacity: 1.5 }, 'replace');
+  assert.deepStrictEqual(errors, {
+    name: 'name must be at most 100 characters',
+    timezone: 'timezone must be an IANA time zone such as Europe/London',
+    capacity: 'capacity must be a non-negative whole number'
+  });
+
+  const { values } = parse(SITE, { name: 'Depot', latitude: 51.5, longitude: '-0.12', timezone: 'Europe/London' }, 'replace');
+  assert.strictEqual(values.latitude, 51.5);
+  assert.strictEqual(values.longitude, -0.12);
+  assert.strictEqual(values.capacity, null);
+});
+
+test('patch takes only the fields sent and validates them with the stored record', () => {
+  const current = editable(SITE, { id: 1, name: 'Depot', latitude: 51.5, longitude: -0.12 });
+  assert.deepStrictEqual(parse(SITE, { capacity: '40' }, 'patch', current), { values: { capacity: 40 } });
+  assert.deepStrictEqual(parse(SITE, { longitude: null }, 'patch', current), {
+    errors: { longitude: 'longitude is required when a position is given' }
+  });
+  assert.deepStrictEqual(parse(SITE, { latitude: null, longitude: '' }, 'patch', current), {
+    values: { latitude: null, longitude: null }
+  });
+  assert.deepStrictEqual(parse(SITE, { name: '' }, 'patch', current), { errors: { name: 'name is required' } });
+  assert.deepStrictEqual(parse(CAMERA, { channelID: '2' }, 'patch'), { values: {} });
+});
@@ -0,0 +1,134 @@
+const sharp = require('sharp');
+const db = require('./database');
+const config = require('./config');
+const { store } = require('./storage');
+
+// Smaller copies of stored pictures for the dashboard: a thumbnail and a
+// medium size of each, as JPEG and optionally WebP. They are made in the
+// background after upload by sharp, which bundles its own image library and
+// needs no GPU. Copies live in the image store beside the original, named
+// after it (ABC123_..._vehiclePicture.jpg.thumb.webp), and go with it.
+
+const SIZES = Object.keys(config.thumbnails.sizes);
+const FORMATS = { jpeg: { ext: 'jpg', contentType: 'image/jpeg' }, webp: { ext: 'webp', contentType: 'image/webp' } };
+const VARIANT_PATTERN = new RegExp(`^(.+)\\.(${SIZES.join('|')})\\.(jpg|webp)$`);
+const BATCH_SIZE = 20;
+
+let timer = null;
+let running = false;
+let requested = false;
+
+function formats() {
+  return config.thumbnails.webp ? ['jpeg', 'webp'] : ['jpeg'];
+}
+
+function variantKey(filename, size, format) {
+  return `${filename}.${size}.${FORMATS[format].ext}`;
+}
+
+// Every key the copies of `filename` may be stored under
+function variantKeys(filename) {
+  return SIZES.flatMap(size => Object.keys(FORMATS).map(format => variantKey(filename, size, format)));
+}
+
+// The picture a stored copy was made from, or null for anything else
+function sourceOf(key) {
+  const match = VARIANT_PATTERN.exec(key);
+  return match ? match[1] : null;
+}
+
+async function render(data, width, format) {
+  const image = sharp(data, { failOn: 'none' })
+    .rotate()
+    .resize({ width, withoutEnlargement: true });
+  return format === 'webp'
+    ? image.webp({ quality: config.thumbnails.quality }).toBuffer()
+    : image.jpeg({ quality: config.thumbnails.quality, mozjpeg: true }).toBuffer();
+}
+
+// Pictures that are gone or can't be decoded are marked failed and served
+// full size. Errors reading the store leave the picture queued.
+async function generate(image) {
+  const data = await store.get(image.filename);
+  if (!data) {
+    await db.setThumbnailStatus(image.id, 'failed');
+    return false;
+  }
+  try {
+    for (const size of SIZES) {
+      for (const format of formats()) {
+        const output = await render(data, config.thumbnails.sizes[size], format);
+        await store.put(variantKey(image.filename, size, format), output, FORMATS[format].contentType);
+      }
+    }
+  } catch (error) {
+    console.error(`Error making thumbnails of ${image.filename}:`, error.message);
+    await db.setThumbnailStatus(image.id, 'failed');
+    return false;
+  }
+  await db.setThumbnailStatus(image.id, 'ready');
+  return true;
+}
+
+// Works through every queued picture. A call made while a run is under way
+// makes it look again before finishing, so new uploads never wait for the
+// next poll.
+async function processQueue() {
+  if (running) {
+    requested = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      requested = false;
+      let batch;
+      do {
+        batch = await db.getPendingThumbnails(BATCH_SIZE);
+        for (const image of batch) {
+          await generate(image);
+        }
+      } while (batch.length === BATCH_SIZE);
+    } while (requested);
+  } catch (error) {
+    console.error('Error making thumbnails:', error);
+  } finally {
+    running = false;
+  }
+}
+
+// The stored key to serve for `filename` at `size`: its copy when one has
+// been made, preferring WebP when `acceptsWebp`, otherwise null
+async function variantFor(filename, size, acceptsWebp) {
+  if (!SIZES.includes(size)) return null;
+  const image = await db.getEventImage(filename);
+  if (!image || image.thumbnail_status !== 'ready') return null;
+  const format = acceptsWebp && config.thumbnails.webp ? 'webp' : 'jpeg';
+  const key = variantKey(filename, size, format);
+  // Copies made before WebP was turned on have no WebP version
+  if (format === 'webp' && !(await store.stat(key))) {
+    return variantKey(filename, size, 'jpeg');
+  }
+  return key;
+}
+
+function start() {
+  processQueue();
+  timer = setInterval(processQueue, config.thumbnails.pollIntervalMs);
+}
+
+function stop() {
+  clearInterval(timer);
+}
+
+module.exports = {
+  SIZES,
+  variantKey,
+  variantKeys,
+  sourceOf,
+  generate,
+  processQueue,
+  variantFor,
+  start,
+  stop
+};
@@ -0,0 +1,96 @@
+const db = require('./database');
+
+// Everything known about one vehicle, for "when has this car been here
+// before?": when it was first and last read, visits per site, the cameras
+// and directions that saw it, when it usually arrives, operator notes and
+// tags, and a page of its reads. Reads rejected in review are left out.
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_NOTES_LENGTH = 4000;
+const TYPICAL_ARRIVALS = 3;
+
+// Stored tags are a JSON array
+function formatProfile(profile) {
+  return {
+    notes: profile ? profile.notes : null,
+    tags: profile && profile.tags ? JSON.parse(profile.tags) : [],
+    updated_by: profile ? profile.updated_by : null,
+    updated_at: profile ? profile.updated_at : null
+  };
+}
+
+// Notes and tags aren't kept per site, so a caller limited to some sites
+// only sees or edits them for a plate read at one of those sites
+async function sharesProfile(plate, siteIds) {
+  return !siteIds || (await db.getVehicleSummary(plate, siteIds)).reads > 0;
+}
+
+// `plate` is normalised. Returns null for a plate never read at the
+// caller's sites that has no notes the caller may see either.
+async function profile(plate, options) {
+  const { siteIds, utcOffset, limit, offset } = options;
+  const eventOptions = { plate, plateMatch: 'exact', excludeRejected: true, siteIds, sort: 'dateTime', order: 'desc' };
+  const [summary, sites, cameras, arrivals, saved, events] = await Promise.all([
+    db.getVehicleSummary(plate, siteIds),
+    db.getVehicleSites(plate, siteIds),
+    db.getVehicleCameras(plate, siteIds),
+    db.getVehicleArrivals(plate, siteIds, utcOffset),
+    db.getVehicleProfile(plate),
+    db.getAllEvents({ ...eventOptions, limit, offset })
+  ]);
+  const shared = !siteIds || summary.reads ? saved : null;
+  if (!summary.reads && !shared) return null;
+
+  const typical = [...arrivals]
+    .sort((a, b) => b.arrivals - a.arrivals || a.hour - b.hour)
+    .slice(0, TYPICAL_ARRIVALS)
+    .map(row => row.hour);
+  return {
+    plate,
+    first_seen: summary.first_seen,
+    last_seen: summary.last_seen,
+    reads: summary.reads,
+    visits: sites.reduce((total, site) => total + site.visits, 0),
+    sites,
+    cameras,
+    utc_offset: utcOffset,
+    arrivals,
+    typical_arrival_hours: typical,
+    ...formatProfile(shared),
+    events,
+    paging: { limit, offset, total: summary.reads }
+  };
+}
+
+// Checks notes and tags from a request body. Returns { error } or
+// { profile } with tags trimmed and de-duplicated.
+function parseProfile(body) {
+  const { notes = null, tags = [] } = body;
+  if (notes !== null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+    return { error: `notes must be text of at most ${MAX_NOTES_LENGTH} characters` };
+  }
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS ||
+      !tags.every(tag => typeof tag === 'string' && tag.trim() && tag.trim().length <= MAX_TAG_LENGTH)) {
+    return { error: `tags must be a list of at most ${MAX_TAGS} names of up to ${MAX_TAG_LENGTH} characters` };
+  }
+  return {
+    profile: {
+      notes: notes && notes.trim() ? notes.trim() : null,
+      tags: [...new Set(tags.map(tag => tag.trim()))]
+    }
+  };
+}
+
+async function saveProfile(plate, profile, updatedBy) {
+  await db.saveVehicleProfile(plate, { ...profile, updated_by: updatedBy });
+  return formatProfile(await db.getVehicleProfile(plate));
+}
+
+module.exports = {
+  formatProfile,
+  profile,
+  sharesProfile,
+  parseProfile,
+  saveProfile
+};
@@ -0,0 +1,59 @@
+// Re-hashes stored pictures and compares them with the SHA-256 recorded when
+// each one was received:
+//
+//   npm run verify-evidence -- [--event <id>] [--evidence-only]
+//
+// Lists every missing or altered picture and exits with status 1 if there
+// were any. Pictures purged by retention are no longer tracked. The image
+// store is configured from the same environment variables the server uses.
+
+const db = require('./database');
+const audit = require('./audit');
+const evidence = require('./evidence');
+
+function parseArgs(argv) {
+  const options = { evidenceOnly: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--event':
+        options.eventId = Number(argv[++i]);
+        if (!Number.isInteger(options.eventId) || options.eventId < 1) {
+          throw new Error('--event must be an event id');
+        }
+        break;
+      case '--evidence-only':
+        options.evidenceOnly = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: node verify-evidence.js [--event <id>] [--evidence-only]');
+    process.exit(2);
+  }
+
+  await db.ready;
+  const result = await evidence.verify(options, (status, image) => {
+    console.error(`${status.toUpperCase()} event ${image.event_id} ${image.kind}: ${image.filename}` +
+      (image.evidence ? ' (evidence)' : ''));
+  });
+  await audit.record(null, 'evidence.verify', { details: { ...options, ...result } });
+
+  console.log(`Checked ${result.checked} picture(s): ${result.intact} intact, ` +
+    `${result.mismatched} altered, ${result.missing} missing`);
+  process.exit(result.mismatched || result.missing ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('Evidence verification failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,143 @@
+const db = require('./database');
+const bus = require('./eventBus');
+const config = require('./config');
+
+// How a camera's reads are interpreted: every read is an entry, every read is
+// an exit, the read's direction decides, or the camera is not used for visits
+const DIRECTION_MODES = ['auto', 'entry', 'exit', 'ignore'];
+
+let sweepTimer = null;
+
+// Camera dateTime values carry their own offset; reads with an unparseable
+// timestamp fall back to the time the server stored them
+function eventTime(event) {
+  const parsed = Date.parse(event.dateTime);
+  if (!Number.isNaN(parsed)) {
+    return new Date(parsed);
+  }
+  const stored = event.created_at ? Date.parse(event.created_at.replace(' ', 'T') + 'Z') : NaN;
+  return Number.isNaN(stored) ? new Date() : new Date(stored);
+}
+
+// Returns 'entry', 'exit' or null for reads that do not affect visits
+function classify(event, camera) {
+  const mode = camera?.direction_mode || 'auto';
+  if (mode === 'entry' || mode === 'exit') return mode;
+  if (mode === 'ignore') return null;
+
+  const direction = String(event.direction || '').toLowerCase();
+  if (direction && direction === String(camera?.entry_direction || 'forward').toLowerCase()) return 'entry';
+  if (direction && direction === String(camera?.exit_direction || 'reverse').toLowerCase()) return 'exit';
+  return null;
+}
+
+async function recordEntry(event, plate, time) {
+  const open = await db.getOpenVisit(event.site_id, plate);
+  if (open) {
+    // A second entry read shortly after the first is the same arrival
+    if (time - new Date(open.entry_time) < config.visits.reentrySeconds * 1000) {
+      return null;
+    }
+    // Otherwise the exit was missed; close the old visit without a duration
+    await db.expireVisit(open.id);
+    bus.publishVisit({ ...(await db.getVisitById(open.id)), action: 'expired' });
+  }
+
+  const visitId = await db.openVisit({
+    site_id: event.site_id,
+    licensePlate: plate,
+    entry_event_id: event.id,
+    entry_time: time.toISOString()
+  });
+  return { ...(await db.getVisitById(visitId)), action: 'opened' };
+}
+
+async function recordExit(event, plate, time) {
+  const open = await db.getOpenVisit(event.site_id, plate);
+  if (!open) {
+    const visitId = await db.recordOrphanExit({
+      site_id: event.site_id,
+      licensePlate: plate,
+      exit_event_id: event.id,
+      exit_time: time.toISOString()
+    });
+    return { ...(await db.getVisitById(visitId)), action: 'orphan_exit' };
+  }
+
+  const duration = Math.max(0, Math.round((time - new Date(open.entry_time)) / 1000));
+  await db.closeVisit(open.id, {
+    exit_event_id: event.id,
+    exit_time: time.toISOString(),
+    duration_seconds: duration
+  });
+  return { ...(await db.getVisitById(open.id)), action: 'closed' };
+}
+
+// Opens or closes a visit for a stored event. Returns the affected visit
+// (with an `action` of opened, closed, orphan_exit or updated) or null.
+async function recordEvent(event) {
+  // Reads from cameras not yet adopted into a site can't be paired
+  if (!event.site_id) {
+    return null;
+  }
+  const camera = event.camera_id ? await db.getCameraById(event.camera_id) : null;
+  const kind = classify(event, camera);
+  const plate = event.plate_normalized;
+  if (!kind || !plate) {
+    return null;
+  }
+
+  // A read processed again after a better repeat read replaced its plate
+  // moves its visit to the new plate rather than starting another
+  const paired = await db.getVisitByEvent(event.id);
+  if (paired) {
+    if (paired.licensePlate !== plate) {
+      await db.setVisitPlate(paired.id, plate);
+      const visit = { ...(await db.getVisitById(paired.id)), action: 'updated' };
+      bus.publishVisit(visit);
+      return visit;
+    }
+    return null;
+  }
+
+  const time = eventTime(event);
+  const visit = kind === 'entry'
+    ? await recordEntry(event, plate, time)
+    : await recordExit(event, plate, time);
+
+  if (visit) {
+    bus.publishVisit(visit);
+  }
+  return visit;
+}
+
+// Closes visits whose vehicle was never seen leaving
+async function expireStale() {
+  const cutoff = new Date(Date.now() - config.visits.timeoutHours * 3600 * 1000).toISOString();
+  const stale = await db.getStaleVisits(cutoff);
+  for (const visit of stale) {
+    if (await db.expireVisit(visit.id)) {
+      bus.publishVisit({ ...(await db.getVisitById(visit.id)), action: 'expired' });
+    }
+  }
+  return stale.length;
+}
+
+function start() {
+  sweepTimer = setInterval(() => {
+    expireStale().catch(error => console.error('Error expiring stale visits:', error));
+  }, config.visits.sweepIntervalMs);
+}
+
+function stop() {
+  clearInterval(sweepTimer);
+}
+
+module.exports = {
+  DIRECTION_MODES,
+  eventTime,
+  recordEvent,
+  expireStale,
+  start,
+  stop
+};
@@ -0,0 +1,43 @@
+const db = require('./database');
+const bus = require('./eventBus');
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Checks a stored event against all active watchlists and raises one alert
+// per matching entry. Returns the alerts that were created.
+async function checkEvent(event) {
+  const matches = await db.findWatchlistMatches(event.plate_normalized, new Date().toISOString());
+  const alerts = [];
+  // A read checked again after review or a better repeat read keeps the
+  // alerts it already raised
+  const alerted = new Set(await db.getAlertedEntryIds(event.id));
+
+  for (const entry of matches) {
+    if (alerted.has(entry.id)) continue;
+    const matchType = entry.plate_normalized === event.plate_normalized ? 'exact' : 'fuzzy';
+    const alertId = await db.createAlert({
+      type: 'watchlist',
+      event_id: event.id,
+      site_id: event.site_id,
+      watchlist_id: entry.watchlist_id,
+      entry_id: entry.id,
+      licensePlate: event.licensePlate,
+      matched_plate: entry.licensePlate,
+      match_type: matchType,
+      priority: entry.priority,
+      message: `${event.licensePlate} matched ${entry.licensePlate} on watchlist "${entry.watchlistName}"` +
+        (entry.reason ? `: ${entry.reason}` : '')
+    });
+
+    const alert = await db.getAlertById(alertId);
+    alerts.push(alert);
+    bus.publishAlert(alert);
+  }
+
+  return alerts;
+}
+
+module.exports = {
+  PRIORITIES,
+  checkEvent
+};
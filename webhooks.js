@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const db = require('./database');
+const bus = require('./eventBus');
+const config = require('./config');
+const auth = require('./auth');
+const { store } = require('./storage');
+
+const IMAGE_MODES = ['none', 'link', 'inline'];
+
+// Event columns holding image filenames, keyed by the slot name used in
+// payloads
+const IMAGE_COLUMNS = {
+  licensePlate: 'licensePlateImage',
+  vehicle: 'vehicleImage',
+  detection: 'detectionImage'
+};
+
+const BATCH_SIZE = 10;
+
+let timer = null;
+let running = false;
+
+function generateSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Signature receivers recompute over "<timestamp>.<raw body>" with the
+// subscription secret
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function matchesWebhook(webhook, event) {
+  if (webhook.site_id && String(webhook.site_id) !== String(event.site_id)) return false;
+  if (webhook.channelID && webhook.channelID !== String(event.channelID)) return false;
+  if (webhook.eventType && webhook.eventType !== event.eventType) return false;
+  if (webhook.watchlist_only && !(event.alerts && event.alerts.length)) return false;
+  return true;
+}
+
+// event.reprocessed is true when the event was sent before and has since
+// been released from review or corrected; receivers should update the
+// detection with that id rather than count another one.
+function buildPayload(webhook, event) {
+  const { alerts = [], ...stored } = event;
+  const payload = { type: 'detection', event: stored, alerts };
+
+  // Links point at this server's /uploads route rather than the image store
+  // itself, and are signed so receivers need no account. They stay valid for
+  // IMAGE_LINK_DAYS, however long the delivery is retried.
+  if (webhook.include_images === 'link') {
+    payload.event.imageUrls = Object.fromEntries(Object.entries(IMAGE_COLUMNS).map(([slot, column]) => [
+      slot,
+      stored[column] ? auth.signedImageUrl(config.publicUrl, stored[column]) : null
+    ]));
+  }
+  return payload;
+}
+
+// Queues one delivery per matching subscription. The payload is stored so
+// every retry sends the same document.
+async function enqueueEvent(event) {
+  const webhooks = await db.getWebhooks({ activeOnly: true });
+  for (const webhook of webhooks.filter(webhook => matchesWebhook(webhook, event))) {
+    await db.enqueueWebhookDelivery({
+      webhook_id: webhook.id,
+      event_id: event.id,
+      type: 'detection',
+      payload: JSON.stringify(buildPayload(webhook, event))
+    });
+  }
+}
+
+async function enqueueTest(webhook) {
+  return db.enqueueWebhookDelivery({
+    webhook_id: webhook.id,
+    event_id: null,
+    type: 'ping',
+    payload: JSON.stringify({ type: 'ping', webhook_id: webhook.id, sentAt: new Date().toISOString() })
+  });
+}
+
+// Inline images are read at send time rather than stored in the queue
+async function attachImages(payload) {
+  const images = {};
+  for (const [slot, column] of Object.entries(IMAGE_COLUMNS)) {
+    const filename = payload.event[column];
+    if (!filename) continue;
+    try {
+      const data = await store.get(filename);
+      if (!data) {
+        throw new Error('not found in image store');
+      }
+      images[slot] = { filename, contentType: 'image/jpeg', data: data.toString('base64') };
+    } catch (error) {
+      console.error(`Webhook image ${filename} unavailable:`, error.message);
+    }
+  }
+  payload.images = images;
+  return payload;
+}
+
+function post(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      timeout: config.webhooks.timeoutMs
+    }, (res) => {
+      // Drain the response so the socket is released
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${config.webhooks.timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function retryDelaySeconds(attempt) {
+  const { retryBaseSeconds, retryMaxSeconds } = config.webhooks;
+  return Math.min(retryBaseSeconds * 2 ** (attempt - 1), retryMaxSeconds);
+}
+
+async function deliver(delivery) {
+  const attempt = delivery.attempts + 1;
+  let statusCode = null;
+  let error = null;
+
+  try {
+    let payload = JSON.parse(delivery.payload);
+    if (delivery.include_images === 'inline' && payload.event) {
+      payload = await attachImages(payload);
+    }
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    statusCode = await post(delivery.url, body, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'hik-camera-server',
+      'X-Hik-Event': delivery.type,
+      'X-Hik-Delivery': String(delivery.id),
+      'X-Hik-Timestamp': String(timestamp),
+      'X-Hik-Signature': sign(delivery.secret, timestamp, body)
+    });
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `Receiver responded with HTTP ${statusCode}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (!error) {
+    return db.recordWebhookAttempt(delivery.id, { status: 'delivered', status_code: statusCode });
+  }
+
+  if (attempt >= config.webhooks.maxAttempts) {
+    console.error(`Webhook delivery ${delivery.id} failed permanently: ${error}`);
+    return db.recordWebhookAttempt(delivery.id, { status: 'failed', status_code: statusCode, error });
+  }
+
+  const nextAttempt = new Date(Date.now() + retryDelaySeconds(attempt) * 1000).toISOString();
+  return db.recordWebhookAttempt(delivery.id, {
+    status: 'pending',
+    status_code: statusCode,
+    error,
+    next_attempt_at: nextAttempt
+  });
+}
+
+// Works through due deliveries in batches until the queue has nothing due
+async function processQueue() {
+  if (running) return;
+  running = true;
+  try {
+    let batch;
+    do {
+      batch = await db.getDueWebhookDeliveries(BATCH_SIZE);
+      for (const delivery of batch) {
+        await deliver(delivery);
+      }
+    } while (batch.length === BATCH_SIZE);
+  } catch (error) {
+    console.error('Error processing webhook queue:', error);
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  bus.on('detection', (event) => {
+    enqueueEvent(event)
+      .then(processQueue)
+      .catch(error => console.error('Error queueing webhook deliveries:', error));
+  });
+  timer = setInterval(processQueue, config.webhooks.pollIntervalMs);
+}
+
+function stop() {
+  clearInterval(timer);
+}
+
+module.exports = {
+  IMAGE_MODES,
+  generateSecret,
+  sign,
+  enqueueTest,
+  processQueue,
+  start,
+  stop
+};